@@ -1,10 +1,32 @@
 // admin.js
 function $(id){ return document.getElementById(id); }
 
-async function api(path, body) {
+// Session token from /api/admin/login; sessionStorage so it's gone when the tab closes
+const SESSION_KEY = "adminSession";
+let session = null; // { token, expires_at, moderator }
+
+function loadSession() {
+  try { session = JSON.parse(sessionStorage.getItem(SESSION_KEY) || "null"); } catch { session = null; }
+  if (session && Date.parse(session.expires_at) < Date.now()) session = null;
+}
+
+function saveSession(s) {
+  session = s;
+  if (s) sessionStorage.setItem(SESSION_KEY, JSON.stringify(s));
+  else sessionStorage.removeItem(SESSION_KEY);
+}
+
+function can(permission) {
+  return !!session?.moderator?.permissions?.includes(permission);
+}
+
+async function api(path, body = {}) {
+  const headers = { "Content-Type": "application/json", "Accept": "application/json" };
+  if (session?.token) headers["Authorization"] = `Bearer ${session.token}`;
+
   const res = await fetch(path, {
     method: "POST",
-    headers: { "Content-Type": "application/json", "Accept": "application/json" },
+    headers,
     body: JSON.stringify(body),
   });
 
@@ -12,6 +34,12 @@ async function api(path, body) {
   let data;
   try { data = JSON.parse(text); } catch { data = { raw: text }; }
 
+  if (res.status === 401 && session) {
+    // Expired or revoked — back to the login form
+    saveSession(null);
+    renderSession();
+  }
+
   if (!res.ok) {
     // Worker sometimes returns plain text (like "Unauthorized")
     // so prefer JSON error, then raw text
@@ -24,61 +52,1242 @@ function esc(s){ return String(s ?? "").replace(/[&<>"']/g, c => ({
   "&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#039;"
 }[c])); }
 
-async function loadPending() {
+function flagLabel(f) {
+  if (f.type === "near_duplicate") return `Near-duplicate of #${f.review_id} (${Math.round((f.similarity || 0) * 100)}%)`;
+  if (f.category) return `${f.category.replace(/_/g, " ")}: “${f.text}”`;
+  return f.type;
+}
+
+function flagsHtml(flags) {
+  if (!Array.isArray(flags) || flags.length === 0) return "";
+  return `<div style="margin-top:8px; color:#b45309;">⚠️ ${flags.map(f => esc(flagLabel(f))).join(" · ")}</div>`;
+}
+
+// Wraps flagged spans (start/end offsets from the screening pass) in <mark>
+function highlightComment(comment, flags) {
+  const s = String(comment || "");
+  const spans = (Array.isArray(flags) ? flags : [])
+    .filter(f => Number.isInteger(f.start) && Number.isInteger(f.end) && f.end <= s.length)
+    .sort((a, b) => a.start - b.start);
+
+  let out = "";
+  let pos = 0;
+  for (const f of spans) {
+    if (f.start < pos) continue;
+    out += esc(s.slice(pos, f.start));
+    out += `<mark title="${esc(f.category)}">${esc(s.slice(f.start, f.end))}</mark>`;
+    pos = f.end;
+  }
+  return out + esc(s.slice(pos));
+}
+
+// Pending queue state: filters used for the loaded pages, cursor for the next page,
+// and which card the keyboard shortcuts act on.
+let pendingFilters = {};
+let pendingCursor = null;
+let focusedId = null;
+
+function readFilters() {
+  const [ratingMin, ratingMax] = ($("fRating").value || "-").split("-");
+  return {
+    teacher: $("fTeacher").value.trim(),
+    school: $("fSchool").value.trim(),
+    from: $("fFrom").value,
+    to: $("fTo").value,
+    rating_min: ratingMin || undefined,
+    rating_max: ratingMax || undefined,
+    q: $("fQ").value.trim(),
+  };
+}
+
+// "Overall: 4 | Clarity: 5 | …" from the school's criteria (built-ins if the API sent none)
+function ratingsLine(r) {
+  const ratings = r.ratings || [
+    { label: "Overall", value: r.overall, scale_max: 5 },
+    { label: "Clarity", value: r.clarity, scale_max: 5 },
+    { label: "Difficulty", value: r.difficulty, scale_max: 5 },
+  ];
+  return ratings.map(x => `${esc(x.label)}: ${esc(x.value)}${x.scale_max !== 5 ? `/${esc(x.scale_max)}` : ""}`).join(" | ");
+}
+
+function pendingCard(r) {
+  return `
+    <div class="card queue-item" style="margin-top:12px;" data-review="${esc(r.id)}">
+      <div style="font-weight:700;">
+        <input type="checkbox" class="pick" data-id="${esc(r.id)}" />
+        ${esc(r.teacher_name || "Unknown teacher")}
+        <span class="dim">(${esc(r.school)})</span>
+      </div>
+      <div class="dim" style="margin-top:6px;">
+        ${ratingsLine(r)} |
+        Take again: ${r.would_take_again ? "Yes" : "No"}${r.course_name ? ` | Course: ${esc(r.course_name)}` : ""}
+      </div>
+      ${r.tags ? `<div class="dim" style="margin-top:6px;">Tags: ${esc(r.tags)}</div>` : ""}
+      ${r.report_count ? `<div style="margin-top:8px; color:#b91c1c;">🚩 ${esc(r.report_count)} open reader report${r.report_count === 1 ? "" : "s"}</div>` : ""}
+      ${flagsHtml(r.flags)}
+      <div style="margin-top:8px; white-space:pre-wrap;">${highlightComment(r.comment, r.flags)}</div>
+      <div class="dim" style="margin-top:8px;">${esc(r.created_at)} — ID: ${esc(r.id)}</div>
+
+      ${reasonControls(r.id)}
+      <div style="display:flex; gap:10px;">
+        <button class="btn" data-act="approve" data-id="${esc(r.id)}">Approve</button>
+        <button class="btn" data-act="reject" data-id="${esc(r.id)}">Reject</button>
+      </div>
+    </div>
+  `;
+}
+
+async function loadPending({ more = false } = {}) {
   const msg = $("msg");
   const list = $("list");
   msg.textContent = "";
-  list.innerHTML = "";
+  if (!more) {
+    list.innerHTML = "";
+    pendingFilters = readFilters();
+    pendingCursor = null;
+    focusedId = null;
+    $("selectAll").checked = false;
+  }
 
-  const token = $("token").value;
+  const data = await api("/api/admin/pending", { ...pendingFilters, cursor: pendingCursor || undefined });
+  const rows = data.rows || [];
+  pendingCursor = data.next_cursor || null;
+  $("loadMore").classList.toggle("hidden", !pendingCursor);
+
+  list.insertAdjacentHTML("beforeend", rows.map(pendingCard).join(""));
+  if (!list.querySelector(".queue-item")) list.innerHTML = `<div class="dim">No pending reviews.</div>`;
+  if (!focusedId) focusCard(list.querySelector(".queue-item")?.dataset.review);
+  updateSelectedCount();
+}
 
-  const data = await api("/api/admin/pending", { token });
+// Drops decided cards in place instead of reloading the queue
+function removeCards(ids) {
+  const cards = [...document.querySelectorAll(".queue-item")];
+  const gone = new Set(ids.map(String));
+  const idx = cards.findIndex(c => c.dataset.review === String(focusedId));
+  for (const c of cards) if (gone.has(c.dataset.review)) c.remove();
+  if (gone.has(String(focusedId))) {
+    const rest = cards.filter(c => !gone.has(c.dataset.review));
+    const next = rest.find(c => cards.indexOf(c) > idx) || rest[rest.length - 1];
+    focusCard(next?.dataset.review);
+  }
+  if (!document.querySelector(".queue-item")) $("list").innerHTML = `<div class="dim">No pending reviews${pendingCursor ? " loaded — load more" : ""}.</div>`;
+  updateSelectedCount();
+}
 
-  const rows = data.rows || data; // supports either {rows:[...]} or [...]
-  if (!Array.isArray(rows) || rows.length === 0) {
-    list.innerHTML = `<div class="dim">No pending reviews.</div>`;
-    return;
+function focusCard(id) {
+  document.querySelectorAll(".queue-item.focused").forEach(c => c.classList.remove("focused"));
+  focusedId = id || null;
+  const card = id ? document.querySelector(`.queue-item[data-review="${id}"]`) : null;
+  if (card) {
+    card.classList.add("focused");
+    card.scrollIntoView({ block: "nearest" });
   }
+}
+
+function moveFocus(step) {
+  const cards = [...document.querySelectorAll(".queue-item")];
+  if (!cards.length) return;
+  const idx = cards.findIndex(c => c.dataset.review === String(focusedId));
+  const next = cards[Math.min(cards.length - 1, Math.max(0, idx + step))];
+  focusCard(next.dataset.review);
+}
+
+function selectedIds() {
+  return [...document.querySelectorAll(".queue-item .pick:checked")].map(c => Number(c.dataset.id));
+}
+
+function updateSelectedCount() {
+  const n = selectedIds().length;
+  $("selectedCount").textContent = n ? `${n} selected` : "";
+}
+
+async function decide(id, act) {
+  const endpoint = act === "approve" ? "/api/admin/approve" : "/api/admin/reject";
+  await api(endpoint, decisionBody(id));
+  removeCards([id]);
+}
+
+async function decideBulk(act) {
+  const ids = selectedIds();
+  if (!ids.length) return;
+  if (!confirm(`${act === "approve" ? "Approve" : "Reject"} ${ids.length} review${ids.length === 1 ? "" : "s"}?`)) return;
+
+  const out = await api("/api/admin/moderate_bulk", { ids, action: act });
+  const done = (out.results || []).filter(r => r.ok).map(r => r.id);
+  removeCards(done);
+  const failed = (out.results || []).filter(r => !r.ok);
+  $("msg").textContent = `${out.updated} review${out.updated === 1 ? "" : "s"} ${act === "approve" ? "approved" : "rejected"}.` +
+    (failed.length ? ` ${failed.length} failed: ${failed.map(f => `#${f.id} ${f.error}`).join(", ")}` : "");
+}
+
+const REASON_CODES = [
+  "meets_rules", "personal_info", "harassment", "threat", "slur", "allegation",
+  "off_topic", "spam", "duplicate", "appeal", "mistake", "other",
+];
+
+// Which reversal buttons make sense for a review's current status
+const REVERSALS = {
+  approved: ["unpublish", "requeue"],
+  rejected: ["restore", "requeue"],
+  unpublished: ["restore", "requeue"],
+  pending: [],
+};
+
+function reasonControls(id) {
+  return `
+    <div class="grid2" style="margin-top:10px;">
+      <select class="input" data-reason-for="${esc(id)}">
+        <option value="">Reason…</option>
+        ${REASON_CODES.map(c => `<option value="${c}">${c.replace(/_/g, " ")}</option>`).join("")}
+      </select>
+      <input class="input" data-note-for="${esc(id)}" placeholder="Note (optional)" maxlength="500" />
+    </div>
+  `;
+}
 
-  list.innerHTML = rows.map(r => `
+function decisionBody(id) {
+  return {
+    id,
+    reason_code: document.querySelector(`[data-reason-for="${id}"]`)?.value || null,
+    note: document.querySelector(`[data-note-for="${id}"]`)?.value || "",
+  };
+}
+
+async function loadReports() {
+  const data = await api("/api/admin/reports");
+  $("reports").innerHTML = (data.rows || []).map(g => `
     <div class="card" style="margin-top:12px;">
+      <div style="font-weight:700;">#${esc(g.review_id)} ${esc(g.teacher_name || "Unknown teacher")}
+        <span class="badge">${esc(g.status)}</span>
+        <span class="dim">— ${esc(g.report_count)} report${g.report_count === 1 ? "" : "s"}</span>
+      </div>
+      <div class="dim" style="margin-top:6px;">
+        ${Object.entries(g.reasons).map(([k, n]) => `${esc(k.replace(/_/g, " "))} ×${esc(n)}`).join(" · ")}
+      </div>
+      <div style="margin-top:8px; white-space:pre-wrap;">${highlightComment(g.comment, g.flags)}</div>
+      ${g.details.length ? `<ul class="dim">${g.details.map(d => `<li>${esc(d.reason)}: “${esc(d.details)}”</li>`).join("")}</ul>` : ""}
+      ${g.status === "approved" ? reasonControls(g.review_id) : ""}
+      <div style="display:flex; gap:10px;">
+        ${g.status === "approved" ? `<button class="btn" data-act="report-unpublish" data-id="${esc(g.review_id)}">Unpublish</button>` : ""}
+        <button class="btn" data-act="report-dismiss" data-id="${esc(g.review_id)}">Dismiss reports</button>
+      </div>
+    </div>
+  `).join("") || `<div class="dim" style="margin-top:10px;">No open reports.</div>`;
+}
+
+let responseCursor = null;
+
+async function loadResponses({ more = false } = {}) {
+  const data = await api("/api/admin/responses", { cursor: more ? responseCursor : null });
+  responseCursor = data.next_cursor;
+  const html = (data.rows || []).map(r => `
+    <div class="card" style="margin-top:12px;" data-response="${esc(r.id)}">
       <div style="font-weight:700;">${esc(r.teacher_name || "Unknown teacher")}
-        <span class="dim">(${esc(r.school)})</span>
+        <span class="dim">on review #${esc(r.review_id)} (⭐ ${esc(r.overall)})</span>
+      </div>
+      <div class="dim" style="margin-top:6px; white-space:pre-wrap;">${esc(r.review_comment)}</div>
+      ${flagsHtml(r.flags)}
+      <div style="margin-top:8px; white-space:pre-wrap;">${highlightComment(r.body, r.flags)}</div>
+      <div class="dim" style="margin-top:8px;">${esc(r.updated_at)} — Response ID: ${esc(r.id)}</div>
+      ${reasonControls(`response-${r.id}`)}
+      <div style="display:flex; gap:10px;">
+        <button class="btn" data-act="response-approve" data-id="${esc(r.id)}">Approve</button>
+        <button class="btn" data-act="response-reject" data-id="${esc(r.id)}">Reject</button>
+      </div>
+    </div>
+  `).join("");
+  if (more) $("responses").insertAdjacentHTML("beforeend", html);
+  else $("responses").innerHTML = html || `<div class="dim" style="margin-top:10px;">No pending responses.</div>`;
+  $("responsesMore").classList.toggle("hidden", !responseCursor);
+}
+
+async function loadCriteria() {
+  const school = $("criteriaSchool").value.trim();
+  const data = await api("/api/admin/criteria", { school });
+  $("criteriaList").innerHTML = (data.rows || []).map(c => `
+    <div class="grid2" style="align-items:center; margin-top:8px;">
+      <div>
+        <input class="input" data-crit-label="${esc(c.slug)}" value="${esc(c.label)}" maxlength="40" />
+        <div class="dim" style="font-size:13px;">
+          ${esc(c.slug)}${c.builtin ? " · built in" : ""} · ${c.inherited ? "default" : school ? "this school" : "all schools"}
+          ${c.builtin ? "" : ` · ${esc(c.rating_count)} ratings`}${c.retired_at ? " · retired" : ""}
+        </div>
+      </div>
+      <div style="display:flex; gap:8px; align-items:center; flex-wrap:wrap;">
+        <input class="input" style="width:70px;" data-crit-order="${esc(c.slug)}" value="${esc(c.sort_order)}" inputmode="numeric" title="Sort order" />
+        ${c.builtin ? `<span class="dim">1–5, required</span>` : `
+          <label class="dim">1–<input class="input" style="width:56px;" data-crit-scale="${esc(c.slug)}" value="${esc(c.scale_max)}" inputmode="numeric" /></label>
+          <label class="dim"><input type="checkbox" data-crit-required="${esc(c.slug)}" ${c.required ? "checked" : ""} /> required</label>
+        `}
+        <button class="btn" style="margin-top:0; width:auto;" data-act="crit-save" data-id="${esc(c.slug)}">Save</button>
+        ${c.builtin ? "" : `<button class="btn" style="margin-top:0; width:auto;" data-act="${c.retired_at ? "crit-unretire" : "crit-retire"}" data-id="${esc(c.slug)}">${c.retired_at ? "Bring back" : "Retire"}</button>`}
+        ${school && !c.inherited && c.school === school ? `<button class="btn" style="margin-top:0; width:auto;" data-act="crit-reset" data-id="${esc(c.slug)}" title="Use the default for this school again">Reset</button>` : ""}
+      </div>
+    </div>
+  `).join("") || `<div class="dim" style="margin-top:10px;">No criteria.</div>`;
+}
+
+function criterionBody(slug) {
+  const scale = document.querySelector(`[data-crit-scale="${slug}"]`);
+  const required = document.querySelector(`[data-crit-required="${slug}"]`);
+  return {
+    school: $("criteriaSchool").value.trim(),
+    slug,
+    label: document.querySelector(`[data-crit-label="${slug}"]`).value,
+    sort_order: document.querySelector(`[data-crit-order="${slug}"]`).value,
+    ...(scale ? { scale_max: Number(scale.value) } : {}),
+    ...(required ? { required: required.checked } : {}),
+  };
+}
+
+async function loadTags() {
+  const data = await api("/api/admin/tags");
+  $("tagList").innerHTML = (data.rows || []).map(t => `
+    <div class="grid2" style="align-items:center; margin-top:8px;">
+      <div>
+        <input class="input" data-tag-label="${esc(t.id)}" value="${esc(t.label)}" maxlength="40" />
+        <div class="dim" style="font-size:13px;">${esc(t.slug)} · ${esc(t.review_count)} reviews${t.retired_at ? " · retired" : ""}</div>
+      </div>
+      <div style="display:flex; gap:8px; align-items:center;">
+        <input class="input" style="width:80px;" data-tag-order="${esc(t.id)}" value="${esc(t.sort_order)}" inputmode="numeric" title="Sort order" />
+        <button class="btn" style="margin-top:0; width:auto;" data-act="tag-save" data-id="${esc(t.id)}">Save</button>
+        <button class="btn" style="margin-top:0; width:auto;" data-act="${t.retired_at ? "tag-unretire" : "tag-retire"}" data-id="${esc(t.id)}">${t.retired_at ? "Bring back" : "Retire"}</button>
+        ${t.review_count ? "" : `<button class="btn" style="margin-top:0; width:auto;" data-act="tag-delete" data-id="${esc(t.id)}">Delete</button>`}
+      </div>
+    </div>
+  `).join("") || `<div class="dim" style="margin-top:10px;">No tags yet.</div>`;
+}
+
+// "3h 20m"-style length of a wait
+function formatWait(seconds) {
+  if (seconds == null) return "—";
+  const m = Math.round(seconds / 60);
+  if (m < 60) return `${m}m`;
+  const h = Math.floor(m / 60);
+  if (h < 48) return `${h}h ${m % 60}m`;
+  return `${Math.floor(h / 24)}d ${h % 24}h`;
+}
+
+const pct = (x) => x == null ? "—" : `${Math.round(x * 100)}%`;
+
+// Submissions per day; the darker part of each bar is what's approved now
+function dayChart(days) {
+  const w = 600, h = 120, padB = 16;
+  const max = Math.max(1, ...days.map(d => d.submitted));
+  const step = w / days.length;
+  const bars = days.map((d, i) => {
+    const total = Math.round((d.submitted / max) * (h - padB));
+    const ok = Math.round((d.approved / max) * (h - padB));
+    return `
+      <rect x="${(i * step).toFixed(1)}" y="${h - padB - total}" width="${Math.max(1, step - 1).toFixed(1)}" height="${total}" fill="#c7d2fe">
+        <title>${esc(d.day)}: ${d.submitted} submitted, ${d.approved} approved, ${d.rejected} rejected, ${d.pending} pending</title>
+      </rect>
+      <rect x="${(i * step).toFixed(1)}" y="${h - padB - ok}" width="${Math.max(1, step - 1).toFixed(1)}" height="${ok}" fill="#6366f1" pointer-events="none"></rect>`;
+  }).join("");
+  return `
+    <svg viewBox="0 0 ${w} ${h}" width="100%" height="${h}" role="img" aria-label="Reviews submitted per day">
+      ${bars}
+      <text x="0" y="${h - 3}" font-size="10" fill="#9ca3af">${esc(days[0].day)}</text>
+      <text x="${w}" y="${h - 3}" font-size="10" fill="#9ca3af" text-anchor="end">${esc(days[days.length - 1].day)}</text>
+    </svg>`;
+}
+
+function dashTeacherList(rows, empty) {
+  return rows.map(t => `
+    <div class="dim">#${esc(t.id)} ${esc(t.name ?? "(deleted)")} · ${esc(t.school ?? "")} ·
+      ${esc(t.submitted)} submitted, ${esc(t.approved)} approved, ${esc(t.rejected)} rejected</div>
+  `).join("") || `<div class="dim">${esc(empty)}</div>`;
+}
+
+async function loadDashboard() {
+  const d = await api("/api/admin/stats", {
+    from: $("dashFrom").value,
+    to: $("dashTo").value,
+    school: $("dashSchool").value.trim(),
+  });
+  const { totals, decisions, queue } = d;
+  $("dashboard").innerHTML = `
+    <div class="dim" style="margin-top:10px;">${esc(d.from)} to ${esc(d.to)}${d.school ? ` · ${esc(d.school)}` : ""}</div>
+    <div style="margin-top:8px;">
+      <span class="badge">${esc(totals.submitted)} submitted</span>
+      <span class="badge">${esc(totals.approved)} approved</span>
+      <span class="badge">${esc(totals.rejected)} rejected</span>
+      <span class="badge">${esc(totals.unpublished)} unpublished</span>
+      <span class="badge">${esc(totals.pending)} still pending</span>
+    </div>
+    ${dayChart(d.per_day)}
+
+    <h3>Moderation</h3>
+    <div class="dim">
+      ${esc(decisions.decided)} first decisions: ${pct(decisions.approve_rate)} approved,
+      ${pct(decisions.decided ? decisions.rejected / decisions.decided : null)} rejected ·
+      median wait ${esc(formatWait(decisions.median_wait_seconds))}
+    </div>
+    <div class="dim">
+      Queue now: ${esc(queue.pending)} pending · oldest ${esc(formatWait(queue.oldest_age_seconds))} ·
+      median ${esc(formatWait(queue.median_age_seconds))} · ${esc(queue.over_24h)} waiting over a day
+    </div>
+
+    <h3>Most reviewed teachers</h3>
+    ${dashTeacherList(d.most_reviewed, "No reviews in this range.")}
+    <h3>Most rejected teachers</h3>
+    ${dashTeacherList(d.most_rejected, "No rejections in this range.")}
+
+    <h3>Schools</h3>
+    ${d.schools.map(s => `
+      <div class="dim">${esc(s.school)} · ${esc(s.submitted)} reviews of ${esc(s.teachers)} teachers ·
+        ${esc(s.approved)} approved, ${esc(s.rejected)} rejected, ${esc(s.pending)} pending</div>
+    `).join("") || `<div class="dim">No reviews in this range.</div>`}
+  `;
+}
+
+const WEBHOOK_EVENT_LABELS = {
+  "review.pending": "New review",
+  "review.flagged": "Review flagged",
+  "queue.over_threshold": "Queue over threshold",
+  "scrape.failed": "Scrape failed",
+};
+
+function webhookEventBoxes(attr, picked) {
+  return Object.entries(WEBHOOK_EVENT_LABELS).map(([event, label]) => `
+    <label class="dim"><input type="checkbox" ${attr} value="${esc(event)}" ${picked.includes(event) ? "checked" : ""} /> ${esc(label)}</label>
+  `).join("");
+}
+
+function showWebhookSecret(name, secret) {
+  $("webhookSecret").innerHTML = `
+    <div class="card" style="margin-top:10px;">
+      Signing secret for ${esc(name)}: <strong style="font-family:monospace; word-break:break-all;">${esc(secret)}</strong>
+      <div class="dim">It won't be shown again. Receivers use it to check the X-Webhook-Signature header.</div>
+    </div>
+  `;
+}
+
+async function loadWebhooks() {
+  const data = await api("/api/admin/webhooks");
+  $("webhookList").innerHTML = (data.rows || []).map(w => `
+    <div class="card" style="margin-top:10px;">
+      <div style="font-weight:700;">${esc(w.name)}
+        <span class="badge">${esc(w.format)}</span>
+        ${w.enabled ? "" : `<span class="badge">disabled</span>`}
+      </div>
+      <div class="dim" style="font-size:13px; word-break:break-all;">${esc(w.url)} · secret ${esc(w.secret_hint)}</div>
+      <div class="dim" style="font-size:13px;">
+        Last delivered ${esc(w.last_delivered_at || "never")}${w.retrying_count ? ` · ${esc(w.retrying_count)} retrying` : ""}${w.failed_count ? ` · ${esc(w.failed_count)} failed` : ""}
+      </div>
+      <div style="display:flex; gap:10px; flex-wrap:wrap; align-items:center; margin-top:6px;">
+        ${webhookEventBoxes(`data-hook-event="${esc(w.id)}"`, w.events)}
+        <label class="dim">Queue alert at
+          <input class="input" style="width:70px;" data-hook-threshold="${esc(w.id)}" value="${esc(w.queue_threshold)}" inputmode="numeric" />
+        </label>
+      </div>
+      <div style="display:flex; gap:8px; flex-wrap:wrap;">
+        <button class="btn" style="width:auto;" data-act="hook-save" data-id="${esc(w.id)}">Save</button>
+        <button class="btn" style="width:auto;" data-act="hook-test" data-id="${esc(w.id)}">Send test</button>
+        <button class="btn" style="width:auto;" data-act="hook-log" data-id="${esc(w.id)}">Deliveries</button>
+        <button class="btn" style="width:auto;" data-act="${w.enabled ? "hook-disable" : "hook-enable"}" data-id="${esc(w.id)}">${w.enabled ? "Disable" : "Enable"}</button>
+        <button class="btn" style="width:auto;" data-act="hook-rotate" data-id="${esc(w.id)}">New secret</button>
+        <button class="btn" style="width:auto;" data-act="hook-delete" data-id="${esc(w.id)}">Delete</button>
+      </div>
+    </div>
+  `).join("") || `<div class="dim" style="margin-top:10px;">No webhooks yet.</div>`;
+}
+
+let webhookLogId = null;
+let webhookCursor = null;
+
+async function loadWebhookDeliveries({ more = false } = {}) {
+  const data = await api("/api/admin/webhooks/deliveries", {
+    webhook_id: webhookLogId,
+    ...(more && webhookCursor ? { cursor: webhookCursor } : {}),
+  });
+  webhookCursor = data.next_cursor;
+  const html = (data.rows || []).map(d => `
+    <div class="dim" style="margin-top:6px;">
+      #${esc(d.id)} ${esc(d.event)} <span class="badge">${esc(d.status)}</span>
+      ${esc(d.created_at)} · ${esc(d.attempts)} attempt${d.attempts === 1 ? "" : "s"}
+      ${d.response_status ? ` · HTTP ${esc(d.response_status)}` : ""}${d.last_error ? ` · ${esc(d.last_error)}` : ""}
+      ${d.status === "pending" && d.next_attempt_at ? ` · next try ${esc(d.next_attempt_at)}` : ""}
+      ${d.status === "delivered" ? "" : `<button class="link-btn" data-act="delivery-retry" data-id="${esc(d.id)}">Retry now</button>`}
+    </div>
+  `).join("");
+  if (more) $("webhookDeliveries").insertAdjacentHTML("beforeend", html);
+  else $("webhookDeliveries").innerHTML = `<h3 style="margin-top:16px;">Deliveries for webhook #${esc(webhookLogId)}</h3>`
+    + (html || `<div class="dim">Nothing sent yet.</div>`);
+  $("webhookDeliveriesMore").classList.toggle("hidden", !webhookCursor);
+}
+
+let teacherCursor = null;
+
+async function loadTeachers({ more = false } = {}) {
+  const data = await api("/api/admin/teachers", {
+    q: $("teacherQ").value.trim(),
+    status: $("teacherStatus").value,
+    cursor: more ? teacherCursor : null,
+  });
+  teacherCursor = data.next_cursor;
+  const html = (data.rows || []).map(t => `
+    <div style="display:flex; gap:10px; align-items:center; margin-top:8px;">
+      <span style="flex:1;">
+        #${esc(t.id)} <strong>${esc(t.name)}</strong> <span class="dim">${esc(t.school)} · ${esc(t.review_count)} reviews</span>
+        ${t.hidden_at ? `<span class="badge">hidden</span>` : ""}
+        ${t.unlisted_at ? `<span class="badge">no longer listed</span>` : ""}
+      </span>
+      <button class="btn" style="margin-top:0; width:auto;" data-act="teacher-open" data-id="${esc(t.id)}">Edit</button>
+    </div>
+  `).join("");
+  if (more) $("teacherList").insertAdjacentHTML("beforeend", html);
+  else $("teacherList").innerHTML = html || `<div class="dim" style="margin-top:10px;">No teachers found.</div>`;
+  $("teacherMore").classList.toggle("hidden", !teacherCursor);
+}
+
+async function loadTeacherEditor() {
+  const id = $("editTeacherId").value.trim();
+  const box = $("teacherEditor");
+  box.innerHTML = "";
+  if (!id) return;
+
+  const { teacher: t } = await api("/api/admin/teacher", { id: Number(id) });
+  const { rows: claims } = await api("/api/admin/teachers/claims", { teacher_id: Number(id) });
+  const counts = Object.entries(t.review_counts || {}).map(([k, n]) => `${n} ${k}`).join(", ") || "no reviews";
+
+  box.innerHTML = `
+    <div style="font-weight:700; margin-top:16px;">#${esc(t.id)} ${esc(t.name)} <span class="dim">(${esc(t.school)})</span>
+      ${t.hidden_at ? `<span class="badge">hidden</span>` : ""}
+      ${t.unlisted_at ? `<span class="badge">no longer listed</span>` : ""}
+    </div>
+    <div class="dim">${esc(counts)} · ${t.source_url ? "from the school directory" : "added by hand"}</div>
+    <div class="grid2">
+      <div>
+        <label class="label">Name</label>
+        <input id="editName" class="input" value="${esc(t.name)}" maxlength="80" />
+      </div>
+      <div>
+        <label class="label">School</label>
+        <input id="editSchool" class="input" value="${esc(t.school)}" maxlength="120" />
+      </div>
+      <div>
+        <label class="label">Department</label>
+        <input id="editDept" class="input" value="${esc(t.department || "")}" maxlength="80" />
+      </div>
+      <div>
+        <label class="label">Title</label>
+        <input id="editTitle" class="input" value="${esc(t.title || "")}" maxlength="120" />
+      </div>
+    </div>
+    <div class="dim">Renaming keeps the old name as an alias so the scraper doesn't add it back.</div>
+    <div style="display:flex; gap:10px;">
+      <button class="btn" data-act="teacher-save" data-id="${esc(t.id)}">Save</button>
+      <button class="btn" data-act="${t.hidden_at ? "teacher-unhide" : "teacher-hide"}" data-id="${esc(t.id)}">${t.hidden_at ? "Unhide" : "Hide"}</button>
+      <button class="btn" data-act="teacher-delete" data-id="${esc(t.id)}">Delete</button>
+    </div>
+
+    <label class="label">Courses</label>
+    ${(t.courses || []).map(c => `
+      <div style="display:flex; gap:10px; align-items:center; margin-top:6px;">
+        <span style="flex:1;">${esc(c.name)} <span class="dim">(${esc(c.source)}, ${esc(c.review_count)} reviews)</span></span>
+        <button class="btn" style="margin-top:0; width:auto;" data-act="course-remove" data-id="${esc(c.id)}">Remove</button>
+      </div>
+    `).join("") || `<div class="dim">No courses yet.</div>`}
+    <input id="newCourse" class="input" style="margin-top:10px;" placeholder="Add a course, e.g. AP Chemistry" maxlength="60" />
+    <button class="btn" data-act="course-add" data-id="${esc(t.id)}">Add course</button>
+
+    <label class="label">Name aliases</label>
+    <div class="dim">The scraper treats these names as this teacher instead of creating a new one.</div>
+    ${(t.aliases || []).map(a => `
+      <div style="display:flex; gap:10px; align-items:center; margin-top:6px;">
+        <span style="flex:1;">${esc(a.name)} <span class="dim">(${esc(a.source)}${a.old_teacher_id ? `, was #${esc(a.old_teacher_id)}` : ""})</span></span>
+        <button class="btn" style="margin-top:0; width:auto;" data-act="alias-remove" data-id="${esc(a.id)}">Remove</button>
+      </div>
+    `).join("") || `<div class="dim">No aliases.</div>`}
+    <input id="newAlias" class="input" style="margin-top:10px;" placeholder="e.g. Bob Smith" maxlength="80" />
+    <button class="btn" data-act="alias-add" data-id="${esc(t.id)}">Add alias</button>
+
+    <label class="label">Teacher verification</label>
+    <div class="dim">A claim code lets the teacher sign in on their page and respond to reviews. Codes work once.</div>
+    ${(claims || []).map(c => `
+      <div style="display:flex; gap:10px; align-items:center; margin-top:6px;">
+        <span style="flex:1;">#${esc(c.id)} <span class="dim">${esc(claimState(c))} · issued ${esc(c.created_at.slice(0, 10))} by ${esc(c.created_by || "unknown")}</span></span>
+        ${c.revoked_at ? "" : `<button class="btn" style="margin-top:0; width:auto;" data-act="claim-revoke" data-id="${esc(c.id)}">Revoke</button>`}
+      </div>
+    `).join("") || `<div class="dim">No claim codes issued.</div>`}
+    <button class="btn" data-act="claim-create" data-id="${esc(t.id)}">Issue claim code</button>
+    <div id="claimCode" style="margin-top:8px;"></div>
+  `;
+}
+
+function claimState(c) {
+  if (c.revoked_at) return "revoked";
+  if (c.redeemed_at) return `verified${c.last_used_at ? `, last active ${c.last_used_at.slice(0, 10)}` : ""}`;
+  return c.expires_at < new Date().toISOString() ? "expired" : `unused, expires ${c.expires_at.slice(0, 10)}`;
+}
+
+async function createTeacher() {
+  const out = await api("/api/admin/teachers/create", {
+    name: $("newTeacherName").value,
+    school: $("newTeacherSchool").value,
+    department: $("newTeacherDept").value,
+    title: $("newTeacherTitle").value,
+  });
+  for (const f of ["newTeacherName", "newTeacherDept", "newTeacherTitle"]) $(f).value = "";
+  $("msg").textContent = `Added teacher #${out.id}.`;
+  $("editTeacherId").value = out.id;
+  await loadTeacherEditor();
+}
+
+async function loadDuplicates() {
+  const data = await api("/api/admin/teachers/duplicates", { school: $("dupSchool").value.trim() });
+  const side = (t) => `
+    <div style="flex:1;">
+      <a href="/teacher.html?id=${encodeURIComponent(t.id)}" target="_blank">#${esc(t.id)} ${esc(t.name)}</a>
+      <div class="dim">${esc(t.review_count)} reviews</div>
+    </div>
+  `;
+  $("duplicates").innerHTML = (data.rows || []).map(p => `
+    <div class="card" style="margin-top:10px;">
+      <div class="dim">${esc(p.a.school)} · ${esc(p.reason)} (${Math.round(p.score * 100)}%)</div>
+      <div style="display:flex; gap:10px; margin-top:8px;">${side(p.a)}${side(p.b)}</div>
+      <div style="display:flex; gap:10px;">
+        <button class="btn" data-act="merge" data-id="${esc(p.a.id)}" data-other="${esc(p.b.id)}">Keep #${esc(p.a.id)}</button>
+        <button class="btn" data-act="merge" data-id="${esc(p.b.id)}" data-other="${esc(p.a.id)}">Keep #${esc(p.b.id)}</button>
+        <button class="btn" data-act="not-duplicate" data-id="${esc(p.a.id)}" data-other="${esc(p.b.id)}">Not duplicates</button>
       </div>
+    </div>
+  `).join("") || `<div class="dim" style="margin-top:10px;">No likely duplicates.</div>`;
+}
+
+// Diff of one school's run: added / missing / newly unlisted names
+function scrapeDiffHtml(run, diff) {
+  const names = (list) => list.length ? list.map(n => esc(n)).join(", ") : "—";
+  const missing = (diff.missing || []).map(m => `${m.name} (${m.missing_runs}×)`);
+  return `
+    <div class="card" style="margin-top:10px;">
+      <div style="font-weight:700;">${esc(run.school)}
+        ${run.dry_run ? `<span class="badge">dry run</span>` : ""}
+        ${run.ok ? "" : `<span class="badge">failed</span>`}
+      </div>
+      <div class="dim" style="margin-top:4px;">
+        ${run.ok ? `Found ${esc(run.found)} · ${esc(diff.unchanged?.length ?? 0)} unchanged` : esc(run.error)}
+        ${run.warning ? ` · ${esc(run.warning)}` : ""}
+      </div>
+      <div style="margin-top:6px;"><strong>New:</strong> ${names(diff.added || [])}</div>
+      <div style="margin-top:6px;"><strong>Missing:</strong> ${names(missing)}</div>
+      <div style="margin-top:6px;"><strong>${run.dry_run ? "Would be" : "Now"} no longer listed:</strong> ${names(diff.unlisted || [])}</div>
+      ${(diff.relisted || []).length ? `<div style="margin-top:6px;"><strong>Listed again:</strong> ${names(diff.relisted)}</div>` : ""}
+    </div>
+  `;
+}
+
+async function previewScrape() {
+  $("msg").textContent = "Fetching directories (nothing is saved)…";
+  const result = await api("/api/admin/scrape", { dry_run: true });
+  $("msg").textContent = "";
+  $("scrapeDiff").innerHTML = `
+    <h3>Preview</h3>
+    ${(result.schools || []).map(s => scrapeDiffHtml(s, s.diff || {})).join("") || `<div class="dim">No schools enabled.</div>`}
+    <button class="btn" data-act="scrape-apply">Apply (runs the scrape for real)</button>
+  `;
+}
+
+let scrapeCursor = null;
+
+async function loadScrapeRuns({ more = false } = {}) {
+  const data = await api("/api/admin/scrape/runs", more && scrapeCursor ? { cursor: scrapeCursor } : {});
+  scrapeCursor = data.next_cursor;
+  const html = (data.rows || []).map(r => `
+    <div class="card" style="margin-top:10px;">
+      <div style="font-weight:700;">#${esc(r.id)} ${esc(r.school)}
+        <span class="badge">${r.ok ? "ok" : "failed"}</span>
+        ${r.dry_run ? `<span class="badge">dry run</span>` : ""}
+      </div>
+      <div class="dim" style="margin-top:4px;">
+        ${esc(r.started_at)} · ${esc(r.trigger)}${r.actor ? ` by ${esc(r.actor)}` : ""} · ${esc(r.duration_ms)} ms · HTTP ${esc(r.http_status ?? "—")}
+      </div>
+      <div class="dim">${r.ok
+        ? `Found ${esc(r.found)}: +${esc(r.added_count)} new, ${esc(r.unchanged_count)} unchanged, ${esc(r.missing_count)} missing, ${esc(r.unlisted_count)} unlisted`
+        : esc(r.error)}</div>
+      <button class="link-btn" data-act="scrape-run" data-id="${esc(r.id)}">Show names</button>
+      <div id="scrapeRun-${esc(r.id)}"></div>
+    </div>
+  `).join("");
+  if (more) $("scrapeRuns").insertAdjacentHTML("beforeend", html);
+  else $("scrapeRuns").innerHTML = html || `<div class="dim" style="margin-top:10px;">No runs yet.</div>`;
+  $("moreScrapeRuns").classList.toggle("hidden", !scrapeCursor);
+}
+
+// Like api(), but saves the response as a file (name from Content-Disposition)
+async function download(path, body = {}) {
+  const res = await fetch(path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "Authorization": `Bearer ${session?.token || ""}` },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) {
+    const raw = await res.text();
+    let data = null;
+    try { data = JSON.parse(raw); } catch {}
+    throw new Error(data?.error || raw || `HTTP ${res.status}`);
+  }
+  const name = /filename="([^"]+)"/.exec(res.headers.get("Content-Disposition") || "")?.[1] || "export";
+  const url = URL.createObjectURL(await res.blob());
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+  return { name, count: res.headers.get("X-Row-Count") };
+}
+
+async function runExport() {
+  const out = await download("/api/admin/export", {
+    kind: $("exportKind").value,
+    format: $("exportFormat").value,
+    school: $("exportSchool").value.trim(),
+    teacher_id: $("exportTeacher").value.trim() || null,
+    from: $("exportFrom").value || null,
+    to: $("exportTo").value || null,
+  });
+  $("msg").textContent = `Downloaded ${out.name} (${out.count} rows).`;
+}
+
+const IMPORT_STATUS_LABELS = {
+  new: "New",
+  existing: "Already on file (updates title)",
+  alias: "Alias of an existing teacher",
+  possible_duplicate: "New, but similar to an existing teacher",
+  invalid: "Skipped: invalid",
+  repeat: "Skipped: repeated in file",
+};
+
+let importCsv = "";
+
+async function importRoster(commit) {
+  if (!commit) {
+    const file = $("importFile").files[0];
+    if (!file) { $("msg").textContent = "Choose a CSV file first."; return; }
+    importCsv = await file.text();
+  }
+  const out = await api("/api/admin/import/teachers", { csv: importCsv, school: $("importSchool").value.trim(), commit });
+
+  const summary = Object.entries(out.summary).map(([k, n]) => `${IMPORT_STATUS_LABELS[k] || k}: ${n}`).join(" · ");
+  const importable = out.rows.filter(r => r.status !== "invalid" && r.status !== "repeat").length;
+  $("importResult").innerHTML = `
+    <div style="margin-top:12px;"><strong>${out.committed ? `Imported ${esc(out.imported)} teachers.` : "Preview"}</strong></div>
+    <div class="dim">${esc(summary)}</div>
+    ${out.rows.filter(r => r.status !== "new" || r.warning).map(r => `
       <div class="dim" style="margin-top:6px;">
-        Overall: ${esc(r.overall)} | Clarity: ${esc(r.clarity)} | Difficulty: ${esc(r.difficulty)} |
-        Take again: ${r.would_take_again ? "Yes" : "No"}
+        Line ${esc(r.line)}: ${esc(r.name || "(blank)")} — ${esc(IMPORT_STATUS_LABELS[r.status] || r.status)}
+        ${r.match ? ` (#${esc(r.match.id)} ${esc(r.match.name)})` : ""}${r.error ? ` · ${esc(r.error)}` : ""}${r.warning ? ` · ${esc(r.warning)}` : ""}
       </div>
-      <div style="margin-top:8px; white-space:pre-wrap;">${esc(r.comment || "")}</div>
-      <div class="dim" style="margin-top:8px;">${esc(r.created_at)} — ID: ${esc(r.id)}</div>
+    `).join("")}
+    ${!out.committed && importable ? `<button class="btn" data-act="import-commit">Import ${importable} teachers</button>` : ""}
+  `;
+}
+
+async function loadHistory() {
+  const kind = $("historyKind").value;
+  const id = $("historyId").value.trim();
+  const box = $("history");
+  box.innerHTML = "";
+  if (!id) return;
+
+  const data = await api("/api/admin/history", { [kind]: id });
+  const eventsByReview = {};
+  const eventsByResponse = {};
+  for (const e of data.events || []) {
+    if (e.response_id) (eventsByResponse[e.response_id] ||= []).push(e);
+    else (eventsByReview[e.review_id] ||= []).push(e);
+  }
+  const responseByReview = {};
+  for (const p of data.responses || []) responseByReview[p.review_id] = p;
+
+  box.innerHTML = (data.reviews || []).map(r => `
+    <div class="card" style="margin-top:12px;">
+      <div style="font-weight:700;">#${esc(r.id)} ${esc(r.teacher_name || "Unknown teacher")}
+        <span class="badge">${esc(r.status)}</span>
+      </div>
+      <div class="dim" style="margin-top:6px;">
+        ${ratingsLine(r)} — ${esc(r.created_at)}
+      </div>
+      <div style="margin-top:8px; white-space:pre-wrap;">${highlightComment(r.comment, r.flags)}</div>
+      ${eventList(eventsByReview[r.id])}
+      ${(REVERSALS[r.status] || []).length ? `
+        ${reasonControls(r.id)}
+        <div style="display:flex; gap:10px;">
+          ${REVERSALS[r.status].map(a => `<button class="btn" data-act="${a}" data-id="${esc(r.id)}">${a[0].toUpperCase() + a.slice(1)}</button>`).join("")}
+        </div>
+      ` : ""}
+      ${responseByReview[r.id] ? responseHistory(responseByReview[r.id], eventsByResponse) : ""}
+    </div>
+  `).join("") || `<div class="dim" style="margin-top:10px;">Nothing found.</div>`;
+}
+
+function eventList(events) {
+  return `
+    <ul class="dim" style="margin-top:8px;">
+      ${(events || []).map(e => `
+        <li>${esc(e.created_at)} — <strong>${esc(e.action)}</strong> by ${esc(e.actor || "unknown")}
+          (${esc(e.from_status)} → ${esc(e.to_status)})${e.reason_code ? ` · ${esc(e.reason_code)}` : ""}${e.note ? ` · “${esc(e.note)}”` : ""}</li>
+      `).join("") || "<li>No moderation events.</li>"}
+    </ul>
+  `;
+}
+
+function responseHistory(p, eventsByResponse) {
+  return `
+    <div style="margin-top:12px; padding-left:12px; border-left:3px solid #e5e7eb;">
+      <div style="font-weight:700;">Teacher response #${esc(p.id)} <span class="badge">${esc(p.status)}</span></div>
+      <div style="margin-top:6px; white-space:pre-wrap;">${highlightComment(p.body, p.flags)}</div>
+      ${eventList(eventsByResponse[p.id])}
+      ${(REVERSALS[p.status] || []).length ? `
+        ${reasonControls(`response-${p.id}`)}
+        <div style="display:flex; gap:10px;">
+          ${REVERSALS[p.status].map(a => `<button class="btn" data-act="response-${a}" data-id="${esc(p.id)}">${a[0].toUpperCase() + a.slice(1)}</button>`).join("")}
+        </div>
+      ` : ""}
+    </div>
+  `;
+}
+
+function renderSession() {
+  const signedIn = !!session;
+  $("loginCard").classList.toggle("hidden", signedIn);
+  $("toolsCard").classList.toggle("hidden", !signedIn);
+
+  document.querySelectorAll("[data-perm]").forEach(node => {
+    node.classList.toggle("hidden", !signedIn || !can(node.dataset.perm));
+  });
+
+  if (signedIn) {
+    $("whoami").textContent = session.moderator.username;
+    $("role").textContent = `(${session.moderator.role})`;
+  } else {
+    $("list").innerHTML = "";
+    $("dashboard").innerHTML = "";
+    $("history").innerHTML = "";
+    $("reports").innerHTML = "";
+    $("responses").innerHTML = "";
+    $("tagList").innerHTML = "";
+    $("criteriaList").innerHTML = "";
+    $("webhookList").innerHTML = "";
+    $("webhookSecret").innerHTML = "";
+    $("webhookDeliveries").innerHTML = "";
+    $("teacherEditor").innerHTML = "";
+    $("teacherList").innerHTML = "";
+    $("duplicates").innerHTML = "";
+    $("scrapeDiff").innerHTML = "";
+    $("scrapeRuns").innerHTML = "";
+    $("importResult").innerHTML = "";
+    $("moderators").innerHTML = "";
+    $("msg").textContent = "";
+  }
+}
+
+async function login() {
+  const msg = $("loginMsg");
+  msg.textContent = "";
+  try {
+    const out = await api("/api/admin/login", { username: $("username").value.trim(), password: $("password").value });
+    saveSession({ token: out.token, expires_at: out.expires_at, moderator: out.moderator });
+    $("password").value = "";
+    renderSession();
+    if (can("moderators.manage")) await loadModerators();
+  } catch (err) {
+    msg.textContent = "Error: " + err.message;
+  }
+}
+
+async function logout() {
+  try { await api("/api/admin/logout"); } catch {}
+  saveSession(null);
+  renderSession();
+}
 
+async function loadModerators() {
+  const data = await api("/api/admin/moderators");
+  const roles = ["reviewer", "scraper", "owner"];
+  $("moderators").innerHTML = (data.rows || []).map(m => `
+    <div class="card" style="margin-top:10px;">
+      <div style="font-weight:700;">${esc(m.username)}
+        ${m.disabled ? `<span class="dim">(disabled)</span>` : ""}
+      </div>
+      <div class="dim" style="margin-top:4px;">Last sign-in: ${esc(m.last_login_at || "never")}</div>
+      <div style="display:flex; gap:10px; margin-top:10px; align-items:center;">
+        <select class="input" data-role-for="${esc(m.id)}">
+          ${roles.map(r => `<option value="${r}"${r === m.role ? " selected" : ""}>${r}</option>`).join("")}
+        </select>
+        <button class="btn" style="margin-top:0;" data-act="mod-role" data-id="${esc(m.id)}">Save role</button>
+      </div>
       <div style="display:flex; gap:10px; margin-top:10px;">
-        <button class="btn" data-act="approve" data-id="${esc(r.id)}">Approve</button>
-        <button class="btn" data-act="reject" data-id="${esc(r.id)}">Reject</button>
+        <button class="btn" data-act="mod-password" data-id="${esc(m.id)}">Reset password</button>
+        <button class="btn" data-act="${m.disabled ? "mod-enable" : "mod-disable"}" data-id="${esc(m.id)}">
+          ${m.disabled ? "Enable" : "Disable"}
+        </button>
       </div>
     </div>
-  `).join("");
+  `).join("") || `<div class="dim">No moderators.</div>`;
 }
 
-// Handle approve/reject clicks
+// Handle approve/reject and moderator-management clicks
 document.addEventListener("click", async (e) => {
   const btn = e.target.closest("button[data-act]");
   if (!btn) return;
 
-  const token = $("token").value;
   const id = btn.dataset.id;
   const act = btn.dataset.act;
 
   try {
-    const endpoint = act === "approve" ? "/api/admin/approve" : "/api/admin/reject";
-    await api(endpoint, { token, id });
-    await loadPending();
+    if (act === "approve" || act === "reject") {
+      await decide(id, act);
+    } else if (act === "teacher-open") {
+      $("editTeacherId").value = id;
+      await loadTeacherEditor();
+    } else if (act === "teacher-save") {
+      await api("/api/admin/teachers/update", {
+        id: Number(id),
+        name: $("editName").value,
+        school: $("editSchool").value,
+        department: $("editDept").value,
+        title: $("editTitle").value,
+      });
+      $("msg").textContent = "Teacher saved.";
+      await loadTeacherEditor();
+    } else if (act === "teacher-hide" || act === "teacher-unhide") {
+      if (act === "teacher-hide" && !confirm("Hide this teacher from the public site? Reviews are kept.")) return;
+      await api("/api/admin/teachers/hide", { id: Number(id), hidden: act === "teacher-hide" });
+      await loadTeacherEditor();
+    } else if (act === "teacher-delete") {
+      if (!confirm("Delete this teacher? Only possible when they have no reviews.")) return;
+      await api("/api/admin/teachers/delete", { id: Number(id) });
+      $("editTeacherId").value = "";
+      $("teacherEditor").innerHTML = "";
+      $("msg").textContent = `Deleted teacher #${id}.`;
+    } else if (act === "course-add") {
+      await api("/api/admin/courses/add", { teacher_id: Number(id), name: $("newCourse").value });
+      await loadTeacherEditor();
+    } else if (act === "course-remove") {
+      if (!confirm("Remove this course? Its reviews stay, marked as course not specified.")) return;
+      await api("/api/admin/courses/remove", { id: Number(id) });
+      await loadTeacherEditor();
+    } else if (act === "alias-add") {
+      await api("/api/admin/aliases/add", { teacher_id: Number(id), name: $("newAlias").value });
+      await loadTeacherEditor();
+    } else if (act === "alias-remove") {
+      if (!confirm("Remove this alias? Old links and scraper matches using it will stop resolving.")) return;
+      await api("/api/admin/aliases/remove", { id: Number(id) });
+      await loadTeacherEditor();
+    } else if (act === "merge") {
+      const other = btn.dataset.other;
+      if (!confirm(`Merge #${other} into #${id}? #${other} will be deleted and its reviews moved.`)) return;
+      const out = await api("/api/admin/teachers/merge", { keep_id: Number(id), merge_id: Number(other) });
+      $("msg").textContent = `Merged “${out.merged.name}” into #${out.kept.id} (${out.reviews_moved} reviews moved).`;
+      await loadDuplicates();
+    } else if (act === "not-duplicate") {
+      await api("/api/admin/teachers/not_duplicate", { a_id: Number(id), b_id: Number(btn.dataset.other) });
+      await loadDuplicates();
+    } else if (act === "import-commit") {
+      await importRoster(true);
+    } else if (act === "scrape-apply") {
+      $("scrapeDiff").innerHTML = "";
+      $("scrape").click();
+    } else if (act === "scrape-run") {
+      const { run } = await api("/api/admin/scrape/run", { id: Number(id) });
+      $(`scrapeRun-${id}`).innerHTML = scrapeDiffHtml(run, run.diff || {});
+    } else if (act === "report-unpublish") {
+      await api("/api/admin/unpublish", { ...decisionBody(id), reason_code: decisionBody(id).reason_code || "reported" });
+      await loadReports();
+    } else if (act === "report-dismiss") {
+      await api("/api/admin/reports/dismiss", { review_id: Number(id) });
+      await loadReports();
+    } else if (act.startsWith("response-")) {
+      const action = act.slice("response-".length);
+      await api(`/api/admin/responses/${action}`, { ...decisionBody(`response-${id}`), id: Number(id) });
+      if (action === "approve" || action === "reject") document.querySelector(`[data-response="${id}"]`)?.remove();
+      else await loadHistory();
+    } else if (act === "crit-save") {
+      await api("/api/admin/criteria/save", criterionBody(id));
+      await loadCriteria();
+    } else if (act === "crit-retire" || act === "crit-unretire") {
+      await api("/api/admin/criteria/save", { ...criterionBody(id), retired: act === "crit-retire" });
+      await loadCriteria();
+    } else if (act === "crit-reset") {
+      await api("/api/admin/criteria/reset", { school: $("criteriaSchool").value.trim(), slug: id });
+      await loadCriteria();
+    } else if (act === "tag-save") {
+      await api("/api/admin/tags/update", {
+        id: Number(id),
+        label: document.querySelector(`[data-tag-label="${id}"]`).value,
+        sort_order: document.querySelector(`[data-tag-order="${id}"]`).value,
+      });
+      await loadTags();
+    } else if (act === "tag-retire" || act === "tag-unretire") {
+      await api("/api/admin/tags/update", { id: Number(id), retired: act === "tag-retire" });
+      await loadTags();
+    } else if (act === "tag-delete") {
+      if (!confirm("Delete this tag?")) return;
+      await api("/api/admin/tags/delete", { id: Number(id) });
+      await loadTags();
+    } else if (act === "hook-save") {
+      await api("/api/admin/webhooks/update", {
+        id: Number(id),
+        events: [...document.querySelectorAll(`[data-hook-event="${id}"]:checked`)].map(b => b.value),
+        queue_threshold: document.querySelector(`[data-hook-threshold="${id}"]`).value,
+      });
+      await loadWebhooks();
+    } else if (act === "hook-test") {
+      const out = await api("/api/admin/webhooks/test", { id: Number(id) });
+      const d = out.delivery;
+      $("msg").textContent = d.status === "delivered"
+        ? `Test delivered (HTTP ${d.response_status}).`
+        : `Test failed: ${d.last_error || "no response"}. It will be retried.`;
+      if (webhookLogId === Number(id)) await loadWebhookDeliveries();
+    } else if (act === "hook-log") {
+      webhookLogId = Number(id);
+      await loadWebhookDeliveries();
+    } else if (act === "hook-enable" || act === "hook-disable") {
+      await api("/api/admin/webhooks/update", { id: Number(id), enabled: act === "hook-enable" });
+      await loadWebhooks();
+    } else if (act === "hook-rotate") {
+      if (!confirm("Make a new signing secret? The old one stops working right away.")) return;
+      const out = await api("/api/admin/webhooks/rotate", { id: Number(id) });
+      showWebhookSecret(`webhook #${id}`, out.secret);
+      await loadWebhooks();
+    } else if (act === "hook-delete") {
+      if (!confirm("Delete this webhook and its delivery log? Disable it instead to keep the log.")) return;
+      await api("/api/admin/webhooks/delete", { id: Number(id) });
+      if (webhookLogId === Number(id)) {
+        webhookLogId = null;
+        $("webhookDeliveries").innerHTML = "";
+        $("webhookDeliveriesMore").classList.add("hidden");
+      }
+      await loadWebhooks();
+    } else if (act === "delivery-retry") {
+      const out = await api("/api/admin/webhooks/retry", { id: Number(id) });
+      $("msg").textContent = out.delivery.status === "delivered" ? "Delivered." : `Still failing: ${out.delivery.error || "no response"}`;
+      await loadWebhookDeliveries();
+      await loadWebhooks();
+    } else if (act === "claim-create") {
+      const out = await api("/api/admin/teachers/claims/create", { teacher_id: Number(id) });
+      await loadTeacherEditor();
+      $("claimCode").innerHTML = `
+        Give this code to ${esc(out.teacher.name)}: <strong style="font-family:monospace; font-size:18px;">${esc(out.code)}</strong>
+        <div class="dim">It won't be shown again and expires ${esc(out.expires_at.slice(0, 10))}. They enter it under “Are you this teacher?” on their page.</div>
+      `;
+    } else if (act === "claim-revoke") {
+      if (!confirm("Revoke this claim? An unused code stops working and a verified teacher is signed out.")) return;
+      await api("/api/admin/teachers/claims/revoke", { id: Number(id) });
+      await loadTeacherEditor();
+    } else if (act === "unpublish" || act === "restore" || act === "requeue") {
+      await api(`/api/admin/${act}`, decisionBody(id));
+      await loadHistory();
+    } else if (act === "mod-disable" || act === "mod-enable") {
+      await api("/api/admin/moderators/update", { id: Number(id), disabled: act === "mod-disable" });
+      await loadModerators();
+    } else if (act === "mod-role") {
+      const role = document.querySelector(`select[data-role-for="${id}"]`)?.value;
+      await api("/api/admin/moderators/update", { id: Number(id), role });
+      await loadModerators();
+    } else if (act === "mod-password") {
+      const password = prompt("New password (10+ characters):");
+      if (!password) return;
+      await api("/api/admin/moderators/update", { id: Number(id), password });
+      $("msg").textContent = "Password changed. That moderator has been signed out.";
+    }
   } catch (err) {
     $("msg").textContent = "Error: " + err.message;
   }
 });
 
 document.addEventListener("DOMContentLoaded", () => {
+  loadSession();
+  renderSession();
+  if (can("moderators.manage")) loadModerators().catch(() => {});
+
+  $("login")?.addEventListener("click", login);
+  $("password")?.addEventListener("keydown", (e) => { if (e.key === "Enter") login(); });
+  $("logout")?.addEventListener("click", logout);
+
+  $("applyFilters")?.addEventListener("click", () => {
+    loadPending().catch(err => { $("msg").textContent = "Error: " + err.message; });
+  });
+
+  $("loadMore")?.addEventListener("click", () => {
+    loadPending({ more: true }).catch(err => { $("msg").textContent = "Error: " + err.message; });
+  });
+
+  $("selectAll")?.addEventListener("change", (e) => {
+    document.querySelectorAll(".queue-item .pick").forEach(c => { c.checked = e.target.checked; });
+    updateSelectedCount();
+  });
+
+  $("list")?.addEventListener("change", (e) => {
+    if (e.target.classList?.contains("pick")) updateSelectedCount();
+  });
+
+  for (const act of ["approve", "reject"]) {
+    $(act === "approve" ? "bulkApprove" : "bulkReject")?.addEventListener("click", () => {
+      decideBulk(act).catch(err => { $("msg").textContent = "Error: " + err.message; });
+    });
+  }
+
+  // Queue shortcuts; ignored while typing in a field
+  document.addEventListener("keydown", (e) => {
+    if (e.metaKey || e.ctrlKey || e.altKey) return;
+    if (e.target.closest("input, select, textarea")) return;
+    if ($("pendingCard").classList.contains("hidden")) return;
+
+    if (e.key === "j" || e.key === "s") moveFocus(1);
+    else if (e.key === "k") moveFocus(-1);
+    else if (e.key === "x" && focusedId) {
+      const box = document.querySelector(`.queue-item[data-review="${focusedId}"] .pick`);
+      if (box) { box.checked = !box.checked; updateSelectedCount(); }
+    } else if ((e.key === "a" || e.key === "r") && focusedId) {
+      decide(focusedId, e.key === "a" ? "approve" : "reject")
+        .catch(err => { $("msg").textContent = "Error: " + err.message; });
+    } else return;
+    e.preventDefault();
+  });
+
+  $("teacherSearch")?.addEventListener("click", () => {
+    loadTeachers().catch(err => { $("msg").textContent = "Error: " + err.message; });
+  });
+
+  $("teacherMore")?.addEventListener("click", () => {
+    loadTeachers({ more: true }).catch(err => { $("msg").textContent = "Error: " + err.message; });
+  });
+
+  $("createTeacher")?.addEventListener("click", () => {
+    createTeacher().catch(err => { $("msg").textContent = "Error: " + err.message; });
+  });
+
+  $("exportRun")?.addEventListener("click", () => {
+    runExport().catch(err => { $("msg").textContent = "Error: " + err.message; });
+  });
+
+  $("importPreview")?.addEventListener("click", () => {
+    importRoster(false).catch(err => { $("msg").textContent = "Error: " + err.message; });
+  });
+
+  $("scrapePreview")?.addEventListener("click", () => {
+    previewScrape().catch(err => { $("msg").textContent = "Error: " + err.message; });
+  });
+
+  $("loadScrapeRuns")?.addEventListener("click", () => {
+    loadScrapeRuns().catch(err => { $("msg").textContent = "Error: " + err.message; });
+  });
+
+  $("moreScrapeRuns")?.addEventListener("click", () => {
+    loadScrapeRuns({ more: true }).catch(err => { $("msg").textContent = "Error: " + err.message; });
+  });
+
+  $("loadDuplicates")?.addEventListener("click", () => {
+    loadDuplicates().catch(err => { $("msg").textContent = "Error: " + err.message; });
+  });
+
+  $("loadResponses")?.addEventListener("click", () => {
+    loadResponses().catch(err => { $("msg").textContent = "Error: " + err.message; });
+  });
+
+  $("responsesMore")?.addEventListener("click", () => {
+    loadResponses({ more: true }).catch(err => { $("msg").textContent = "Error: " + err.message; });
+  });
+
+  $("loadCriteria")?.addEventListener("click", () => {
+    loadCriteria().catch(err => { $("msg").textContent = "Error: " + err.message; });
+  });
+
+  $("createCriterion")?.addEventListener("click", async () => {
+    try {
+      await api("/api/admin/criteria/save", {
+        school: $("criteriaSchool").value.trim(),
+        label: $("newCriterionLabel").value,
+        scale_max: Number($("newCriterionScale").value),
+        required: $("newCriterionRequired").checked,
+      });
+      $("newCriterionLabel").value = "";
+      await loadCriteria();
+    } catch (err) {
+      $("msg").textContent = "Error: " + err.message;
+    }
+  });
+
+  $("newWebhookEvents").innerHTML = webhookEventBoxes("data-new-event", ["review.pending", "scrape.failed"]);
+
+  $("loadWebhooks")?.addEventListener("click", () => {
+    loadWebhooks().catch(err => { $("msg").textContent = "Error: " + err.message; });
+  });
+
+  $("webhookDeliveriesMore")?.addEventListener("click", () => {
+    loadWebhookDeliveries({ more: true }).catch(err => { $("msg").textContent = "Error: " + err.message; });
+  });
+
+  $("createWebhook")?.addEventListener("click", async () => {
+    try {
+      const name = $("newWebhookName").value.trim();
+      const out = await api("/api/admin/webhooks/create", {
+        name,
+        url: $("newWebhookUrl").value.trim(),
+        format: $("newWebhookFormat").value,
+        events: [...document.querySelectorAll("[data-new-event]:checked")].map(b => b.value),
+        queue_threshold: $("newWebhookThreshold").value,
+      });
+      $("newWebhookName").value = "";
+      $("newWebhookUrl").value = "";
+      showWebhookSecret(name, out.secret);
+      await loadWebhooks();
+    } catch (err) {
+      $("msg").textContent = "Error: " + err.message;
+    }
+  });
+
+  $("loadDashboard")?.addEventListener("click", () => {
+    loadDashboard().catch(err => { $("msg").textContent = "Error: " + err.message; });
+  });
+
+  $("loadTags")?.addEventListener("click", () => {
+    loadTags().catch(err => { $("msg").textContent = "Error: " + err.message; });
+  });
+
+  $("createTag")?.addEventListener("click", async () => {
+    try {
+      await api("/api/admin/tags/create", { label: $("newTagLabel").value });
+      $("newTagLabel").value = "";
+      await loadTags();
+    } catch (err) {
+      $("msg").textContent = "Error: " + err.message;
+    }
+  });
+
+  $("loadReports")?.addEventListener("click", () => {
+    loadReports().catch(err => { $("msg").textContent = "Error: " + err.message; });
+  });
+
+  $("loadHistory")?.addEventListener("click", async () => {
+    try {
+      await loadHistory();
+    } catch (err) {
+      $("msg").textContent = "Error: " + err.message;
+    }
+  });
+
+  $("createModerator")?.addEventListener("click", async () => {
+    const msg = $("msg");
+    try {
+      await api("/api/admin/moderators/create", {
+        username: $("newUsername").value.trim(),
+        password: $("newPassword").value,
+        role: $("newRole").value,
+      });
+      $("newUsername").value = "";
+      $("newPassword").value = "";
+      msg.textContent = "Moderator added.";
+      await loadModerators();
+    } catch (err) {
+      msg.textContent = "Error: " + err.message;
+    }
+  });
+
   // Load pending reviews
   $("load")?.addEventListener("click", async () => {
     try {
@@ -93,13 +1302,16 @@ document.addEventListener("DOMContentLoaded", () => {
     const msg = $("msg");
     try {
       msg.textContent = "Running scrape…";
-      const token = $("token").value;
-
-      const result = await api("/api/admin/scrape", { token });
+      const result = await api("/api/admin/scrape");
 
+      const perSchool = (result.schools || []).map(s =>
+        s.ok
+          ? `${s.school}: ${s.upserted} upserted (found ${s.found}, ${s.added} new, ${s.missing} missing, ${s.unlisted} now unlisted)`
+          : `${s.school}: failed – ${s.error}`
+      );
       msg.textContent =
-        `Scrape done ✅ Teachers upserted: ${result.upserted ?? "?"} ` +
-        `(found: ${result.skyline_count_found ?? "?"})`;
+        `Scrape done ${result.ok ? "✅" : "⚠️"} Teachers upserted: ${result.upserted ?? "?"} ` +
+        `(found: ${result.found ?? "?"})` + (perSchool.length ? "\n" + perSchool.join("\n") : "");
     } catch (err) {
       msg.textContent = "Error: " + err.message;
     }
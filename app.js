@@ -2,26 +2,77 @@ const API = "/api";
 
 const el = (id) => document.getElementById(id);
 
-function teacherCard(t) {
+function teacherCard(t, extra = "") {
   return `
     <div class="item">
       <a href="/teacher.html?id=${encodeURIComponent(t.id)}"><strong>${escapeHtml(t.name)}</strong></a><br/>
       <span class="badge">${escapeHtml(t.school)}</span>
       <span class="badge">⭐ ${t.avg_overall?.toFixed?.(1) ?? "—"} (${t.review_count ?? 0})</span>
+      ${t.unlisted_at ? `<span class="badge">No longer listed</span>` : ""}
+      ${extra}
     </div>
   `;
 }
 
+// Extra badge for the leaderboard metric (overall is already on the card)
+function metricBadge(metric, t) {
+  if (metric === "clarity") return `<span class="badge">Clarity ${t.avg_clarity?.toFixed?.(1) ?? "—"}</span>`;
+  if (metric === "easiest" || metric === "hardest") return `<span class="badge">Difficulty ${t.avg_difficulty?.toFixed?.(1) ?? "—"}</span>`;
+  if (metric === "take_again") return `<span class="badge">${t.would_take_again_pct != null ? `${Math.round(t.would_take_again_pct)}% would take again` : "—"}</span>`;
+  return "";
+}
+
 function escapeHtml(s){ return (s ?? "").replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c])); }
 
-async function searchTeachers(q) {
-  const r = await fetch(`${API}/teachers?q=${encodeURIComponent(q)}`);
+// Teachers picked for compare.html (ids, max 4); compare.js reads the same key
+const COMPARE_KEY = "compareIds";
+const COMPARE_MAX = 4;
+
+function compareIds(){
+  return (localStorage.getItem(COMPARE_KEY) || "").split(",").filter(x => /^\d+$/.test(x));
+}
+
+function compareButton(t){
+  const picked = compareIds().includes(String(t.id));
+  return `<button type="button" class="link-btn" data-compare="${t.id}">${picked ? "✓ Comparing" : "+ Compare"}</button>`;
+}
+
+function renderCompareBar(){
+  const ids = compareIds();
+  el("compareBar").classList.toggle("hidden", !ids.length);
+  el("compareLink").textContent = ids.length > 1 ? `Compare ${ids.length} teachers` : "Pick another teacher to compare";
+  el("compareLink").href = `/compare.html?ids=${ids.join(",")}`;
+}
+
+function toggleCompare(id){
+  let ids = compareIds();
+  if (ids.includes(id)) ids = ids.filter(x => x !== id);
+  else if (ids.length < COMPARE_MAX) ids.push(id);
+  else return false;
+  localStorage.setItem(COMPARE_KEY, ids.join(","));
+  renderCompareBar();
+  return true;
+}
+
+// Returns { rows, next_cursor, fuzzy }; fuzzy means nothing matched exactly and these are close spellings
+async function searchTeachers(q, sort, cursor) {
+  const params = new URLSearchParams({ q, sort });
+  if (cursor) params.set("cursor", cursor);
+  const r = await fetch(`${API}/teachers?${params}`);
+  if (!r.ok) return { rows: [], next_cursor: null };
+  return await r.json();
+}
+
+async function getTop(school, metric, window) {
+  const params = new URLSearchParams({ metric, window });
+  if (school) params.set("school", school);
+  const r = await fetch(`${API}/top?${params}`);
   if (!r.ok) return [];
   return await r.json();
 }
 
-async function getTop() {
-  const r = await fetch(`${API}/top`);
+async function getSchools() {
+  const r = await fetch(`${API}/schools`);
   if (!r.ok) return [];
   return await r.json();
 }
@@ -30,20 +81,57 @@ async function getTop() {
   el("year").textContent = new Date().getFullYear();
 
   const q = el("q");
+  const sort = el("sort");
   const results = el("results");
+  const more = el("moreResults");
+  let cursor = null;
 
-  async function run(){
-    const list = await searchTeachers(q.value.trim());
-    results.innerHTML = list.map(teacherCard).join("") || `<div class="item">No results.</div>`;
+  async function run(append = false){
+    const page = await searchTeachers(q.value.trim(), sort.value, append ? cursor : null);
+    cursor = page.next_cursor;
+    const html = page.rows.map(t => teacherCard(t, compareButton(t))).join("");
+    if (append) results.insertAdjacentHTML("beforeend", html);
+    else if (page.fuzzy && html) results.innerHTML = `<div class="dim">No exact matches. Did you mean:</div>${html}`;
+    else results.innerHTML = html || `<div class="item">No results.</div>`;
+    more.classList.toggle("hidden", !cursor);
   }
 
   q.addEventListener("input", () => {
     window.clearTimeout(window.__t);
     window.__t = window.setTimeout(run, 200);
   });
+  sort.addEventListener("change", () => run());
+  more.addEventListener("click", () => run(true));
+
+  results.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-compare]");
+    if (!btn) return;
+    if (!toggleCompare(btn.dataset.compare)) { alert(`You can compare up to ${COMPARE_MAX} teachers.`); return; }
+    btn.outerHTML = compareButton({ id: btn.dataset.compare });
+  });
+  el("compareClear").addEventListener("click", () => {
+    localStorage.removeItem(COMPARE_KEY);
+    renderCompareBar();
+    results.querySelectorAll("[data-compare]").forEach(b => { b.textContent = "+ Compare"; });
+  });
+  renderCompareBar();
 
   await run();
 
-  const top = await getTop();
-  el("top").innerHTML = top.map(teacherCard).join("") || `<div class="item">No data yet.</div>`;
+  const topSchool = el("topSchool");
+  const topMetric = el("topMetric");
+  const topWindow = el("topWindow");
+
+  async function runTop(){
+    const metric = topMetric.value;
+    const top = await getTop(topSchool.value, metric, topWindow.value);
+    el("top").innerHTML = top.map(t => teacherCard(t, metricBadge(metric, t))).join("") || `<div class="item">No data yet.</div>`;
+  }
+
+  const schools = await getSchools();
+  topSchool.innerHTML += schools.map(s => `<option value="${escapeHtml(s)}">${escapeHtml(s)}</option>`).join("");
+
+  for (const s of [topSchool, topMetric, topWindow]) s.addEventListener("change", runTop);
+
+  await runTop();
 })();
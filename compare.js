@@ -0,0 +1,185 @@
+const API = "/api";
+const el = (id) => document.getElementById(id);
+
+const COMPARE_MAX = 4;
+const COMPARE_KEY = "compareIds"; // shared with the picks made on the home page
+
+function escapeHtml(s){ return (s ?? "").replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c])); }
+
+// The URL is the source of truth so a copied link shows the same comparison
+function readIds(){
+  const raw = new URL(location.href).searchParams.get("ids") || localStorage.getItem(COMPARE_KEY) || "";
+  return raw.split(",").map(x => x.trim()).filter(x => /^\d+$/.test(x)).slice(0, COMPARE_MAX);
+}
+
+function saveIds(ids){
+  const url = new URL(location.href);
+  if (ids.length) url.searchParams.set("ids", ids.join(","));
+  else url.searchParams.delete("ids");
+  history.replaceState(null, "", url);
+  localStorage.setItem(COMPARE_KEY, ids.join(","));
+}
+
+const fmt1 = (v) => v?.toFixed?.(1) ?? "—";
+
+// higherIsBetter rows highlight the single best teacher; the rest are shown as-is
+const ROWS = [
+  { label: "Overall", key: "avg_overall", higherIsBetter: true, show: fmt1 },
+  { label: "Clarity", key: "avg_clarity", higherIsBetter: true, show: fmt1 },
+  { label: "Difficulty", hint: "lower is easier", key: "avg_difficulty", show: fmt1 },
+  { label: "Would take again", key: "would_take_again_pct", higherIsBetter: true, show: (v) => v != null ? `${Math.round(v)}%` : "—" },
+  { label: "Reviews", key: "review_count", show: (v) => String(v ?? 0) },
+];
+
+// Small 1–5 bar strip for the overall distribution
+function miniHistogram(counts){
+  const total = counts.reduce((a, n) => a + n, 0);
+  if (!total) return `<span class="dim">No ratings yet</span>`;
+  const max = Math.max(1, ...counts);
+  const bars = counts.map((n, i) => {
+    const h = Math.round((n / max) * 40);
+    return `<rect x="${i * 16}" y="${44 - h}" width="12" height="${h}" rx="2" fill="#6366f1"><title>${n} gave ${i + 1}</title></rect>
+      <text x="${i * 16 + 6}" y="56" font-size="10" fill="#9ca3af" text-anchor="middle">${i + 1}</text>`;
+  }).join("");
+  return `<svg viewBox="0 0 80 58" width="80" height="58" role="img"
+    aria-label="Overall ratings: ${counts.map((n, i) => `${n} gave ${i + 1}`).join(", ")}">${bars}</svg>`;
+}
+
+function bestIndex(teachers, row){
+  if (!row.higherIsBetter) return -1;
+  let best = -1;
+  teachers.forEach((t, i) => {
+    if (t[row.key] == null || !t.review_count) return;
+    if (best === -1 || t[row.key] > teachers[best][row.key]) best = i;
+  });
+  // no highlight on a tie for first
+  return best !== -1 && teachers.filter(t => t[row.key] === teachers[best][row.key]).length === 1 ? best : -1;
+}
+
+function renderComparison(data){
+  const teachers = data.teachers || [];
+  el("compareCard").classList.toggle("hidden", !teachers.length);
+  el("copyLink").classList.toggle("hidden", teachers.length < 2);
+  if (!teachers.length) return;
+
+  const shared = new Set((data.shared_courses || []).map(c => c.toLowerCase()));
+  el("shared").textContent = shared.size
+    ? `All of them teach: ${data.shared_courses.join(", ")}`
+    : teachers.length > 1 ? "No course in common on file." : "Add another teacher to compare.";
+
+  const grid = el("compare");
+  grid.style.setProperty("--cols", teachers.length);
+
+  const cells = [`<div></div>`];
+  for (const t of teachers) {
+    cells.push(`
+      <div class="compare-head">
+        <a href="/teacher.html?id=${encodeURIComponent(t.id)}"><strong>${escapeHtml(t.name)}</strong></a><br/>
+        <span class="badge">${escapeHtml(t.school)}</span>
+        ${t.department ? `<span class="badge">${escapeHtml(t.department)}</span>` : ""}
+        ${t.unlisted_at ? `<span class="badge">No longer listed</span>` : ""}
+        <button type="button" class="link-btn" data-remove="${t.id}">Remove</button>
+      </div>
+    `);
+  }
+
+  for (const row of ROWS) {
+    const best = bestIndex(teachers, row);
+    cells.push(`<div class="compare-label">${escapeHtml(row.label)}${row.hint ? `<div class="dim">${escapeHtml(row.hint)}</div>` : ""}</div>`);
+    teachers.forEach((t, i) => {
+      cells.push(`<div class="compare-value${i === best ? " best" : ""}">${escapeHtml(row.show(t[row.key]))}</div>`);
+    });
+  }
+
+  cells.push(`<div class="compare-label">Overall ratings</div>`);
+  for (const t of teachers) cells.push(`<div>${miniHistogram(t.histograms?.overall || [0, 0, 0, 0, 0])}</div>`);
+
+  cells.push(`<div class="compare-label">Courses</div>`);
+  for (const t of teachers) {
+    cells.push(`<div>${t.courses.map(c =>
+      `<span class="badge${shared.has(c.toLowerCase()) ? " shared" : ""}">${escapeHtml(c)}</span>`
+    ).join(" ") || `<span class="dim">—</span>`}</div>`);
+  }
+
+  cells.push(`<div class="compare-label">Recent reviews</div>`);
+  for (const t of teachers) {
+    cells.push(`<div>${t.recent.map(r => `
+      <div class="compare-snippet">
+        <span class="badge">⭐ ${r.overall}</span>
+        ${r.course_name ? `<span class="badge">${escapeHtml(r.course_name)}</span>` : ""}
+        <div>${escapeHtml(r.comment)}${r.comment.length >= 200 ? "…" : ""}</div>
+      </div>
+    `).join("") || `<span class="dim">No written reviews yet.</span>`}</div>`);
+  }
+
+  grid.innerHTML = cells.join("");
+}
+
+async function load(ids){
+  el("msg").textContent = "";
+  if (!ids.length) { renderComparison({ teachers: [] }); return; }
+  const res = await fetch(`${API}/compare?ids=${encodeURIComponent(ids.join(","))}`);
+  if (!res.ok) { el("msg").textContent = await res.text(); return; }
+  const data = await res.json();
+  // Merged or deleted teachers: keep the URL in step with what was actually shown
+  const shown = data.teachers.map(t => String(t.id));
+  if (shown.join(",") !== ids.join(",")) saveIds(shown);
+  if (data.missing?.length) el("msg").textContent = "Some teachers in this link no longer exist.";
+  renderComparison(data);
+}
+
+async function search(q){
+  const results = el("results");
+  if (!q) { results.innerHTML = ""; return; }
+  const res = await fetch(`${API}/teachers?${new URLSearchParams({ q, limit: "8" })}`);
+  const page = res.ok ? await res.json() : { rows: [] };
+  const ids = readIds();
+  results.innerHTML = page.rows.map(t => `
+    <div class="item">
+      <strong>${escapeHtml(t.name)}</strong>
+      <span class="badge">${escapeHtml(t.school)}</span>
+      <span class="badge">⭐ ${fmt1(t.avg_overall)} (${t.review_count ?? 0})</span>
+      ${ids.includes(String(t.id))
+        ? `<span class="dim">Added</span>`
+        : `<button type="button" class="link-btn" data-add="${t.id}">Add</button>`}
+    </div>
+  `).join("") || `<div class="item">No results.</div>`;
+}
+
+document.addEventListener("click", async (e) => {
+  const add = e.target.closest("[data-add]");
+  const remove = e.target.closest("[data-remove]");
+  if (!add && !remove) return;
+
+  let ids = readIds();
+  if (add) {
+    if (ids.length >= COMPARE_MAX) { el("msg").textContent = `You can compare up to ${COMPARE_MAX} teachers.`; return; }
+    ids = [...new Set([...ids, add.dataset.add])];
+  } else {
+    ids = ids.filter(id => id !== remove.dataset.remove);
+  }
+  saveIds(ids);
+  await load(ids);
+  await search(el("q").value.trim());
+});
+
+(async function init(){
+  const q = el("q");
+  q.addEventListener("input", () => {
+    window.clearTimeout(window.__t);
+    window.__t = window.setTimeout(() => search(q.value.trim()), 200);
+  });
+
+  el("copyLink").addEventListener("click", async () => {
+    try {
+      await navigator.clipboard.writeText(location.href);
+      el("msg").textContent = "Link copied.";
+    } catch {
+      el("msg").textContent = location.href;
+    }
+  });
+
+  const ids = readIds();
+  saveIds(ids);
+  await load(ids);
+})();
@@ -1,12 +1,32 @@
 // src/index.js — Cloudflare Worker (module syntax)
 // Required bindings:
 // - env.DB (D1 Database)
-// - env.ADMIN_TOKEN (string)
+// - env.ADMIN_TOKEN (string, break-glass: first owner account + schema migrations only)
+// - env.SESSION_SECRET (string, HMAC key for moderator session tokens)
+// - env.CLIENT_HASH_SALT (string, secret salt for hashing client IP + user agent)
+// - env.SCREENING_POLICY (optional JSON, e.g. {"phone":"reject"}; see SCREENING_POLICY_DEFAULT)
+
+import m0001 from "./migrations/0001_init.sql";
+import m0002 from "./migrations/0002_review_abuse.sql";
+import m0003 from "./migrations/0003_moderators.sql";
+import m0004 from "./migrations/0004_moderation_events.sql";
+import m0005 from "./migrations/0005_review_reports.sql";
+import m0006 from "./migrations/0006_courses.sql";
+import m0007 from "./migrations/0007_teacher_aliases.sql";
+import m0008 from "./migrations/0008_scrape_runs.sql";
+import m0009 from "./migrations/0009_teacher_search.sql";
+import m0010 from "./migrations/0010_teacher_hidden.sql";
+import m0011 from "./migrations/0011_teacher_responses.sql";
+import m0012 from "./migrations/0012_review_votes.sql";
+import m0013 from "./migrations/0013_review_tags.sql";
+import m0014 from "./migrations/0014_rating_criteria.sql";
+import m0015 from "./migrations/0015_teacher_stats.sql";
+import m0016 from "./migrations/0016_webhooks.sql";
 
 const CORS_HEADERS = {
   "Access-Control-Allow-Origin": "*",
   "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
-  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
 };
 
 function json(data, status = 200, extraHeaders = {}) {
@@ -38,6 +58,66 @@ function cleanStr(s, maxLen) {
   return s.trim().slice(0, maxLen);
 }
 
+// Opaque page tokens: base64url(JSON) of whatever the query needs to resume after
+function encodeCursor(obj) {
+  return b64urlEncode(new TextEncoder().encode(JSON.stringify(obj)));
+}
+
+// null unless it decodes to a plain object
+function decodeCursor(s) {
+  if (!s) return null;
+  let c;
+  try { c = JSON.parse(new TextDecoder().decode(b64urlDecode(s))); } catch { return null; }
+  return c && typeof c === "object" && !Array.isArray(c) ? c : null;
+}
+
+function isCursorValue(v) {
+  return v === null || typeof v === "string" || (typeof v === "number" && Number.isFinite(v));
+}
+
+// Keyset condition for resuming after the last row of a page. keys lists the ORDER BY
+// columns ({ expr, dir, name }) ending in a unique column; cursor holds each key's value
+// by name. Returns { sql, binds }, or null when the cursor doesn't match the keys.
+function keysetCondition(keys, cursor) {
+  if (!cursor || keys.some(k => !Object.hasOwn(cursor, k.name) || !isCursorValue(cursor[k.name]))) return null;
+  const ors = [];
+  const binds = [];
+  keys.forEach((k, i) => {
+    const ands = keys.slice(0, i).map(p => { binds.push(cursor[p.name]); return `${p.expr} = ?`; });
+    ands.push(`${k.expr} ${k.dir === "asc" ? ">" : "<"} ?`);
+    binds.push(cursor[k.name]);
+    ors.push(`(${ands.join(" AND ")})`);
+  });
+  return { sql: `(${ors.join(" OR ")})`, binds };
+}
+
+function orderByKeys(keys) {
+  return keys.map(k => `${k.expr} ${k.dir.toUpperCase()}`).join(", ");
+}
+
+// Page of rows (fetched with limit + 1) -> { rows, next_cursor }
+function pageResult(results, limit, keys) {
+  const rows = (results || []).slice(0, limit);
+  if ((results || []).length <= limit) return { rows, next_cursor: null };
+  const last = rows[rows.length - 1];
+  return { rows, next_cursor: encodeCursor(Object.fromEntries(keys.map(k => [k.name, last[k.name]]))) };
+}
+
+// "YYYY-MM-DD" -> ISO timestamp at the start of that UTC day (null if malformed)
+function dayStartIso(s, addDays = 0) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(s || ""))) return null;
+  const t = Date.parse(`${s}T00:00:00.000Z`);
+  if (Number.isNaN(t)) return null;
+  return new Date(t + addDays * 86_400_000).toISOString();
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
 function requireAdminToken(env, token) {
   const expected = String(env.ADMIN_TOKEN || "").trim();
   if (!expected) return false;
@@ -48,7 +128,7 @@ function normalizeName(s) {
   return String(s || "").replace(/\s+/g, " ").trim();
 }
 
-function looksLikePersonName(fullName) {
+function looksLikePersonName(fullName, extraBad = []) {
   const name = normalizeName(fullName);
   if (!name) return false;
   if (name.length < 5 || name.length > 40) return false;
@@ -58,8 +138,9 @@ function looksLikePersonName(fullName) {
   if (parts.length < 2 || parts.length > 3) return false;
 
   const bad = [
-    "Skyline","High","School","Staff","Directory","Search",
-    "Phone","Email","Locations","Titles","Home","Issaquah","District","Washington"
+    "High","School","Staff","Directory","Search",
+    "Phone","Email","Locations","Titles","Home","District","Washington",
+    ...extraBad,
   ];
   const lower = name.toLowerCase();
   for (const w of bad) if (lower.includes(w.toLowerCase())) return false;
@@ -67,18 +148,6 @@ function looksLikePersonName(fullName) {
   return true;
 }
 
-// -------------------- URL we know works in your browser --------------------
-function buildSkylineDirectoryUrl() {
-  const base = new URL("https://skyline.isd411.org/staff");
-  base.searchParams.set("utf8", "✓");
-  base.searchParams.set("const_search_group_ids", "289");
-  base.searchParams.set("const_search_role_ids", "1");
-  base.searchParams.set("const_search_keyword", "");
-  base.searchParams.set("const_search_first_name", "");
-  base.searchParams.set("const_search_last_name", "a"); // use 'a' since you proved it shows results
-  return base.toString();
-}
-
 // Fetch HTML with more “browser-like” headers
 async function fetchStaffHtml(url) {
   const res = await fetch(url, {
@@ -94,77 +163,626 @@ async function fetchStaffHtml(url) {
   return { res, html };
 }
 
-// -------------------- SCRAPE (still here, but likely won't work until we find real data source) --------------------
-async function scrapeSkylineStaffDirectoryBasic() {
-  const pageUrl = buildSkylineDirectoryUrl();
-  const { res, html } = await fetchStaffHtml(pageUrl);
-  if (!res.ok) throw new Error(`Directory fetch failed (${res.status})`);
+// -------------------- Moderator accounts --------------------
+// Admin routes authenticate with "Authorization: Bearer <session token>" from /api/admin/login.
+// A token is base64url(JSON {sub, ver, exp}) + "." + HMAC-SHA256 over that, keyed by
+// SESSION_SECRET. Every request re-reads the account, so disabling it or bumping its
+// session_version revokes outstanding tokens immediately.
+
+const SESSION_TTL_SEC = 12 * 60 * 60;
+const PBKDF2_ITERATIONS = 100_000; // Workers' maximum for PBKDF2
+
+const MODERATOR_ROLES = ["reviewer", "scraper", "owner"];
+
+const ROLE_PERMISSIONS = {
+  reviewer: ["reviews.moderate", "stats.view"],
+  scraper: ["scrape.run", "teachers.manage"],
+  owner: ["reviews.moderate", "scrape.run", "teachers.manage", "moderators.manage", "schema.manage", "data.export", "tags.manage", "criteria.manage", "stats.view", "webhooks.manage"],
+};
+
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+function b64urlEncode(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function b64urlDecode(s) {
+  const bin = atob(String(s).replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+
+// Constant-time for equal lengths; length itself isn't secret here.
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+async function pbkdf2(password, salt, iterations) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, 256);
+  return new Uint8Array(bits);
+}
+
+async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await pbkdf2(password, salt, PBKDF2_ITERATIONS);
+  return `pbkdf2$${PBKDF2_ITERATIONS}$${b64urlEncode(salt)}$${b64urlEncode(hash)}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, iter, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "pbkdf2" || !salt || !hash) return false;
+  const got = await pbkdf2(password, b64urlDecode(salt), Number(iter));
+  return timingSafeEqual(got, b64urlDecode(hash));
+}
+
+async function hmacSha256(secret, data) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  return new Uint8Array(await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(data)));
+}
+
+async function signSession(env, moderator) {
+  const secret = String(env.SESSION_SECRET || "");
+  if (!secret) throw new Error("SESSION_SECRET is not configured");
+  const exp = Math.floor(Date.now() / 1000) + SESSION_TTL_SEC;
+  const payload = b64urlEncode(new TextEncoder().encode(JSON.stringify({ sub: moderator.id, ver: moderator.session_version, exp })));
+  const sig = b64urlEncode(await hmacSha256(secret, payload));
+  return { token: `${payload}.${sig}`, expires_at: new Date(exp * 1000).toISOString() };
+}
 
-  // If the page is truly client-rendered, this will be 0.
-  // We'll attempt a very simple extraction anyway.
-  const names = new Set();
+async function verifySession(env, token) {
+  const secret = String(env.SESSION_SECRET || "");
+  const [payload, sig] = String(token || "").split(".");
+  if (!secret || !payload || !sig) return null;
 
-  // very rough fallback: look for "Titles:" blocks and take the preceding line chunk
-  // (only works if names exist in HTML)
-  const idx = html.indexOf("Titles:");
-  if (idx !== -1) {
-    // try to find nearby visible text; not perfect
+  let claims;
+  try {
+    const expected = await hmacSha256(secret, payload);
+    if (!timingSafeEqual(expected, b64urlDecode(sig))) return null;
+    claims = JSON.parse(new TextDecoder().decode(b64urlDecode(payload)));
+  } catch {
+    return null;
   }
+  if (!claims || typeof claims.exp !== "number" || claims.exp * 1000 < Date.now()) return null;
 
-  // We also try HTMLRewriter on constituent items if they exist in HTML
-  let currentCard = "";
-  class CardHandler {
-    text(t) { currentCard += " " + t.text; }
-    end() {
-      const t = normalizeName(currentCard);
-      currentCard = "";
-      // take text before Titles:
-      const cut = t.indexOf("Titles:");
-      const candidate = cut !== -1 ? normalizeName(t.slice(0, cut)) : "";
-      if (looksLikePersonName(candidate)) names.add(candidate);
-    }
+  const mod = await env.DB.prepare(`
+    SELECT id, username, role, disabled, session_version, created_at, last_login_at
+    FROM moderators WHERE id = ?
+  `).bind(claims.sub).first();
+  if (!mod || mod.disabled || mod.session_version !== claims.ver) return null;
+  return mod;
+}
+
+function publicModerator(m) {
+  return {
+    id: m.id,
+    username: m.username,
+    role: m.role,
+    disabled: !!m.disabled,
+    permissions: ROLE_PERMISSIONS[m.role] || [],
+    created_at: m.created_at,
+    last_login_at: m.last_login_at,
+  };
+}
+
+// Returns { moderator } or { status, error } — routes do
+//   const auth = await authorize(request, env, "reviews.moderate");
+//   if (auth.error) return text(auth.error, auth.status);
+async function authorize(request, env, permission) {
+  const header = request.headers.get("Authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+  const moderator = token ? await verifySession(env, token) : null;
+  if (!moderator) return { status: 401, error: "Unauthorized" };
+  if (permission && !hasPermission(moderator.role, permission)) return { status: 403, error: "Forbidden" };
+  return { moderator };
+}
+
+async function loginModerator(env, username, password) {
+  const mod = await env.DB.prepare(`
+    SELECT id, username, password_hash, role, disabled, session_version, created_at, last_login_at
+    FROM moderators WHERE username = ?
+  `).bind(username).first();
+  // Hash anyway on unknown users so response time doesn't reveal which usernames exist
+  if (!mod) { await hashPassword(password); return null; }
+  if (!(await verifyPassword(password, mod.password_hash)) || mod.disabled) return null;
+
+  const now = new Date().toISOString();
+  await env.DB.prepare(`UPDATE moderators SET last_login_at = ? WHERE id = ?`).bind(now, mod.id).run();
+  const session = await signSession(env, mod);
+  return { ...session, moderator: publicModerator({ ...mod, last_login_at: now }) };
+}
+
+function validateModeratorInput({ username, password, role }, { partial = false } = {}) {
+  if (!partial || username !== undefined) {
+    if (!/^[A-Za-z0-9_.-]{3,32}$/.test(String(username || ""))) return "Username must be 3-32 letters, digits, . _ or -";
+  }
+  if (!partial || password !== undefined) {
+    if (typeof password !== "string" || password.length < 10 || password.length > 200) return "Password must be 10-200 characters";
+  }
+  if (!partial || role !== undefined) {
+    if (!MODERATOR_ROLES.includes(role)) return "Invalid role";
+  }
+  return null;
+}
+
+async function listModerators(env) {
+  const { results } = await env.DB.prepare(`
+    SELECT id, username, role, disabled, created_at, last_login_at
+    FROM moderators
+    ORDER BY username
+  `).all();
+  return (results || []).map(publicModerator);
+}
+
+async function createModerator(env, { username, password, role }) {
+  const err = validateModeratorInput({ username, password, role });
+  if (err) return { ok: false, error: err };
+
+  const taken = await env.DB.prepare(`SELECT 1 FROM moderators WHERE username = ?`).bind(username).first();
+  if (taken) return { ok: false, error: "Username already exists" };
+
+  const now = new Date().toISOString();
+  const out = await env.DB.prepare(`
+    INSERT INTO moderators (username, password_hash, role, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).bind(username, await hashPassword(password), role, now, now).run();
+  return { ok: true, id: out.meta?.last_row_id ?? null };
+}
+
+// Role, password or disabled changes bump session_version so existing tokens stop working.
+async function updateModerator(env, actor, { id, role, password, disabled }) {
+  const targetId = clampInt(id, 1, 1_000_000_000);
+  if (targetId === null) return { ok: false, error: "Invalid moderator id" };
+  const err = validateModeratorInput({ role, password }, { partial: true });
+  if (err) return { ok: false, error: err };
+
+  const target = await env.DB.prepare(`SELECT id, role, disabled FROM moderators WHERE id = ?`).bind(targetId).first();
+  if (!target) return { ok: false, error: "Moderator not found" };
+
+  const demoting = (role !== undefined && role !== "owner") || disabled === true;
+  if (target.role === "owner" && demoting) {
+    const row = await env.DB.prepare(`
+      SELECT COUNT(*) AS n FROM moderators WHERE role='owner' AND disabled=0 AND id != ?
+    `).bind(targetId).first();
+    if (!row || row.n === 0) return { ok: false, error: "Can't remove the last active owner" };
   }
 
-  const rewriter = new HTMLRewriter().on(".fsConstituentItem", new CardHandler());
+  const sets = [];
+  const binds = [];
+  if (role !== undefined) { sets.push("role = ?"); binds.push(role); }
+  if (password !== undefined) { sets.push("password_hash = ?"); binds.push(await hashPassword(password)); }
+  if (disabled !== undefined) { sets.push("disabled = ?"); binds.push(disabled ? 1 : 0); }
+  if (!sets.length) return { ok: false, error: "Nothing to update" };
+
+  sets.push("session_version = session_version + 1", "updated_at = ?");
+  binds.push(new Date().toISOString());
+
+  await env.DB.prepare(`UPDATE moderators SET ${sets.join(", ")} WHERE id = ?`).bind(...binds, targetId).run();
+  return { ok: true, self: actor.id === targetId };
+}
+
+// -------------------- School directory adapters --------------------
+// Each adapter describes one school's staff directory:
+//   id        short key used by admin/debug routes
+//   school    value stored in teachers.school
+//   enabled   false = skipped by runScrapeAll (still reachable from debug routes)
+//   maxPages  stop paging after this many pages
+//   pageUrl(page)  URL for a 1-based page
+//   parse(html)    -> [{ name, title, department }]; no network, so it can run against saved HTML
+//
+// Most district sites run Finalsite, so finalsiteAdapter() covers them with per-school config.
+
+// HTMLRewriter hands text chunks over undecoded
+function decodeHtmlEntities(s) {
+  const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+  return String(s || "").replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    }
+    return named[e.toLowerCase()] ?? m;
+  });
+}
+
+// Finalsite renders each person as .fsConstituentItem with .fsFullName / .fsTitles /
+// .fsDepartments children. Older templates only have the card text, so we fall back to
+// "whatever comes before Titles:".
+async function parseFinalsiteDirectory(html, { extraBad = [] } = {}) {
+  const people = [];
+  let card = null;
+
+  const collect = (key) => ({
+    text(t) { if (card) card[key] += " " + decodeHtmlEntities(t.text); },
+  });
+
+  const rewriter = new HTMLRewriter()
+    .on(".fsConstituentItem", {
+      element(el) {
+        card = { all: "", name: "", title: "", department: "" };
+        el.onEndTag(() => {
+          const all = normalizeName(card.all);
+          let name = normalizeName(card.name);
+          if (!name) {
+            const cut = all.indexOf("Titles:");
+            name = cut !== -1 ? normalizeName(all.slice(0, cut)) : "";
+          }
+          const title = normalizeName(card.title).replace(/^Titles:\s*/, "");
+          const department = normalizeName(card.department).replace(/^Departments:\s*/, "");
+          if (looksLikePersonName(name, extraBad)) people.push({ name, title, department });
+          card = null;
+        });
+      },
+      ...collect("all"),
+    })
+    .on(".fsConstituentItem .fsFullName", collect("name"))
+    .on(".fsConstituentItem .fsTitles", collect("title"))
+    .on(".fsConstituentItem .fsDepartments", collect("department"));
+
   await rewriter.transform(new Response(html, { headers: { "Content-Type": "text/html" } })).text();
+  return people;
+}
+
+function finalsiteAdapter({ id, school, origin, path = "/staff", groupId = "", roleId = "1", lastName = "", maxPages = 10, extraBad = [], enabled = true }) {
+  return {
+    id,
+    school,
+    enabled,
+    maxPages,
+    pageUrl(page) {
+      const base = new URL(path, origin);
+      base.searchParams.set("utf8", "✓");
+      if (groupId) base.searchParams.set("const_search_group_ids", groupId);
+      if (roleId) base.searchParams.set("const_search_role_ids", roleId);
+      base.searchParams.set("const_search_keyword", "");
+      base.searchParams.set("const_search_first_name", "");
+      base.searchParams.set("const_search_last_name", lastName);
+      if (page > 1) base.searchParams.set("const_page", String(page));
+      return base.toString();
+    },
+    parse: (html) => parseFinalsiteDirectory(html, { extraBad }),
+  };
+}
+
+const SCHOOL_ADAPTERS = [
+  finalsiteAdapter({
+    id: "skyline",
+    school: "Skyline High School",
+    origin: "https://skyline.isd411.org",
+    groupId: "289",
+    lastName: "a", // an empty last name returns no results on this site
+    extraBad: ["Skyline", "Issaquah"],
+  }),
+  // Eastlake is in Lake Washington SD. Directory URL/markup not confirmed yet —
+  // check it with /api/admin/debug_staff_fetch {school:"eastlake"} before enabling.
+  finalsiteAdapter({
+    id: "eastlake",
+    school: "Eastlake High School",
+    origin: "https://eastlake.lwsd.org",
+    path: "/about/staff-directory",
+    extraBad: ["Eastlake", "Lake"],
+    enabled: false,
+  }),
+];
+
+// For tools/check-adapters.mjs, which runs them against tools/fixtures offline
+export { SCHOOL_ADAPTERS, scrapeSchoolDirectory };
+
+function getSchoolAdapter(id) {
+  return SCHOOL_ADAPTERS.find(a => a.id === id) || null;
+}
 
-  return { source_url: pageUrl, names: [...names] };
+// Walks pages until one adds no new names (or maxPages). fetchHtml is injectable so the
+// whole thing can be driven from saved fixtures (tools/check-adapters.mjs).
+async function scrapeSchoolDirectory(adapter, fetchHtml = fetchStaffHtml) {
+  const people = new Map();
+  const pages = [];
+
+  for (let page = 1; page <= adapter.maxPages; page++) {
+    const pageUrl = adapter.pageUrl(page);
+    const { res, html } = await fetchHtml(pageUrl);
+    pages.push({ url: pageUrl, status: res.status });
+    if (!res.ok) {
+      if (page === 1) throw Object.assign(new Error(`Directory fetch failed (${res.status})`), { status: res.status });
+      break;
+    }
+
+    let added = 0;
+    for (const p of await adapter.parse(html)) {
+      if (people.has(p.name)) continue;
+      people.set(p.name, p);
+      added++;
+    }
+    if (!added) break;
+  }
+
+  return { source_url: adapter.pageUrl(1), pages, people: [...people.values()] };
 }
 
 // -------------------- DB writes --------------------
-async function upsertTeacher(env, { name, school, source_url }) {
+// Directory titles look like "Teacher, Chemistry & AP Chemistry" or "Math Teacher".
+// Whatever is left after dropping the job words is taken as the courses they teach.
+const TITLE_JOB_WORDS = /\b(?:teacher|teachers|instructor|educator|staff|certificated|department head|dept\.? head|lead)\b/gi;
+
+function subjectsFromTitle(title) {
+  return String(title || "")
+    .split(/\s*(?:,|;|\/|&|\band\b)\s*/i)
+    .map(part => normalizeName(part.replace(TITLE_JOB_WORDS, "")).replace(/^[-–:]+|[-–:]+$/g, "").trim())
+    .filter(part => part.length >= 3 && part.length <= 60 && /[A-Za-z]/.test(part))
+    .slice(0, 6);
+}
+
+// Scraped department only fills an empty one, so a hand-entered department sticks.
+// A name that is an alias (e.g. left behind by a merge) updates the teacher it points to.
+// Being seen again clears any "no longer listed" state. An empty source_url (roster
+// import) keeps the directory URL of a teacher the scraper already knows.
+async function upsertTeacher(env, { name, school, source_url, department = "", title = "" }) {
   const now = new Date().toISOString();
-  await env.DB.prepare(`
-    INSERT INTO teachers (name, school, source_url, created_at, updated_at)
-    VALUES (?, ?, ?, ?, ?)
-    ON CONFLICT(name, school) DO UPDATE SET
-      source_url=excluded.source_url,
-      updated_at=excluded.updated_at
-  `).bind(name, school, source_url || "", now, now).run();
+  const alias = await env.DB.prepare(`SELECT teacher_id FROM teacher_aliases WHERE name = ? AND school = ?`)
+    .bind(name, school).first();
+
+  const row = alias
+    ? await env.DB.prepare(`
+        UPDATE teachers SET
+          source_url=CASE WHEN ? != '' THEN ? ELSE source_url END,
+          department=CASE WHEN department = '' THEN ? ELSE department END,
+          title=CASE WHEN ? != '' THEN ? ELSE title END,
+          missing_runs=0,
+          unlisted_at=NULL,
+          updated_at=?
+        WHERE id = ?
+        RETURNING id
+      `).bind(source_url || "", source_url || "", cleanStr(department, 80), cleanStr(title, 120), cleanStr(title, 120), now, alias.teacher_id).first()
+    : await env.DB.prepare(`
+        INSERT INTO teachers (name, school, source_url, department, title, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(name, school) DO UPDATE SET
+          source_url=CASE WHEN excluded.source_url != '' THEN excluded.source_url ELSE teachers.source_url END,
+          department=CASE WHEN teachers.department = '' THEN excluded.department ELSE teachers.department END,
+          title=CASE WHEN excluded.title != '' THEN excluded.title ELSE teachers.title END,
+          missing_runs=0,
+          unlisted_at=NULL,
+          updated_at=excluded.updated_at
+        RETURNING id
+      `).bind(name, school, source_url || "", cleanStr(department, 80), cleanStr(title, 120), now, now).first();
+
+  for (const course of subjectsFromTitle(title)) {
+    await env.DB.prepare(`
+      INSERT OR IGNORE INTO courses (teacher_id, name, source, created_at) VALUES (?, ?, 'directory', ?)
+    `).bind(row.id, course, now).run();
+  }
+  await syncTeacherSearch(env, row.id);
+  return row.id;
+}
+
+// A directory-sourced teacher missing from this many successful runs in a row is marked
+// "no longer listed". Hand-added teachers (no source_url) are never counted.
+const UNLIST_AFTER_MISSED_RUNS = 3;
+
+// Compares scraped names with what's stored for the school. Names are matched directly
+// or through teacher_aliases, the same way upsertTeacher resolves them.
+async function diffDirectory(env, school, people) {
+  const { results: teachers } = await env.DB.prepare(`
+    SELECT id, name, source_url, missing_runs, unlisted_at FROM teachers WHERE school = ?
+  `).bind(school).all();
+  const { results: aliases } = await env.DB.prepare(`
+    SELECT name, teacher_id FROM teacher_aliases WHERE school = ?
+  `).bind(school).all();
+
+  const byName = new Map((teachers || []).map(t => [t.name, t]));
+  const byId = new Map((teachers || []).map(t => [t.id, t]));
+  for (const a of aliases || []) if (!byName.has(a.name) && byId.has(a.teacher_id)) byName.set(a.name, byId.get(a.teacher_id));
+
+  const diff = { added: [], unchanged: [], missing: [], unlisted: [], relisted: [] };
+  const seen = new Set();
+  for (const p of people) {
+    const t = byName.get(p.name);
+    if (!t) { diff.added.push(p.name); continue; }
+    seen.add(t.id);
+    diff.unchanged.push(p.name);
+    if (t.unlisted_at) diff.relisted.push(t.name);
+  }
+
+  for (const t of teachers || []) {
+    if (seen.has(t.id) || !t.source_url || t.unlisted_at) continue;
+    const missing_runs = t.missing_runs + 1;
+    diff.missing.push({ id: t.id, name: t.name, missing_runs });
+    if (missing_runs >= UNLIST_AFTER_MISSED_RUNS) diff.unlisted.push(t.name);
+  }
+  return diff;
+}
+
+async function markMissingTeachers(env, missing) {
+  if (!missing.length) return;
+  const now = new Date().toISOString();
+  await env.DB.batch(missing.map(m => env.DB.prepare(`
+    UPDATE teachers SET
+      missing_runs = missing_runs + 1,
+      unlisted_at = CASE WHEN missing_runs + 1 >= ? THEN ? ELSE unlisted_at END
+    WHERE id = ? AND unlisted_at IS NULL
+  `).bind(UNLIST_AFTER_MISSED_RUNS, now, m.id)));
+}
+
+async function recordScrapeRun(env, run, { trigger, actor, startedAt, diff }) {
+  const finished = Date.now();
+  const out = await env.DB.prepare(`
+    INSERT INTO scrape_runs (
+      adapter_id, school, trigger, actor_id, dry_run, ok, error, source_url, http_status, pages,
+      found, added_count, unchanged_count, missing_count, unlisted_count, diff,
+      started_at, finished_at, duration_ms
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    run.id, run.school, trigger, actor?.id ?? null, run.dry_run ? 1 : 0, run.ok ? 1 : 0, run.error ?? null,
+    run.source_url || "", run.http_status ?? null, run.pages ?? 0,
+    run.found ?? 0, diff.added.length, diff.unchanged.length, diff.missing.length, diff.unlisted.length,
+    JSON.stringify(diff), new Date(startedAt).toISOString(), new Date(finished).toISOString(), finished - startedAt,
+  ).run();
+  return out.meta?.last_row_id ?? null;
 }
 
-async function runScrapeAll(env) {
-  const skyline = await scrapeSkylineStaffDirectoryBasic();
-  const school = "Skyline High School";
+// dryRun computes and records the diff without touching teachers. A run that found
+// nobody is treated as a broken page: nothing is counted as missing.
+async function runScrapeSchool(env, adapter, { dryRun = false, trigger = "manual", actor = null } = {}) {
+  const startedAt = Date.now();
+  const run = { id: adapter.id, school: adapter.school, ok: true, dry_run: dryRun, source_url: adapter.pageUrl(1) };
+  let diff = { added: [], unchanged: [], missing: [], unlisted: [], relisted: [] };
+
+  try {
+    const scraped = await scrapeSchoolDirectory(adapter);
+    Object.assign(run, {
+      found: scraped.people.length,
+      pages: scraped.pages.length,
+      http_status: scraped.pages[0]?.status ?? null,
+      source_url: scraped.source_url,
+    });
+
+    diff = await diffDirectory(env, adapter.school, scraped.people);
+    if (!scraped.people.length) {
+      diff.missing = [];
+      diff.unlisted = [];
+      run.warning = "No names found; missing teachers were not counted";
+    }
+
+    if (!dryRun) {
+      let upserted = 0;
+      for (const p of scraped.people) {
+        await upsertTeacher(env, {
+          name: p.name,
+          school: adapter.school,
+          source_url: scraped.source_url,
+          department: p.department,
+          title: p.title,
+        });
+        upserted++;
+      }
+      run.upserted = upserted;
+      await markMissingTeachers(env, diff.missing);
+    }
+  } catch (e) {
+    run.ok = false;
+    run.error = e?.message || String(e);
+    if (e?.status) run.http_status = e.status;
+  }
+
+  Object.assign(run, {
+    added: diff.added.length,
+    unchanged: diff.unchanged.length,
+    missing: diff.missing.length,
+    unlisted: diff.unlisted.length,
+  });
+  run.run_id = await recordScrapeRun(env, run, { trigger, actor, startedAt, diff });
+  if (!run.ok && !dryRun) {
+    await emitWebhookEvent(env, "scrape.failed", {
+      run_id: run.run_id,
+      adapter_id: run.id,
+      school: run.school,
+      trigger,
+      error: run.error,
+      http_status: run.http_status ?? null,
+    });
+  }
+  return dryRun ? { ...run, diff } : run;
+}
 
-  let upserted = 0;
-  for (const n of skyline.names) {
-    await upsertTeacher(env, { name: n, school, source_url: skyline.source_url });
-    upserted++;
+// One failing school doesn't stop the others; check schools[].ok.
+async function runScrapeAll(env, opts = {}) {
+  const schools = [];
+  for (const adapter of SCHOOL_ADAPTERS) {
+    if (!adapter.enabled) continue;
+    schools.push(await runScrapeSchool(env, adapter, opts));
   }
 
   return {
-    ok: true,
-    skyline_count_found: skyline.names.length,
-    upserted,
-    school,
-    source_url: skyline.source_url,
+    ok: schools.every(s => s.ok),
+    dry_run: !!opts.dryRun,
+    upserted: schools.reduce((a, s) => a + (s.upserted || 0), 0),
+    found: schools.reduce((a, s) => a + (s.found || 0), 0),
+    schools,
   };
 }
 
+async function listScrapeRuns(env, { school = "", cursor = null, limit = 20 } = {}) {
+  const where = [];
+  const binds = [];
+  if (school) { where.push("s.school = ?"); binds.push(school); }
+  const c = decodeCursor(cursor);
+  if (c && Number.isInteger(c.id)) { where.push("s.id < ?"); binds.push(c.id); }
+
+  const { results } = await env.DB.prepare(`
+    SELECT
+      s.id, s.adapter_id, s.school, s.trigger, m.username AS actor, s.dry_run, s.ok, s.error,
+      s.source_url, s.http_status, s.pages, s.found, s.added_count, s.unchanged_count,
+      s.missing_count, s.unlisted_count, s.started_at, s.finished_at, s.duration_ms
+    FROM scrape_runs s
+    LEFT JOIN moderators m ON m.id = s.actor_id
+    ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+    ORDER BY s.id DESC
+    LIMIT ?
+  `).bind(...binds, limit + 1).all();
+
+  return pageResult(results, limit, [{ name: "id" }]);
+}
+
+async function getScrapeRun(env, id) {
+  const row = await env.DB.prepare(`
+    SELECT s.*, m.username AS actor
+    FROM scrape_runs s
+    LEFT JOIN moderators m ON m.id = s.actor_id
+    WHERE s.id = ?
+  `).bind(id).first();
+  if (!row) return null;
+  const { actor_id, diff, ...run } = row;
+  let parsed = {};
+  try { parsed = JSON.parse(diff); } catch {}
+  return { ...run, diff: parsed };
+}
+
 // -------------------- Reviews + moderation --------------------
-async function getPendingReviews(env, limit = 50) {
-  const lim = clampInt(limit, 1, 200) ?? 50;
+// Filters: teacher (id or part of a name), school, from/to (YYYY-MM-DD, inclusive),
+// rating_min/rating_max (overall), q (comment keyword). Expects reviews r LEFT JOIN teachers t.
+function pendingReviewWhere(filters = {}) {
+  const where = ["r.status='pending'"];
+  const binds = [];
+
+  const teacher = cleanStr(String(filters.teacher ?? ""), 80);
+  if (/^\d+$/.test(teacher)) { where.push("r.teacher_id = ?"); binds.push(Number(teacher)); }
+  else if (teacher) { where.push("t.name LIKE ?"); binds.push(`%${teacher}%`); }
+
+  const school = cleanStr(filters.school ?? "", 120);
+  if (school) { where.push("r.school = ?"); binds.push(school); }
+
+  const from = dayStartIso(filters.from);
+  if (from) { where.push("r.created_at >= ?"); binds.push(from); }
+  const to = dayStartIso(filters.to, 1);
+  if (to) { where.push("r.created_at < ?"); binds.push(to); }
+
+  const ratingMin = clampInt(filters.rating_min, 1, 5);
+  if (ratingMin !== null) { where.push("r.overall >= ?"); binds.push(ratingMin); }
+  const ratingMax = clampInt(filters.rating_max, 1, 5);
+  if (ratingMax !== null) { where.push("r.overall <= ?"); binds.push(ratingMax); }
+
+  const q = cleanStr(filters.q ?? "", 80);
+  if (q) { where.push("r.comment LIKE ?"); binds.push(`%${q}%`); }
+
+  return { where, binds };
+}
+
+// Same filters as pendingReviewWhere. Newest first, paged by cursor.
+async function getPendingReviews(env, filters = {}) {
+  const lim = clampInt(filters.limit ?? 50, 1, 200) ?? 50;
+  const { where, binds } = pendingReviewWhere(filters);
+
+  const cursor = decodeCursor(filters.cursor);
+  if (cursor && typeof cursor.created_at === "string" && Number.isInteger(cursor.id)) {
+    where.push("(r.created_at < ? OR (r.created_at = ? AND r.id < ?))");
+    binds.push(cursor.created_at, cursor.created_at, cursor.id);
+  }
+
   const { results } = await env.DB.prepare(`
     SELECT
       r.id,
@@ -177,221 +795,3992 @@ async function getPendingReviews(env, limit = 50) {
       r.would_take_again,
       r.comment,
       r.status,
-      r.created_at
+      r.flags,
+      r.created_at,
+      c.name AS course_name,
+      (SELECT GROUP_CONCAT(g.label, ', ') FROM review_tags rt JOIN tags g ON g.id = rt.tag_id WHERE rt.review_id = r.id) AS tags,
+      (SELECT COUNT(*) FROM review_reports rr WHERE rr.review_id = r.id AND rr.resolved_at IS NULL) AS report_count
     FROM reviews r
     LEFT JOIN teachers t ON t.id = r.teacher_id
-    WHERE r.status='pending'
-    ORDER BY r.created_at DESC
+    LEFT JOIN courses c ON c.id = r.course_id
+    WHERE ${where.join(" AND ")}
+    ORDER BY r.created_at DESC, r.id DESC
     LIMIT ?
-  `).bind(lim).all();
-  return results || [];
+  `).bind(...binds, lim + 1).all();
+
+  const rows = (results || []).slice(0, lim).map(r => ({ ...r, flags: parseFlags(r.flags) }));
+  await attachRatings(env, rows);
+  const last = rows[rows.length - 1];
+  const next_cursor = (results || []).length > lim ? encodeCursor({ created_at: last.created_at, id: last.id }) : null;
+  return { rows, next_cursor };
+}
+
+// How long the filtered queue has been waiting: size, oldest, median age, and how many
+// have waited over a day.
+async function getPendingQueueAge(env, filters = {}) {
+  const { where, binds } = pendingReviewWhere(filters);
+  const now = Date.now();
+  const { results } = await env.DB.prepare(`
+    SELECT r.created_at
+    FROM reviews r
+    LEFT JOIN teachers t ON t.id = r.teacher_id
+    WHERE ${where.join(" AND ")}
+    ORDER BY r.created_at
+  `).bind(...binds).all();
+
+  const ages = (results || []).map(r => Math.max(0, Math.round((now - Date.parse(r.created_at)) / 1000)));
+  return {
+    pending: ages.length,
+    oldest_at: results?.[0]?.created_at ?? null,
+    oldest_age_seconds: ages.length ? ages[0] : null,
+    median_age_seconds: median(ages),
+    over_24h: ages.filter(a => a > 86_400).length,
+  };
 }
 
-async function setReviewStatus(env, reviewId, status) {
+// Every status change goes through here. Allowed transitions:
+const MODERATION_ACTIONS = {
+  approve:   { from: ["pending"], to: "approved" },
+  reject:    { from: ["pending"], to: "rejected" },
+  unpublish: { from: ["approved"], to: "unpublished" },
+  restore:   { from: ["rejected", "unpublished"], to: "approved" },
+  requeue:   { from: ["approved", "rejected", "unpublished"], to: "pending" },
+};
+
+// Reversals must say why; first-pass approve/reject may leave it blank.
+const REASON_REQUIRED_ACTIONS = ["unpublish", "restore", "requeue"];
+
+const MODERATION_REASON_CODES = [
+  "meets_rules", "personal_info", "harassment", "threat", "slur", "allegation",
+  "off_topic", "spam", "duplicate", "appeal", "mistake", "reported", "other",
+];
+
+// A moderator ruling on a review settles any open reader reports against it.
+const REPORT_RESOLVING_ACTIONS = ["approve", "reject", "unpublish", "restore"];
+
+async function setReviewStatus(env, reviewId, action, { actor = null, reason_code = null, note = "" } = {}) {
   const id = clampInt(reviewId, 1, 1_000_000_000);
   if (id === null) return { ok: false, error: "Invalid review id" };
-  if (status !== "approved" && status !== "rejected") return { ok: false, error: "Invalid status" };
+  const transition = MODERATION_ACTIONS[action];
+  if (!transition) return { ok: false, error: "Invalid action" };
+  if (reason_code && !MODERATION_REASON_CODES.includes(reason_code)) return { ok: false, error: "Invalid reason code" };
+  if (!reason_code && REASON_REQUIRED_ACTIONS.includes(action)) return { ok: false, error: "A reason code is required" };
 
-  const out = await env.DB.prepare(`
-    UPDATE reviews
-    SET status = ?
-    WHERE id = ? AND status='pending'
-  `).bind(status, id).run();
+  const review = await env.DB.prepare(`
+    SELECT id, teacher_id, status, overall, clarity, difficulty, would_take_again FROM reviews WHERE id = ?
+  `).bind(id).first();
+  if (!review) return { ok: false, error: "Review not found" };
+  if (!transition.from.includes(review.status)) return { ok: true, updated: 0, status: review.status };
+
+  // Guarded on the status we just read, and the event row is only written if the update
+  // went through, so two moderators racing on the same review can't both log a change.
+  // The same goes for the teacher_stats adjustment, which follows the event row.
+  const now = new Date().toISOString();
+  const statsDelta = (transition.to === "approved") - (review.status === "approved");
+  const [out] = await env.DB.batch([
+    env.DB.prepare(`
+      UPDATE reviews
+      SET status = ?
+      WHERE id = ? AND status = ?
+    `).bind(transition.to, id, review.status),
+    env.DB.prepare(`
+      INSERT INTO moderation_events
+        (review_id, teacher_id, actor_id, action, from_status, to_status, reason_code, note, created_at)
+      SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?
+      WHERE changes() = 1
+    `).bind(id, review.teacher_id, actor?.id ?? null, action, review.status, transition.to, reason_code, cleanStr(note, 500), now),
+    ...(statsDelta ? [teacherStatsDelta(env, review, statsDelta, now)] : []),
+  ]);
 
   const changes =
     (out && out.meta && typeof out.meta.changes === "number" ? out.meta.changes : null) ??
     (typeof out.changes === "number" ? out.changes : null) ??
     0;
 
-  return { ok: true, updated: changes };
-}
+  if (changes && statsDelta) await bumpCacheGeneration(env);
 
-// -------------------- DEBUG HELPERS --------------------
-function snippetAround(haystack, needle, radius = 300) {
-  const idx = haystack.indexOf(needle);
-  if (idx === -1) return null;
-  const start = Math.max(0, idx - radius);
-  const end = Math.min(haystack.length, idx + needle.length + radius);
-  return haystack.slice(start, end);
+  if (changes && REPORT_RESOLVING_ACTIONS.includes(action)) {
+    await env.DB.prepare(`
+      UPDATE review_reports SET resolved_at = ? WHERE review_id = ? AND resolved_at IS NULL
+    `).bind(now, id).run();
+  }
+
+  return { ok: true, updated: changes, status: changes ? transition.to : review.status };
 }
 
-// -------------------- Worker entrypoints --------------------
-export default {
-  async fetch(request, env, ctx) {
-    const url = new URL(request.url);
+const BULK_MODERATION_MAX = 100;
 
-    if (request.method === "OPTIONS") return new Response("", { status: 204, headers: { ...CORS_HEADERS } });
+// Applies one approve/reject decision to many reviews; reports each id separately.
+async function setReviewStatusBulk(env, ids, action, opts) {
+  if (action !== "approve" && action !== "reject") return { ok: false, error: "Invalid action" };
+  if (!Array.isArray(ids) || ids.length === 0) return { ok: false, error: "No reviews selected" };
+  if (ids.length > BULK_MODERATION_MAX) return { ok: false, error: `At most ${BULK_MODERATION_MAX} reviews at a time` };
 
-    if (url.pathname === "/api/health") return text("OK");
+  const results = [];
+  for (const id of new Set(ids)) {
+    const out = await setReviewStatus(env, id, action, opts);
+    results.push({ id, ...out });
+  }
+  return { ok: true, updated: results.reduce((a, r) => a + (r.updated || 0), 0), results };
+}
 
-    // ---------------- Admin DEBUG endpoints ----------------
-    if (url.pathname === "/api/admin/debug_staff_fetch" && request.method === "POST") {
-      const body = (await readJson(request)) || {};
-      if (!requireAdminToken(env, body.token)) return text("Unauthorized", 401);
+// Reviews (any status), teacher responses to them and the decision log, for one review
+// or every review of a teacher.
+async function getModerationHistory(env, { reviewId = null, teacherId = null }) {
+  const rid = reviewId != null ? clampInt(reviewId, 1, 1_000_000_000) : null;
+  const tid = teacherId != null ? clampInt(teacherId, 1, 1_000_000_000) : null;
+  if (rid === null && tid === null) return { ok: false, error: "Provide review_id or teacher_id" };
 
-      const staffUrl = buildSkylineDirectoryUrl();
-      const { res, html } = await fetchStaffHtml(staffUrl);
+  const where = rid !== null ? "r.id = ?" : "r.teacher_id = ?";
+  const key = rid !== null ? rid : tid;
 
-      return json({
-        ok: true,
-        url: staffUrl,
-        status: res.status,
-        content_length: html.length,
-        has_fsConstituentItem: html.includes("fsConstituentItem"),
-        has_fsConstituent: html.includes("fsConstituent"),
-        first_1500: html.slice(0, 1500),
-      });
-    }
+  const { results: reviews } = await env.DB.prepare(`
+    SELECT
+      r.id,
+      r.teacher_id,
+      t.name AS teacher_name,
+      r.school,
+      r.overall,
+      r.clarity,
+      r.difficulty,
+      r.would_take_again,
+      r.comment,
+      r.status,
+      r.flags,
+      r.created_at
+    FROM reviews r
+    LEFT JOIN teachers t ON t.id = r.teacher_id
+    WHERE ${where}
+    ORDER BY r.created_at DESC
+    LIMIT 500
+  `).bind(key).all();
 
-    if (url.pathname === "/api/admin/debug_staff_snip" && request.method === "POST") {
-      const body = (await readJson(request)) || {};
-      if (!requireAdminToken(env, body.token)) return text("Unauthorized", 401);
+  const { results: responses } = await env.DB.prepare(`
+    SELECT p.id, p.review_id, p.body, p.status, p.flags, p.created_at, p.updated_at
+    FROM review_responses p
+    WHERE ${rid !== null ? "p.review_id = ?" : "p.teacher_id = ?"}
+    LIMIT 500
+  `).bind(key).all();
 
-      const staffUrl = buildSkylineDirectoryUrl();
-      const { res, html } = await fetchStaffHtml(staffUrl);
+  const { results: events } = await env.DB.prepare(`
+    SELECT
+      e.id,
+      e.review_id,
+      e.response_id,
+      e.action,
+      e.from_status,
+      e.to_status,
+      e.reason_code,
+      e.note,
+      e.created_at,
+      m.username AS actor
+    FROM moderation_events e
+    LEFT JOIN moderators m ON m.id = e.actor_id
+    WHERE ${rid !== null ? "e.review_id = ?" : "e.teacher_id = ?"}
+    ORDER BY e.created_at DESC, e.id DESC
+    LIMIT 2000
+  `).bind(key).all();
 
-      return json({
-        ok: true,
-        url: staffUrl,
-        status: res.status,
-        content_length: html.length,
-        snip_fsConstituent: snippetAround(html, "fsConstituent", 400),
-        snip_constituent: snippetAround(html.toLowerCase(), "constituent", 400),
-        snip_api: snippetAround(html.toLowerCase(), "api", 400),
-      });
-    }
+  return {
+    ok: true,
+    reviews: await attachRatings(env, (reviews || []).map(r => ({ ...r, flags: parseFlags(r.flags) }))),
+    responses: (responses || []).map(r => ({ ...r, flags: parseFlags(r.flags) })),
+    events: events || [],
+  };
+}
 
-    // ---------------- Public APIs (same as before) ----------------
-    if (url.pathname === "/api/teachers" && request.method === "GET") {
-      const q = cleanStr(url.searchParams.get("q") || "", 80);
-      const like = `%${q}%`;
-      const stmt = q
-        ? env.DB.prepare(`
-            SELECT id, name, school
-            FROM teachers
-            WHERE name LIKE ? OR school LIKE ?
-            ORDER BY name
-            LIMIT 100
-          `).bind(like, like)
-        : env.DB.prepare(`
-            SELECT id, name, school
-            FROM teachers
-            ORDER BY name
-            LIMIT 100
-          `);
-
-      const { results } = await stmt.all();
-      return json(results || []);
-    }
+// -------------------- Abuse throttling --------------------
+// Counted against reviews already stored for the same client_hash.
+const REVIEW_RATE_LIMITS = [
+  { windowSec: 10 * 60, max: 3 },
+  { windowSec: 24 * 60 * 60, max: 10 },
+];
+// Same client rating the same teacher again within this window is refused.
+const REPEAT_REVIEW_WINDOW_SEC = 30 * 24 * 60 * 60;
+// Comments compared for near-duplicates are limited to this window.
+const DUPLICATE_COMMENT_WINDOW_SEC = 30 * 24 * 60 * 60;
+const DUPLICATE_COMMENT_SIMILARITY = 0.85;
+const DUPLICATE_COMMENT_MIN_WORDS = 5;
 
-    if (url.pathname === "/api/teacher" && request.method === "GET") {
-      const id = url.searchParams.get("id");
-      if (!id) return text("Missing id", 400);
+async function sha256Hex(s) {
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(s));
+  return [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
 
-      const teacher = await env.DB.prepare(`SELECT id, name, school FROM teachers WHERE id = ?`)
-        .bind(id).first();
-      if (!teacher) return text("Not found", 404);
+// Salted so the hash can't be reversed by enumerating IPs. The salt has its own secret:
+// sharing one would reset every throttle and vote whenever that secret is rotated.
+async function hashClient(env, request) {
+  const salt = String(env.CLIENT_HASH_SALT || "");
+  if (!salt) throw new Error("CLIENT_HASH_SALT is not configured");
+  const ip = request.headers.get("CF-Connecting-IP") || "";
+  const ua = request.headers.get("User-Agent") || "";
+  return sha256Hex(`${salt}|${ip}|${ua}`);
+}
 
-      const stats = await env.DB.prepare(`
-        SELECT
-          COUNT(*) AS review_count,
-          AVG(overall) AS avg_overall,
-          AVG(clarity) AS avg_clarity,
-          AVG(difficulty) AS avg_difficulty,
-          AVG(would_take_again) * 100.0 AS would_take_again_pct
-        FROM reviews
-        WHERE teacher_id = ? AND status='approved'
-      `).bind(id).first();
+// Checked before any write keyed by hashClient, so a missing salt is a clear 500
+function clientHashConfigError(env) {
+  if (env.CLIENT_HASH_SALT) return null;
+  return { ok: false, status: 500, code: "misconfigured", error: "Server misconfigured: CLIENT_HASH_SALT is not set" };
+}
+
+function commentWords(s) {
+  return new Set(String(s || "").toLowerCase().replace(/[^a-z0-9\s]/g, " ").split(/\s+/).filter(Boolean));
+}
+
+// Jaccard similarity of the two comments' word sets
+function commentSimilarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const w of a) if (b.has(w)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+function parseFlags(raw) {
+  try {
+    const v = JSON.parse(raw || "[]");
+    return Array.isArray(v) ? v : [];
+  } catch {
+    return [];
+  }
+}
+
+function sinceIso(sec) {
+  return new Date(Date.now() - sec * 1000).toISOString();
+}
+
+// Returns { ok: true, flags } when the review may be stored (flags go to the moderator),
+// otherwise { ok: false, status, code, error, retry_after? } for the client.
+async function checkReviewAbuse(env, { clientHash, teacherId, comment }) {
+  for (const { windowSec, max } of REVIEW_RATE_LIMITS) {
+    const row = await env.DB.prepare(`
+      SELECT COUNT(*) AS n, MIN(created_at) AS oldest
+      FROM reviews
+      WHERE client_hash = ? AND created_at >= ?
+    `).bind(clientHash, sinceIso(windowSec)).first();
+    if (row && row.n >= max) {
+      const retryAfter = Math.max(1, Math.ceil((Date.parse(row.oldest) + windowSec * 1000 - Date.now()) / 1000));
+      return {
+        ok: false,
+        status: 429,
+        code: "rate_limited",
+        error: "You're submitting reviews too quickly. Please try again later.",
+        retry_after: retryAfter,
+      };
+    }
+  }
+
+  const repeat = await env.DB.prepare(`
+    SELECT id FROM reviews
+    WHERE client_hash = ? AND teacher_id = ? AND created_at >= ? AND status != 'rejected'
+    LIMIT 1
+  `).bind(clientHash, teacherId, sinceIso(REPEAT_REVIEW_WINDOW_SEC)).first();
+  if (repeat) {
+    return {
+      ok: false,
+      status: 409,
+      code: "duplicate_review",
+      error: "You've already reviewed this teacher recently.",
+    };
+  }
+
+  const flags = [];
+  const words = commentWords(comment);
+  if (words.size >= DUPLICATE_COMMENT_MIN_WORDS) {
+    const { results } = await env.DB.prepare(`
+      SELECT id, client_hash, comment
+      FROM reviews
+      WHERE created_at >= ? AND comment != '' AND (teacher_id = ? OR client_hash = ?)
+      ORDER BY created_at DESC
+      LIMIT 200
+    `).bind(sinceIso(DUPLICATE_COMMENT_WINDOW_SEC), teacherId, clientHash).all();
+
+    for (const r of results || []) {
+      const similarity = commentSimilarity(words, commentWords(r.comment));
+      if (similarity < DUPLICATE_COMMENT_SIMILARITY) continue;
+      // Pasting the same text from the same client is spam; from elsewhere it may be
+      // coordinated, so let a moderator decide.
+      if (r.client_hash === clientHash) {
+        return {
+          ok: false,
+          status: 409,
+          code: "duplicate_comment",
+          error: "This comment is nearly identical to one you already submitted.",
+        };
+      }
+      flags.push({ type: "near_duplicate", review_id: r.id, similarity: Math.round(similarity * 100) / 100 });
+    }
+  }
+
+  return { ok: true, flags };
+}
+
+// -------------------- Reader reports --------------------
+const REPORT_REASONS = ["personal_info", "harassment", "threat", "hate", "allegation", "spam", "off_topic", "other"];
+// Open reports at which an approved review is pulled and sent back to the queue
+const REPORT_HIDE_THRESHOLD = 3;
+const REPORT_RATE_LIMIT = { windowSec: 60 * 60, max: 10 };
+
+async function reportReview(env, request, { review_id, reason, details }) {
+  const config = clientHashConfigError(env);
+  if (config) return config;
+  const id = clampInt(review_id, 1, 1_000_000_000);
+  if (id === null) return { ok: false, status: 400, code: "invalid", error: "Invalid review id" };
+  if (!REPORT_REASONS.includes(reason)) return { ok: false, status: 400, code: "invalid", error: "Pick a reason" };
+
+  const review = await env.DB.prepare(`SELECT id, status FROM reviews WHERE id = ?`).bind(id).first();
+  if (!review || review.status !== "approved") return { ok: false, status: 404, code: "not_found", error: "Review not found" };
+
+  const clientHash = await hashClient(env, request);
+  const recent = await env.DB.prepare(`
+    SELECT COUNT(*) AS n FROM review_reports WHERE client_hash = ? AND created_at >= ?
+  `).bind(clientHash, sinceIso(REPORT_RATE_LIMIT.windowSec)).first();
+  if (recent && recent.n >= REPORT_RATE_LIMIT.max) {
+    return {
+      ok: false,
+      status: 429,
+      code: "rate_limited",
+      error: "You've sent a lot of reports. Please try again later.",
+      retry_after: REPORT_RATE_LIMIT.windowSec,
+    };
+  }
+
+  const out = await env.DB.prepare(`
+    INSERT OR IGNORE INTO review_reports (review_id, reason, details, client_hash, created_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).bind(id, reason, cleanStr(details ?? "", 500), clientHash, new Date().toISOString()).run();
+  if (!out.meta?.changes) {
+    return { ok: false, status: 409, code: "duplicate_report", error: "You've already reported this review." };
+  }
+
+  const open = await env.DB.prepare(`
+    SELECT COUNT(*) AS n FROM review_reports WHERE review_id = ? AND resolved_at IS NULL
+  `).bind(id).first();
+  let hidden = false;
+  if (open && open.n >= REPORT_HIDE_THRESHOLD) {
+    const moved = await setReviewStatus(env, id, "requeue", {
+      reason_code: "reported",
+      note: `Hidden automatically after ${open.n} reader reports`,
+    });
+    hidden = !!moved.updated;
+  }
+  return { ok: true, hidden };
+}
+
+// Open reports grouped per review, most-reported first
+async function getReportGroups(env, { limit = 50 } = {}) {
+  const lim = clampInt(limit, 1, 200) ?? 50;
+  const { results } = await env.DB.prepare(`
+    SELECT
+      r.id AS review_id,
+      r.teacher_id,
+      t.name AS teacher_name,
+      r.school,
+      r.overall,
+      r.comment,
+      r.status,
+      r.flags,
+      COUNT(rr.id) AS report_count,
+      MIN(rr.created_at) AS first_reported_at,
+      MAX(rr.created_at) AS last_reported_at
+    FROM review_reports rr
+    JOIN reviews r ON r.id = rr.review_id
+    LEFT JOIN teachers t ON t.id = r.teacher_id
+    WHERE rr.resolved_at IS NULL
+    GROUP BY r.id
+    ORDER BY report_count DESC, last_reported_at DESC
+    LIMIT ?
+  `).bind(lim).all();
+
+  const groups = (results || []).map(g => ({ ...g, flags: parseFlags(g.flags), reasons: {}, details: [] }));
+  if (!groups.length) return groups;
+
+  const byId = new Map(groups.map(g => [g.review_id, g]));
+  const { results: reports } = await env.DB.prepare(`
+    SELECT review_id, reason, details, created_at
+    FROM review_reports
+    WHERE resolved_at IS NULL AND review_id IN (${groups.map(() => "?").join(",")})
+    ORDER BY created_at DESC
+  `).bind(...groups.map(g => g.review_id)).all();
+
+  for (const rep of reports || []) {
+    const g = byId.get(rep.review_id);
+    g.reasons[rep.reason] = (g.reasons[rep.reason] || 0) + 1;
+    if (rep.details) g.details.push({ reason: rep.reason, details: rep.details, created_at: rep.created_at });
+  }
+  return groups;
+}
+
+// Moderator looked and found nothing wrong; leaves the review's status alone
+async function dismissReports(env, reviewId) {
+  const id = clampInt(reviewId, 1, 1_000_000_000);
+  if (id === null) return { ok: false, error: "Invalid review id" };
+  const out = await env.DB.prepare(`
+    UPDATE review_reports SET resolved_at = ? WHERE review_id = ? AND resolved_at IS NULL
+  `).bind(new Date().toISOString(), id).run();
+  return { ok: true, dismissed: out.meta?.changes ?? 0 };
+}
+
+// -------------------- Helpful votes --------------------
+const REVIEW_VOTES = { helpful: 1, not_helpful: -1 };
+const VOTE_RATE_LIMIT = { windowSec: 60 * 60, max: 60 };
+
+// Lower bound of the 95% Wilson interval for the helpful share: a review with 40 of 50
+// helpful outranks one with 2 of 2, and a review nobody has voted on scores 0.
+function helpfulScore(up, down) {
+  const n = up + down;
+  if (!n) return 0;
+  const z = 1.96, p = up / n;
+  return (p + z * z / (2 * n) - z * Math.sqrt((p * (1 - p) + z * z / (4 * n)) / n)) / (1 + z * z / n);
+}
+
+// vote: "helpful" | "not_helpful" | null (take a vote back). Returns the fresh counts.
+async function voteOnReview(env, request, { review_id, vote }) {
+  const config = clientHashConfigError(env);
+  if (config) return config;
+  const id = clampInt(review_id, 1, 1_000_000_000);
+  if (id === null) return { ok: false, status: 400, code: "invalid", error: "Invalid review id" };
+  if (vote != null && !Object.hasOwn(REVIEW_VOTES, vote)) return { ok: false, status: 400, code: "invalid", error: "Invalid vote" };
+
+  const review = await env.DB.prepare(`SELECT id, status FROM reviews WHERE id = ?`).bind(id).first();
+  if (!review || review.status !== "approved") return { ok: false, status: 404, code: "not_found", error: "Review not found" };
+
+  const clientHash = await hashClient(env, request);
+  const recent = await env.DB.prepare(`
+    SELECT COUNT(*) AS n FROM review_votes WHERE client_hash = ? AND updated_at >= ?
+  `).bind(clientHash, sinceIso(VOTE_RATE_LIMIT.windowSec)).first();
+  if (recent && recent.n >= VOTE_RATE_LIMIT.max) {
+    return {
+      ok: false,
+      status: 429,
+      code: "rate_limited",
+      error: "You've voted a lot in a short time. Please try again later.",
+      retry_after: VOTE_RATE_LIMIT.windowSec,
+    };
+  }
+
+  const now = new Date().toISOString();
+  const write = vote == null
+    ? env.DB.prepare(`DELETE FROM review_votes WHERE review_id = ? AND client_hash = ?`).bind(id, clientHash)
+    : env.DB.prepare(`
+        INSERT INTO review_votes (review_id, client_hash, vote, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (review_id, client_hash) DO UPDATE SET vote = excluded.vote, updated_at = excluded.updated_at
+        WHERE vote != excluded.vote
+      `).bind(id, clientHash, REVIEW_VOTES[vote], now, now);
+
+  // Counts are recomputed from the votes rather than incremented, so they can't drift
+  const [, , counts] = await env.DB.batch([
+    write,
+    env.DB.prepare(`
+      UPDATE reviews SET
+        helpful_count = (SELECT COUNT(*) FROM review_votes WHERE review_id = reviews.id AND vote = 1),
+        unhelpful_count = (SELECT COUNT(*) FROM review_votes WHERE review_id = reviews.id AND vote = -1)
+      WHERE id = ?
+    `).bind(id),
+    env.DB.prepare(`SELECT helpful_count, unhelpful_count FROM reviews WHERE id = ?`).bind(id),
+  ]);
+  const { helpful_count, unhelpful_count } = counts.results[0];
+  await env.DB.prepare(`UPDATE reviews SET helpful_score = ? WHERE id = ?`)
+    .bind(helpfulScore(helpful_count, unhelpful_count), id).run();
+
+  return { ok: true, helpful_count, unhelpful_count, my_vote: vote ?? null };
+}
+
+const VOTE_LOOKUP_MAX = 50;
+
+// The caller's own votes on the given reviews, as { [review_id]: "helpful" | "not_helpful" }.
+// Kept out of listReviews so review pages can be cached for everyone.
+async function getClientVotes(env, request, ids) {
+  const wanted = [...new Set(String(ids || "").split(",").map(x => clampInt(x, 1, 1_000_000_000)).filter(x => x !== null))];
+  if (wanted.length > VOTE_LOOKUP_MAX) return { ok: false, error: `At most ${VOTE_LOOKUP_MAX} reviews at a time` };
+  if (!wanted.length) return { ok: true, votes: {} };
+  const config = clientHashConfigError(env);
+  if (config) return config;
+
+  const { results } = await env.DB.prepare(`
+    SELECT review_id, vote FROM review_votes
+    WHERE client_hash = ? AND review_id IN (${wanted.map(() => "?").join(", ")})
+  `).bind(await hashClient(env, request), ...wanted).all();
+  const votes = {};
+  for (const v of results || []) votes[v.review_id] = v.vote === 1 ? "helpful" : "not_helpful";
+  return { ok: true, votes };
+}
+
+// -------------------- Review tags --------------------
+const REVIEW_TAGS_MAX = 3;
+const TAG_SLUG_RE = /^[a-z0-9]+(?:_[a-z0-9]+)*$/;
+
+// Tags offered on rate.html (retired ones excluded)
+async function listActiveTags(env) {
+  const { results } = await env.DB.prepare(`
+    SELECT slug, label FROM tags WHERE retired_at IS NULL ORDER BY sort_order, label
+  `).all();
+  return results || [];
+}
+
+// Validates a review's tag slugs; { ok, tagIds } or { ok: false, error }
+async function resolveReviewTags(env, tags) {
+  if (tags == null) return { ok: true, tagIds: [] };
+  if (!Array.isArray(tags)) return { ok: false, error: "Tags must be a list" };
+  const slugs = [...new Set(tags.map(t => String(t ?? "").trim()))].filter(Boolean);
+  if (slugs.length > REVIEW_TAGS_MAX) return { ok: false, error: `Pick at most ${REVIEW_TAGS_MAX} tags` };
+  if (!slugs.length) return { ok: true, tagIds: [] };
+
+  const { results } = await env.DB.prepare(`
+    SELECT id, slug FROM tags WHERE retired_at IS NULL AND slug IN (${slugs.map(() => "?").join(",")})
+  `).bind(...slugs).all();
+  const found = new Map((results || []).map(r => [r.slug, r.id]));
+  const unknown = slugs.filter(sl => !found.has(sl));
+  if (unknown.length) return { ok: false, error: `Unknown tag: ${unknown.join(", ")}` };
+  return { ok: true, tagIds: slugs.map(sl => found.get(sl)) };
+}
+
+// Tag counts over a teacher's approved reviews, most used first
+async function getTeacherTagCounts(env, teacherId) {
+  const { results } = await env.DB.prepare(`
+    SELECT g.slug, g.label, COUNT(*) AS count
+    FROM review_tags rt
+    JOIN reviews r ON r.id = rt.review_id
+    JOIN tags g ON g.id = rt.tag_id
+    WHERE r.teacher_id = ? AND r.status = 'approved'
+    GROUP BY g.id
+    ORDER BY count DESC, g.sort_order, g.label
+  `).bind(teacherId).all();
+  return results || [];
+}
+
+async function adminListTags(env) {
+  const { results } = await env.DB.prepare(`
+    SELECT g.id, g.slug, g.label, g.sort_order, g.retired_at, g.created_at,
+      (SELECT COUNT(*) FROM review_tags rt WHERE rt.tag_id = g.id) AS review_count
+    FROM tags g
+    ORDER BY g.retired_at IS NOT NULL, g.sort_order, g.label
+  `).all();
+  return { ok: true, rows: results || [] };
+}
+
+function tagSlugFor(label) {
+  return String(label).toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "").slice(0, 40);
+}
+
+async function createTag(env, { label, slug, sort_order }) {
+  const name = cleanStr(label ?? "", 40);
+  if (!name) return { ok: false, error: "Missing label" };
+  const key = slug ? String(slug).trim() : tagSlugFor(name);
+  if (!TAG_SLUG_RE.test(key) || key.length > 40) return { ok: false, error: "Slug must be lowercase letters, digits and underscores" };
+
+  const order = sort_order != null && sort_order !== ""
+    ? clampInt(sort_order, 0, 100_000)
+    : ((await env.DB.prepare(`SELECT MAX(sort_order) AS m FROM tags`).first())?.m ?? 0) + 10;
+  if (order === null) return { ok: false, error: "Invalid sort order" };
+
+  const out = await env.DB.prepare(`
+    INSERT OR IGNORE INTO tags (slug, label, sort_order, created_at) VALUES (?, ?, ?, ?)
+  `).bind(key, name, order, new Date().toISOString()).run();
+  if (!out.meta?.changes) return { ok: false, error: `A tag with slug "${key}" already exists` };
+  return { ok: true, id: out.meta.last_row_id, slug: key };
+}
+
+// Slugs never change (they're what the API and old reviews refer to); label, order and retired do
+async function updateTag(env, { id, label, sort_order, retired }) {
+  const tagId = clampInt(id, 1, 1_000_000_000);
+  if (tagId === null) return { ok: false, error: "Invalid tag id" };
+  const sets = [];
+  const binds = [];
+  if (label !== undefined) {
+    const name = cleanStr(label ?? "", 40);
+    if (!name) return { ok: false, error: "Missing label" };
+    sets.push("label = ?"); binds.push(name);
+  }
+  if (sort_order !== undefined) {
+    const order = clampInt(sort_order, 0, 100_000);
+    if (order === null) return { ok: false, error: "Invalid sort order" };
+    sets.push("sort_order = ?"); binds.push(order);
+  }
+  if (retired !== undefined) {
+    sets.push("retired_at = CASE WHEN ? THEN COALESCE(retired_at, ?) ELSE NULL END");
+    binds.push(retired ? 1 : 0, new Date().toISOString());
+  }
+  if (!sets.length) return { ok: false, error: "Nothing to change" };
+
+  const out = await env.DB.prepare(`UPDATE tags SET ${sets.join(", ")} WHERE id = ?`).bind(...binds, tagId).run();
+  if (!out.meta?.changes) return { ok: false, error: "Tag not found" };
+  return { ok: true };
+}
+
+// Only unused tags can be deleted; retire the rest
+async function deleteTag(env, tagId) {
+  const id = clampInt(tagId, 1, 1_000_000_000);
+  if (id === null) return { ok: false, error: "Invalid tag id" };
+  const used = await env.DB.prepare(`SELECT COUNT(*) AS n FROM review_tags WHERE tag_id = ?`).bind(id).first();
+  if (used?.n) return { ok: false, error: `Used on ${used.n} reviews; retire it instead` };
+  const out = await env.DB.prepare(`DELETE FROM tags WHERE id = ?`).bind(id).run();
+  if (!out.meta?.changes) return { ok: false, error: "Tag not found" };
+  return { ok: true };
+}
+
+// -------------------- Rating criteria --------------------
+// Which ratings a review asks for, per school (see migration 0014). The built-ins live in
+// reviews columns that leaderboards, analytics and exports read directly, so they stay
+// required 1-5 everywhere; everything else is optional or required as configured.
+
+const BUILTIN_CRITERIA = ["overall", "difficulty", "clarity"];
+const CRITERIA_MAX = 10;
+const CRITERION_SLUG_RE = /^[a-z][a-z0-9_]{0,39}$/;
+
+// Effective criteria for a school, in display order: the defaults (school ''), with
+// that school's own rows added or replacing a default of the same slug.
+async function getRatingCriteria(env, school = "", { includeRetired = false } = {}) {
+  const { results } = await env.DB.prepare(`
+    SELECT id, school, slug, label, scale_max, required, sort_order, retired_at
+    FROM rating_criteria WHERE school = '' OR school = ?
+  `).bind(school).all();
+
+  const bySlug = new Map();
+  for (const c of results || []) {
+    if (!bySlug.has(c.slug) || c.school) bySlug.set(c.slug, c);
+  }
+  return [...bySlug.values()]
+    .filter(c => includeRetired || !c.retired_at)
+    .sort((a, b) => a.sort_order - b.sort_order || a.label.localeCompare(b.label))
+    .map(c => {
+      const builtin = BUILTIN_CRITERIA.includes(c.slug);
+      return {
+        slug: c.slug,
+        label: c.label,
+        scale_max: builtin ? 5 : c.scale_max,
+        required: builtin || !!c.required,
+        builtin,
+        sort_order: c.sort_order,
+        retired_at: c.retired_at,
+        school: c.school,
+      };
+    });
+}
+
+function publicCriterion({ slug, label, scale_max, required, builtin }) {
+  return { slug, label, scale_max, required, builtin };
+}
+
+// A new review's answers from body.ratings ({ slug: value }). Built-ins may instead come
+// as top-level overall/difficulty/clarity, which is what older clients send.
+function readReviewRatings(criteria, body) {
+  const given = body.ratings && typeof body.ratings === "object" && !Array.isArray(body.ratings) ? body.ratings : {};
+  const unknown = Object.keys(given).filter(k => !criteria.some(c => c.slug === k));
+  if (unknown.length) return { ok: false, error: `Unknown rating: ${unknown.join(", ")}` };
+
+  const values = {};
+  for (const c of criteria) {
+    const raw = given[c.slug] ?? (c.builtin ? body[c.slug] : undefined);
+    const value = raw == null || raw === "" ? null : clampInt(raw, 1, c.scale_max);
+    if (value === null) {
+      if (c.required) return { ok: false, error: `${c.label} must be rated 1-${c.scale_max}` };
+      continue;
+    }
+    values[c.slug] = value;
+  }
+  return { ok: true, values };
+}
+
+// Sets rows[i].ratings = [{ slug, label, scale_max, value }] in the school's order. Rows
+// need id, teacher_id and the built-in columns. Retired criteria still show on the
+// reviews that answered them.
+async function attachRatings(env, rows) {
+  if (!rows.length) return rows;
+  const ids = rows.map(r => r.id);
+  const { results: extra } = await env.DB.prepare(`
+    SELECT review_id, criterion, value FROM review_ratings WHERE review_id IN (${ids.map(() => "?").join(",")})
+  `).bind(...ids).all();
+  const extraByReview = new Map();
+  for (const e of extra || []) {
+    if (!extraByReview.has(e.review_id)) extraByReview.set(e.review_id, {});
+    extraByReview.get(e.review_id)[e.criterion] = e.value;
+  }
+
+  const teacherIds = [...new Set(rows.map(r => r.teacher_id))];
+  const { results: teachers } = await env.DB.prepare(`
+    SELECT id, school FROM teachers WHERE id IN (${teacherIds.map(() => "?").join(",")})
+  `).bind(...teacherIds).all();
+  const schoolOf = new Map((teachers || []).map(t => [t.id, t.school]));
+
+  const criteriaBySchool = new Map();
+  for (const r of rows) {
+    const school = schoolOf.get(r.teacher_id) ?? "";
+    if (!criteriaBySchool.has(school)) criteriaBySchool.set(school, await getRatingCriteria(env, school, { includeRetired: true }));
+    const answers = { ...extraByReview.get(r.id), overall: r.overall, difficulty: r.difficulty, clarity: r.clarity };
+    r.ratings = criteriaBySchool.get(school)
+      .filter(c => answers[c.slug] != null)
+      .map(c => ({ slug: c.slug, label: c.label, scale_max: c.scale_max, value: answers[c.slug] }));
+  }
+  return rows;
+}
+
+// Averages per criterion over a teacher's approved reviews, for the teacher's school
+async function getCriteriaAverages(env, teacherId, school) {
+  const criteria = await getRatingCriteria(env, school);
+  const stats = await getTeacherStats(env, teacherId);
+  const { results } = await env.DB.prepare(`
+    SELECT rr.criterion, AVG(rr.value) AS avg, COUNT(*) AS n
+    FROM review_ratings rr
+    JOIN reviews r ON r.id = rr.review_id
+    WHERE r.teacher_id = ? AND r.status = 'approved'
+    GROUP BY rr.criterion
+  `).bind(teacherId).all();
+  const extra = new Map((results || []).map(x => [x.criterion, x]));
+
+  return criteria.map(c => ({
+    ...publicCriterion(c),
+    avg: c.builtin ? stats?.[`avg_${c.slug}`] ?? null : extra.get(c.slug)?.avg ?? null,
+    count: c.builtin ? stats?.review_count ?? 0 : extra.get(c.slug)?.n ?? 0,
+  }));
+}
+
+async function adminListCriteria(env, school = "") {
+  const criteria = await getRatingCriteria(env, school, { includeRetired: true });
+  const { results } = await env.DB.prepare(`
+    SELECT criterion, COUNT(*) AS n FROM review_ratings GROUP BY criterion
+  `).all();
+  const used = new Map((results || []).map(x => [x.criterion, x.n]));
+  return {
+    ok: true,
+    school,
+    rows: criteria.map(c => ({ ...c, inherited: school !== "" && c.school === "", rating_count: used.get(c.slug) ?? 0 })),
+  };
+}
+
+// Creates a criterion (no slug: one is made from the label) or edits one for a school.
+// Editing a default from a school writes an override row for that school only.
+async function saveCriterion(env, body) {
+  const school = cleanStr(body.school ?? "", 120);
+  const label = cleanStr(body.label ?? "", 40);
+  if (!label) return { ok: false, error: "Missing label" };
+
+  const current = await getRatingCriteria(env, school, { includeRetired: true });
+  let slug = body.slug ? String(body.slug).trim() : "";
+  const existing = slug ? current.find(c => c.slug === slug) : null;
+  if (slug && !existing) return { ok: false, error: "Criterion not found" };
+  if (!slug) {
+    slug = label.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "").slice(0, 40);
+    if (!CRITERION_SLUG_RE.test(slug)) return { ok: false, error: "The label needs to start with a letter" };
+    if (current.some(c => c.slug === slug)) return { ok: false, error: `There is already a "${slug}" criterion` };
+    if (current.filter(c => !c.retired_at).length >= CRITERIA_MAX) return { ok: false, error: `At most ${CRITERIA_MAX} criteria` };
+  }
+
+  const builtin = BUILTIN_CRITERIA.includes(slug);
+  const scale_max = body.scale_max != null ? clampInt(body.scale_max, 2, 10) : existing?.scale_max ?? 5;
+  if (scale_max === null) return { ok: false, error: "Scale must be 2-10" };
+  const required = body.required != null ? !!body.required : existing?.required ?? false;
+  const retired = body.retired != null ? !!body.retired : !!existing?.retired_at;
+  if (builtin && (scale_max !== 5 || !required || retired)) {
+    return { ok: false, error: "Overall, difficulty and clarity are always required on a 1-5 scale; only the label and order can change" };
+  }
+  if (existing && scale_max !== existing.scale_max) {
+    const used = await env.DB.prepare(`SELECT 1 FROM review_ratings WHERE criterion = ? LIMIT 1`).bind(slug).first();
+    if (used) return { ok: false, error: "Reviews already use this scale; add a new criterion instead" };
+  }
+  const sort_order = body.sort_order != null && body.sort_order !== ""
+    ? clampInt(body.sort_order, 0, 100_000)
+    : existing?.sort_order ?? Math.max(0, ...current.map(c => c.sort_order)) + 10;
+  if (sort_order === null) return { ok: false, error: "Invalid sort order" };
+
+  const now = new Date().toISOString();
+  await env.DB.prepare(`
+    INSERT INTO rating_criteria (school, slug, label, scale_max, required, sort_order, retired_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (school, slug) DO UPDATE SET
+      label = excluded.label, scale_max = excluded.scale_max, required = excluded.required,
+      sort_order = excluded.sort_order,
+      retired_at = CASE WHEN excluded.retired_at IS NULL THEN NULL ELSE COALESCE(rating_criteria.retired_at, excluded.retired_at) END
+  `).bind(school, slug, label, scale_max, required ? 1 : 0, sort_order, retired ? now : null, now).run();
+  return { ok: true, slug };
+}
+
+// Drops a school's override so the default applies again
+async function resetCriterion(env, { school, slug }) {
+  const sch = cleanStr(school ?? "", 120);
+  if (!sch) return { ok: false, error: "Defaults can't be reset; edit them instead" };
+  const hasDefault = await env.DB.prepare(`SELECT 1 FROM rating_criteria WHERE school = '' AND slug = ?`).bind(String(slug ?? "")).first();
+  if (!hasDefault) return { ok: false, error: "Only overrides of a default can be reset; retire school-only criteria instead" };
+  const out = await env.DB.prepare(`DELETE FROM rating_criteria WHERE school = ? AND slug = ?`).bind(sch, String(slug)).run();
+  if (!out.meta?.changes) return { ok: false, error: "Nothing to reset" };
+  return { ok: true };
+}
+
+// -------------------- Comment screening --------------------
+// Runs on every submitted comment and turns rules.html violations into flags:
+//   { type: "pii" | "language" | "threat" | "allegation", category, start, end, text }
+// start/end are string offsets into the stored comment so admin.js can highlight them.
+
+const SCREEN_PATTERNS = [
+  { type: "pii", category: "email", re: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+  { type: "pii", category: "phone", re: /(?:\+?1[\s.-]?)?\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g },
+  {
+    type: "pii",
+    category: "address",
+    re: /\b\d{1,6}\s+(?:[NSEW]{1,2}\.?\s+)?(?:[A-Za-z0-9]+\s+){0,3}(?:St|Street|Ave|Avenue|Rd|Road|Blvd|Boulevard|Dr|Drive|Ln|Lane|Way|Ct|Court|Pl|Place|Pkwy|Parkway|Cir|Circle|Ter|Terrace|Hwy|Highway)\b\.?/gi,
+  },
+  { type: "pii", category: "social_handle", re: /(?<![\w@.])@[A-Za-z0-9_.]{2,30}\b/g },
+  {
+    type: "pii",
+    category: "social_handle",
+    re: /\b(?:insta|instagram|ig|snap|snapchat|tiktok|twitter|discord)\b\s*(?:is|:|-)?\s*[A-Za-z0-9_.]{3,30}\b/gi,
+  },
+  {
+    type: "pii",
+    category: "student_name",
+    re: /\b(?:student|classmate|kid|friend|girl|boy|guy)s?\s+(?:named\s+|called\s+)?[A-Z][a-z]+(?:\s+[A-Z][a-z]+)?\b/g,
+  },
+];
+
+// Threats are matched as someone saying they (or others) will do it, not single words:
+// "this class will kill you" is a figure of speech
+const THREAT_SUBJECTS = ["i will", "i'll", "i'm going to", "i'm gonna", "i want to", "i wanna", "we will", "we'll", "someone should", "somebody should"];
+const THREAT_VERBS = ["kill", "shoot", "stab", "bomb", "beat up", "hurt"];
+
+const SCREEN_KEYWORDS = [
+  { type: "language", category: "slur", words: ["retard", "retarded", "faggot", "fag", "nigger", "nigga", "tranny", "spic", "chink", "kike"] },
+  { type: "language", category: "profanity", words: ["fuck", "fucking", "fucked", "shit", "bitch", "asshole", "bastard", "dick", "cunt", "whore", "slut"] },
+  {
+    type: "threat",
+    category: "threat",
+    words: [
+      ...THREAT_SUBJECTS.flatMap(s => THREAT_VERBS.map(v => `${s} ${v}`)),
+      "shoot up the school", "bomb the school", "gonna get you", "watch your back",
+    ],
+  },
+  {
+    type: "allegation",
+    category: "allegation",
+    words: [
+      "abuse", "abused", "abusive", "harass", "harassed", "harassment", "assault", "assaulted",
+      "molest", "grooming", "groomed", "inappropriately", "drunk", "high on",
+      "arrested", "illegal", "stole", "affair", "racist", "sexist",
+    ],
+  },
+];
+
+// What happens when a category is found: "reject" refuses the submission, "flag" stores it
+// with the flag for the moderator, "ignore" drops the hit. Override per category with
+// env.SCREENING_POLICY.
+const SCREENING_POLICY_DEFAULT = {
+  email: "flag",
+  phone: "flag",
+  address: "flag",
+  social_handle: "flag",
+  student_name: "flag",
+  slur: "reject",
+  threat: "flag",
+  profanity: "flag",
+  allegation: "flag",
+};
+
+const SCREEN_CATEGORY_LABELS = {
+  email: "an email address",
+  phone: "a phone number",
+  address: "a street address",
+  social_handle: "a social media handle",
+  student_name: "a student's name",
+  slur: "a slur",
+  threat: "threatening language",
+  profanity: "profanity",
+  allegation: "an allegation of misconduct",
+};
+
+function getScreeningPolicy(env) {
+  let override = {};
+  try { override = JSON.parse(env.SCREENING_POLICY || "{}") || {}; } catch {}
+  const policy = { ...SCREENING_POLICY_DEFAULT };
+  for (const [k, v] of Object.entries(override)) {
+    if (k in policy && (v === "reject" || v === "flag" || v === "ignore")) policy[k] = v;
+  }
+  return policy;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+const SCREEN_KEYWORD_PATTERNS = SCREEN_KEYWORDS.map(k => ({
+  type: k.type,
+  category: k.category,
+  // Apostrophes are optional and may be curly ("I'll", "I’ll", "Ill")
+  re: new RegExp(`\\b(?:${k.words.map(w => escapeRegExp(w).replace(/ /g, "\\s+").replace(/'/g, "['’]?")).join("|")})\\b`, "gi"),
+}));
+
+function screenComment(comment) {
+  const hits = [];
+  for (const p of [...SCREEN_PATTERNS, ...SCREEN_KEYWORD_PATTERNS]) {
+    for (const m of comment.matchAll(p.re)) {
+      hits.push({ type: p.type, category: p.category, start: m.index, end: m.index + m[0].length, text: m[0] });
+    }
+  }
+
+  // Earlier patterns win overlaps (an email isn't also a social handle)
+  const kept = [];
+  for (const h of hits) {
+    if (kept.some(k => h.start < k.end && k.start < h.end)) continue;
+    kept.push(h);
+  }
+  return kept.sort((a, b) => a.start - b.start);
+}
+
+// Same shape as checkReviewAbuse: { ok: true, flags } or { ok: false, status, code, error }.
+function applyScreeningPolicy(env, comment) {
+  const policy = getScreeningPolicy(env);
+  const hits = screenComment(comment).filter(h => policy[h.category] !== "ignore");
+
+  const rejected = [...new Set(hits.filter(h => policy[h.category] === "reject").map(h => h.category))];
+  if (rejected.length) {
+    return {
+      ok: false,
+      status: 422,
+      code: "policy_violation",
+      error: `Your comment appears to contain ${rejected.map(c => SCREEN_CATEGORY_LABELS[c]).join(" and ")}, which isn't allowed. See the rules and edit your comment.`,
+      categories: rejected,
+    };
+  }
+  return { ok: true, flags: hits };
+}
+
+// -------------------- Teacher responses --------------------
+// A teacher answers reviews after proving who they are: an admin hands them a one-time
+// claim code for their record, and redeeming it at /api/teacher/claim returns a bearer
+// token tied to that claim. Responses go through the same statuses, transitions and
+// event log as reviews; only approved ones are shown under the review.
+
+const CLAIM_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O or 1/I
+const CLAIM_CODE_LENGTH = 12;
+const CLAIM_CODE_TTL_DAYS = 14;
+const RESPONSE_MAX_LEN = 800;
+
+function normalizeClaimCode(code) {
+  return String(code ?? "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+function newClaimCode() {
+  const bytes = crypto.getRandomValues(new Uint8Array(CLAIM_CODE_LENGTH));
+  const raw = [...bytes].map(b => CLAIM_CODE_ALPHABET[b % CLAIM_CODE_ALPHABET.length]).join("");
+  return raw.match(/.{4}/g).join("-");
+}
+
+async function createTeacherClaim(env, teacherId, actor) {
+  const id = clampInt(teacherId, 1, 1_000_000_000);
+  if (id === null) return { ok: false, error: "Invalid teacher id" };
+  const teacher = await env.DB.prepare(`SELECT id, name, school FROM teachers WHERE id = ?`).bind(id).first();
+  if (!teacher) return { ok: false, error: "Teacher not found" };
+
+  // Shown once; only the hash is kept
+  const code = newClaimCode();
+  const now = new Date();
+  const expires_at = new Date(now.getTime() + CLAIM_CODE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const out = await env.DB.prepare(`
+    INSERT INTO teacher_claims (teacher_id, code_hash, created_by, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).bind(id, await sha256Hex(normalizeClaimCode(code)), actor?.id ?? null, now.toISOString(), expires_at).run();
+
+  return { ok: true, id: out.meta?.last_row_id ?? null, teacher, code, expires_at };
+}
+
+async function listTeacherClaims(env, teacherId) {
+  const id = clampInt(teacherId, 1, 1_000_000_000);
+  if (id === null) return { ok: false, error: "Invalid teacher id" };
+  const { results } = await env.DB.prepare(`
+    SELECT c.id, c.created_at, c.expires_at, c.redeemed_at, c.last_used_at, c.revoked_at, m.username AS created_by
+    FROM teacher_claims c
+    LEFT JOIN moderators m ON m.id = c.created_by
+    WHERE c.teacher_id = ?
+    ORDER BY c.id DESC
+  `).bind(id).all();
+  return { ok: true, rows: results || [] };
+}
+
+// Works on an unused code and on a redeemed one (signs that teacher out)
+async function revokeTeacherClaim(env, claimId) {
+  const id = clampInt(claimId, 1, 1_000_000_000);
+  if (id === null) return { ok: false, error: "Invalid claim id" };
+  const out = await env.DB.prepare(`
+    UPDATE teacher_claims SET revoked_at = COALESCE(revoked_at, ?) WHERE id = ?
+  `).bind(new Date().toISOString(), id).run();
+  if (!out.meta?.changes) return { ok: false, error: "Claim not found" };
+  return { ok: true };
+}
+
+async function redeemTeacherClaim(env, code) {
+  const normalized = normalizeClaimCode(code);
+  if (normalized.length !== CLAIM_CODE_LENGTH) return { ok: false, status: 400, error: "Enter the code exactly as you received it" };
+
+  const claim = await env.DB.prepare(`
+    SELECT c.id, c.teacher_id, c.expires_at, c.redeemed_at, c.revoked_at, t.name, t.school
+    FROM teacher_claims c
+    JOIN teachers t ON t.id = c.teacher_id AND t.hidden_at IS NULL
+    WHERE c.code_hash = ?
+  `).bind(await sha256Hex(normalized)).first();
+  if (!claim || claim.revoked_at) return { ok: false, status: 404, error: "That code isn't valid" };
+  if (claim.redeemed_at) return { ok: false, status: 409, error: "That code has already been used; ask for a new one" };
+  if (claim.expires_at < new Date().toISOString()) return { ok: false, status: 410, error: "That code has expired; ask for a new one" };
+
+  const token = b64urlEncode(crypto.getRandomValues(new Uint8Array(32)));
+  const now = new Date().toISOString();
+  // Guarded so two redemptions racing on one code can't both get a token
+  const out = await env.DB.prepare(`
+    UPDATE teacher_claims SET redeemed_at = ?, last_used_at = ?, token_hash = ?
+    WHERE id = ? AND redeemed_at IS NULL AND revoked_at IS NULL
+  `).bind(now, now, await sha256Hex(token), claim.id).run();
+  if (!out.meta?.changes) return { ok: false, status: 409, error: "That code has already been used; ask for a new one" };
+
+  return { ok: true, token, teacher: { id: claim.teacher_id, name: claim.name, school: claim.school } };
+}
+
+// Same contract as authorize(): { claim } or { status, error }
+async function authorizeTeacher(request, env) {
+  const header = request.headers.get("Authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+  if (!token) return { status: 401, error: "Unauthorized" };
+
+  const claim = await env.DB.prepare(`
+    SELECT c.id, c.teacher_id, t.name, t.school
+    FROM teacher_claims c
+    JOIN teachers t ON t.id = c.teacher_id AND t.hidden_at IS NULL
+    WHERE c.token_hash = ? AND c.revoked_at IS NULL
+  `).bind(await sha256Hex(token)).first();
+  if (!claim) return { status: 401, error: "Unauthorized" };
+
+  await env.DB.prepare(`UPDATE teacher_claims SET last_used_at = ? WHERE id = ?`)
+    .bind(new Date().toISOString(), claim.id).run();
+  return { claim };
+}
+
+// One response per review. It can be rewritten while pending or rejected (back to
+// pending either way); once it has been approved it's final.
+async function submitResponse(env, claim, { review_id, body }) {
+  const reviewId = clampInt(review_id, 1, 1_000_000_000);
+  if (reviewId === null) return { ok: false, status: 400, error: "Invalid review id" };
+  const reply = cleanStr(body ?? "", RESPONSE_MAX_LEN);
+  if (!reply) return { ok: false, status: 400, error: "Write a response first" };
+
+  const review = await env.DB.prepare(`SELECT id, teacher_id, status FROM reviews WHERE id = ?`).bind(reviewId).first();
+  if (!review || review.status !== "approved") return { ok: false, status: 404, error: "Review not found" };
+  if (review.teacher_id !== claim.teacher_id) return { ok: false, status: 403, error: "You can only respond to reviews of your own classes" };
+
+  const screening = applyScreeningPolicy(env, reply);
+  if (!screening.ok) {
+    const { ok, ...rest } = screening;
+    return { ok: false, ...rest };
+  }
+
+  const now = new Date().toISOString();
+  const existing = await env.DB.prepare(`SELECT id, status FROM review_responses WHERE review_id = ?`).bind(reviewId).first();
+  if (existing) {
+    if (existing.status !== "pending" && existing.status !== "rejected") {
+      return { ok: false, status: 409, error: "You've already responded to this review" };
+    }
+    await env.DB.prepare(`
+      UPDATE review_responses SET body = ?, flags = ?, status = 'pending', claim_id = ?, updated_at = ?
+      WHERE id = ? AND status = ?
+    `).bind(reply, JSON.stringify(screening.flags), claim.id, now, existing.id, existing.status).run();
+    return { ok: true, id: existing.id, status: "pending" };
+  }
+
+  const out = await env.DB.prepare(`
+    INSERT INTO review_responses (review_id, teacher_id, claim_id, body, status, flags, created_at, updated_at)
+    VALUES (?, ?, ?, ?, 'pending', ?, ?, ?)
+  `).bind(reviewId, claim.teacher_id, claim.id, reply, JSON.stringify(screening.flags), now, now).run();
+  return { ok: true, id: out.meta?.last_row_id ?? null, status: "pending" };
+}
+
+// The signed-in teacher's own responses, any status, so teacher.js can show what's waiting
+async function listOwnResponses(env, teacherId) {
+  const { results } = await env.DB.prepare(`
+    SELECT id, review_id, body, status, created_at, updated_at
+    FROM review_responses WHERE teacher_id = ?
+    ORDER BY updated_at DESC
+    LIMIT 500
+  `).bind(teacherId).all();
+  return results || [];
+}
+
+async function getPendingResponses(env, { cursor = null, limit = 50 } = {}) {
+  const lim = clampInt(limit, 1, 200) ?? 50;
+  const where = ["p.status = 'pending'"];
+  const binds = [];
+  const after = decodeCursor(cursor);
+  if (after && typeof after.updated_at === "string" && Number.isInteger(after.id)) {
+    where.push("(p.updated_at > ? OR (p.updated_at = ? AND p.id > ?))");
+    binds.push(after.updated_at, after.updated_at, after.id);
+  }
+
+  // Oldest first: a teacher waiting on a reply shouldn't sink under newer ones
+  const { results } = await env.DB.prepare(`
+    SELECT
+      p.id, p.review_id, p.teacher_id, t.name AS teacher_name, p.body, p.flags, p.status,
+      p.created_at, p.updated_at, r.overall, r.comment AS review_comment
+    FROM review_responses p
+    JOIN reviews r ON r.id = p.review_id
+    LEFT JOIN teachers t ON t.id = p.teacher_id
+    WHERE ${where.join(" AND ")}
+    ORDER BY p.updated_at, p.id
+    LIMIT ?
+  `).bind(...binds, lim + 1).all();
+
+  const rows = (results || []).slice(0, lim).map(r => ({ ...r, flags: parseFlags(r.flags) }));
+  const last = rows[rows.length - 1];
+  const next_cursor = (results || []).length > lim ? encodeCursor({ updated_at: last.updated_at, id: last.id }) : null;
+  return { ok: true, rows, next_cursor };
+}
+
+// setReviewStatus for responses: same transitions and reason rules, logged against the review
+async function setResponseStatus(env, responseId, action, { actor = null, reason_code = null, note = "" } = {}) {
+  const id = clampInt(responseId, 1, 1_000_000_000);
+  if (id === null) return { ok: false, error: "Invalid response id" };
+  const transition = MODERATION_ACTIONS[action];
+  if (!transition) return { ok: false, error: "Invalid action" };
+  if (reason_code && !MODERATION_REASON_CODES.includes(reason_code)) return { ok: false, error: "Invalid reason code" };
+  if (!reason_code && REASON_REQUIRED_ACTIONS.includes(action)) return { ok: false, error: "A reason code is required" };
+
+  const response = await env.DB.prepare(`SELECT id, review_id, teacher_id, status FROM review_responses WHERE id = ?`).bind(id).first();
+  if (!response) return { ok: false, error: "Response not found" };
+  if (!transition.from.includes(response.status)) return { ok: true, updated: 0, status: response.status };
+
+  const now = new Date().toISOString();
+  const [out] = await env.DB.batch([
+    env.DB.prepare(`
+      UPDATE review_responses SET status = ? WHERE id = ? AND status = ?
+    `).bind(transition.to, id, response.status),
+    env.DB.prepare(`
+      INSERT INTO moderation_events
+        (review_id, response_id, teacher_id, actor_id, action, from_status, to_status, reason_code, note, created_at)
+      SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+      WHERE changes() = 1
+    `).bind(response.review_id, id, response.teacher_id, actor?.id ?? null, action, response.status, transition.to, reason_code, cleanStr(note, 500), now),
+  ]);
+
+  const changes = out?.meta?.changes ?? 0;
+  if (changes && (transition.to === "approved" || response.status === "approved")) await bumpCacheGeneration(env);
+  return { ok: true, updated: changes, status: changes ? transition.to : response.status };
+}
+
+// -------------------- Export / import --------------------
+// Spreadsheet apps run cells starting with these as formulas; prefix them with '
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  let str = String(v);
+  if (typeof v === "string" && CSV_FORMULA_START.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(",")];
+  for (const r of rows) lines.push(columns.map(c => csvCell(r[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+// RFC 4180: quoted fields may hold commas, "" and newlines. Returns an array of rows.
+function parseCsv(textIn) {
+  const src = String(textIn || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell); cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell); cell = "";
+      rows.push(row); row = [];
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim() !== ""));
+}
+
+// Filters shared by every export: school, teacher_id, from/to (YYYY-MM-DD, review dates)
+const EXPORTS = {
+  teachers: {
+    columns: ["id", "name", "school", "department", "title", "aliases", "source_url", "unlisted_at", "created_at", "updated_at"],
+    async rows(env, f) {
+      const where = [];
+      const binds = [];
+      if (f.school) { where.push("t.school = ?"); binds.push(f.school); }
+      if (f.teacherId !== null) { where.push("t.id = ?"); binds.push(f.teacherId); }
+      const { results } = await env.DB.prepare(`
+        SELECT
+          t.id, t.name, t.school, t.department, t.title, t.source_url, t.unlisted_at, t.created_at, t.updated_at,
+          (SELECT group_concat(a.name, '; ') FROM teacher_aliases a WHERE a.teacher_id = t.id) AS aliases
+        FROM teachers t
+        ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+        ORDER BY t.school, t.name, t.id
+      `).bind(...binds).all();
+      return results || [];
+    },
+  },
+  // Approved reviews only, without client hashes or screening flags
+  reviews: {
+    columns: ["id", "teacher_id", "teacher_name", "school", "course", "overall", "clarity", "difficulty", "other_ratings", "would_take_again", "comment", "created_at"],
+    async rows(env, f) {
+      const where = ["r.status='approved'"];
+      const binds = [];
+      if (f.school) { where.push("r.school = ?"); binds.push(f.school); }
+      if (f.teacherId !== null) { where.push("r.teacher_id = ?"); binds.push(f.teacherId); }
+      if (f.from) { where.push("r.created_at >= ?"); binds.push(f.from); }
+      if (f.to) { where.push("r.created_at < ?"); binds.push(f.to); }
+      const { results } = await env.DB.prepare(`
+        SELECT
+          r.id, r.teacher_id, t.name AS teacher_name, r.school, c.name AS course,
+          r.overall, r.clarity, r.difficulty, r.would_take_again, r.comment, r.created_at,
+          (SELECT group_concat(rr.criterion || '=' || rr.value, '; ') FROM review_ratings rr WHERE rr.review_id = r.id) AS other_ratings
+        FROM reviews r
+        JOIN teachers t ON t.id = r.teacher_id
+        LEFT JOIN courses c ON c.id = r.course_id
+        WHERE ${where.join(" AND ")}
+        ORDER BY r.created_at, r.id
+      `).bind(...binds).all();
+      return results || [];
+    },
+  },
+  // One row per teacher, aggregated over approved reviews in the date range
+  stats: {
+    columns: ["teacher_id", "name", "school", "department", "review_count", "avg_overall", "avg_clarity", "avg_difficulty", "would_take_again_pct"],
+    async rows(env, f) {
+      const on = ["r.teacher_id = t.id", "r.status='approved'"];
+      const where = [];
+      const binds = [];
+      if (f.from) { on.push("r.created_at >= ?"); binds.push(f.from); }
+      if (f.to) { on.push("r.created_at < ?"); binds.push(f.to); }
+      if (f.school) { where.push("t.school = ?"); binds.push(f.school); }
+      if (f.teacherId !== null) { where.push("t.id = ?"); binds.push(f.teacherId); }
+      const { results } = await env.DB.prepare(`
+        SELECT
+          t.id AS teacher_id, t.name, t.school, t.department,
+          COUNT(r.id) AS review_count,
+          ROUND(AVG(r.overall), 2) AS avg_overall,
+          ROUND(AVG(r.clarity), 2) AS avg_clarity,
+          ROUND(AVG(r.difficulty), 2) AS avg_difficulty,
+          ROUND(AVG(r.would_take_again) * 100.0, 1) AS would_take_again_pct
+        FROM teachers t
+        LEFT JOIN reviews r ON ${on.join(" AND ")}
+        ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+        GROUP BY t.id
+        ORDER BY t.school, t.name, t.id
+      `).bind(...binds).all();
+      return results || [];
+    },
+  },
+};
+
+async function exportData(env, { kind, format = "csv", school = "", teacher_id = null, from = null, to = null } = {}) {
+  const spec = EXPORTS[kind];
+  if (!spec) return { ok: false, error: `kind must be one of: ${Object.keys(EXPORTS).join(", ")}` };
+  if (format !== "csv" && format !== "json") return { ok: false, error: "format must be csv or json" };
+
+  const rows = await spec.rows(env, {
+    school: cleanStr(school ?? "", 120),
+    teacherId: teacher_id == null || teacher_id === "" ? null : clampInt(teacher_id, 1, 1_000_000_000),
+    from: dayStartIso(from),
+    to: dayStartIso(to, 1),
+  });
+  const filename = `${kind}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  const body = format === "csv" ? toCsv(spec.columns, rows) : JSON.stringify(rows, null, 2);
+  return { ok: true, filename, format, count: rows.length, body };
+}
+
+const IMPORT_MAX_ROWS = 2000;
+const IMPORT_COLUMNS = ["name", "school", "department", "title"];
+
+// Roster import. Needs a header row with at least "name"; "school" can come from
+// defaultSchool instead. Every row gets a status:
+//   new / existing / alias  — will be upserted (alias: an alias of teacher match.id)
+//   possible_duplicate      — new, but close to match.id by name; still upserted
+//   invalid / repeat        — skipped (bad name or school, or repeated in the file)
+// With commit=false nothing is written, so the admin can check the preview first.
+async function importTeachers(env, { csv, defaultSchool = "", commit = false }) {
+  const table = parseCsv(csv);
+  if (!table.length) return { ok: false, error: "CSV is empty" };
+  if (table.length - 1 > IMPORT_MAX_ROWS) return { ok: false, error: `At most ${IMPORT_MAX_ROWS} rows per import` };
+
+  const header = table[0].map(h => h.trim().toLowerCase());
+  if (!header.includes("name")) return { ok: false, error: `Header row must include "name" (columns: ${IMPORT_COLUMNS.join(", ")})` };
+  const fallbackSchool = cleanStr(defaultSchool ?? "", 120);
+  if (!header.includes("school") && !fallbackSchool) return { ok: false, error: `No "school" column; pick a default school` };
+  const col = (row, name) => (header.indexOf(name) === -1 ? "" : String(row[header.indexOf(name)] ?? ""));
+
+  const knownSchools = new Set(SCHOOL_ADAPTERS.map(a => a.school));
+  const { results: schoolRows } = await env.DB.prepare(`SELECT DISTINCT school FROM teachers`).all();
+  for (const r of schoolRows || []) knownSchools.add(r.school);
+
+  const rows = [];
+  const seen = new Set();
+  const existingBySchool = new Map();
+
+  for (let i = 1; i < table.length; i++) {
+    const name = normalizeName(col(table[i], "name"));
+    const school = normalizeName(col(table[i], "school")) || fallbackSchool;
+    const row = {
+      line: i + 1,
+      name,
+      school,
+      department: normalizeName(cleanStr(col(table[i], "department"), 80)),
+      title: normalizeName(cleanStr(col(table[i], "title"), 120)),
+    };
+
+    if (!looksLikePersonName(name)) { rows.push({ ...row, status: "invalid", error: "Doesn't look like a person's name" }); continue; }
+    if (!school || school.length > 120) { rows.push({ ...row, status: "invalid", error: "Missing school" }); continue; }
+    const key = `${school}\n${name}`;
+    if (seen.has(key)) { rows.push({ ...row, status: "repeat", error: "Same name appears earlier in the file" }); continue; }
+    seen.add(key);
+    if (!knownSchools.has(school)) row.warning = "New school";
+
+    if (!existingBySchool.has(school)) {
+      const { results: teachers } = await env.DB.prepare(`SELECT id, name, department FROM teachers WHERE school = ?`).bind(school).all();
+      const { results: aliases } = await env.DB.prepare(`SELECT name, teacher_id FROM teacher_aliases WHERE school = ?`).bind(school).all();
+      existingBySchool.set(school, { teachers: teachers || [], aliases: aliases || [] });
+    }
+    const existing = existingBySchool.get(school);
+
+    const exact = existing.teachers.find(t => t.name === name);
+    const alias = !exact && existing.aliases.find(a => a.name === name);
+    if (exact) {
+      row.status = "existing";
+      row.match = { id: exact.id, name: exact.name };
+      if (row.department && exact.department && exact.department !== row.department) {
+        row.warning = `Keeps department "${exact.department}"`;
+      }
+    } else if (alias) {
+      const t = existing.teachers.find(x => x.id === alias.teacher_id);
+      row.status = "alias";
+      row.match = { id: alias.teacher_id, name: t?.name ?? "" };
+    } else {
+      const close = existing.teachers
+        .map(t => ({ t, score: nameMatchScore(name, t.name).score }))
+        .filter(m => m.score)
+        .sort((a, b) => b.score - a.score)[0];
+      row.status = close ? "possible_duplicate" : "new";
+      if (close) row.match = { id: close.t.id, name: close.t.name };
+    }
+    rows.push(row);
+  }
+
+  const summary = {};
+  for (const r of rows) summary[r.status] = (summary[r.status] || 0) + 1;
+
+  let imported = 0;
+  if (commit) {
+    for (const r of rows) {
+      if (r.status === "invalid" || r.status === "repeat") continue;
+      await upsertTeacher(env, { name: r.name, school: r.school, source_url: "", department: r.department, title: r.title });
+      imported++;
+    }
+  }
+  return { ok: true, committed: !!commit, imported, summary, rows };
+}
+
+// -------------------- Schema migrations --------------------
+// Append new files here in order; never edit one that has shipped.
+const MIGRATIONS = [
+  { version: 1, name: "init", sql: m0001 },
+  { version: 2, name: "review_abuse", sql: m0002 },
+  { version: 3, name: "moderators", sql: m0003 },
+  { version: 4, name: "moderation_events", sql: m0004 },
+  { version: 5, name: "review_reports", sql: m0005 },
+  { version: 6, name: "courses", sql: m0006 },
+  { version: 7, name: "teacher_aliases", sql: m0007 },
+  { version: 8, name: "scrape_runs", sql: m0008 },
+  { version: 9, name: "teacher_search", sql: m0009 },
+  { version: 10, name: "teacher_hidden", sql: m0010 },
+  { version: 11, name: "teacher_responses", sql: m0011 },
+  { version: 12, name: "review_votes", sql: m0012 },
+  { version: 13, name: "review_tags", sql: m0013 },
+  { version: 14, name: "rating_criteria", sql: m0014 },
+  { version: 15, name: "teacher_stats", sql: m0015 },
+  { version: 16, name: "webhooks", sql: m0016 },
+];
+
+// Splits a migration file into statements. Semicolons inside a trigger's BEGIN…END
+// don't end the statement.
+function splitSqlStatements(sql) {
+  const out = [];
+  let cur = [];
+  let inBlock = false;
+  for (const line of sql.split("\n")) {
+    const bare = line.replace(/--.*$/, "").trim();
+    if (!bare) continue;
+    cur.push(line);
+    if (/\bBEGIN$/i.test(bare)) inBlock = true;
+    if (inBlock) {
+      if (/^END;$/i.test(bare)) { inBlock = false; out.push(cur.join("\n")); cur = []; }
+      continue;
+    }
+    if (bare.endsWith(";")) { out.push(cur.join("\n")); cur = []; }
+  }
+  if (cur.length) out.push(cur.join("\n"));
+  return out;
+}
+
+async function ensureSchemaVersionTable(env) {
+  await env.DB.prepare(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version     INTEGER PRIMARY KEY,
+      name        TEXT NOT NULL,
+      applied_at  TEXT NOT NULL
+    )
+  `).run();
+}
+
+async function getMigrationStatus(env) {
+  await ensureSchemaVersionTable(env);
+  const { results } = await env.DB.prepare(`SELECT version, name, applied_at FROM schema_version ORDER BY version`).all();
+  const applied = results || [];
+  const done = new Set(applied.map(r => r.version));
+  const pending = MIGRATIONS.filter(m => !done.has(m.version)).map(({ version, name }) => ({ version, name }));
+  return {
+    ok: true,
+    current_version: applied.length ? applied[applied.length - 1].version : 0,
+    latest_version: MIGRATIONS[MIGRATIONS.length - 1].version,
+    applied,
+    pending,
+  };
+}
+
+// Each migration runs as one D1 batch (a single transaction) together with its
+// schema_version row, so a failure leaves the database at the previous version.
+async function applyMigrations(env) {
+  const status = await getMigrationStatus(env);
+  const applied = [];
+  for (const p of status.pending) {
+    const m = MIGRATIONS.find(x => x.version === p.version);
+    const stmts = splitSqlStatements(m.sql).map(sql => env.DB.prepare(sql));
+    stmts.push(
+      env.DB.prepare(`INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)`)
+        .bind(m.version, m.name, new Date().toISOString())
+    );
+    try {
+      await env.DB.batch(stmts);
+    } catch (e) {
+      return { ok: false, applied, failed: p, error: e?.message || String(e) };
+    }
+    applied.push(p);
+  }
+  return { ok: true, applied, current_version: status.latest_version };
+}
+
+// -------------------- Courses --------------------
+async function getTeacherCourses(env, teacherId) {
+  const { results } = await env.DB.prepare(`
+    SELECT
+      c.id,
+      c.name,
+      c.source,
+      COUNT(r.id) AS review_count,
+      AVG(r.overall) AS avg_overall,
+      AVG(r.clarity) AS avg_clarity,
+      AVG(r.difficulty) AS avg_difficulty,
+      AVG(r.would_take_again) * 100.0 AS would_take_again_pct
+    FROM courses c
+    LEFT JOIN reviews r ON r.course_id = c.id AND r.status='approved'
+    WHERE c.teacher_id = ?
+    GROUP BY c.id
+    ORDER BY c.name
+  `).bind(teacherId).all();
+  return results || [];
+}
+
+async function addCourse(env, { teacher_id, name }) {
+  const tid = clampInt(teacher_id, 1, 1_000_000_000);
+  const courseName = normalizeName(cleanStr(name ?? "", 60));
+  if (tid === null) return { ok: false, error: "Invalid teacher id" };
+  if (courseName.length < 2) return { ok: false, error: "Course name is too short" };
+
+  const teacher = await env.DB.prepare(`SELECT 1 FROM teachers WHERE id = ?`).bind(tid).first();
+  if (!teacher) return { ok: false, error: "Teacher not found" };
+
+  const out = await env.DB.prepare(`
+    INSERT OR IGNORE INTO courses (teacher_id, name, source, created_at) VALUES (?, ?, 'admin', ?)
+  `).bind(tid, courseName, new Date().toISOString()).run();
+  if (!out.meta?.changes) return { ok: false, error: "That teacher already has this course" };
+  await syncTeacherSearch(env, tid);
+  return { ok: true, id: out.meta.last_row_id };
+}
+
+// Reviews that named the course keep their ratings; they just become "not specified".
+async function removeCourse(env, courseId) {
+  const id = clampInt(courseId, 1, 1_000_000_000);
+  if (id === null) return { ok: false, error: "Invalid course id" };
+  const course = await env.DB.prepare(`SELECT teacher_id FROM courses WHERE id = ?`).bind(id).first();
+  if (!course) return { ok: true, deleted: 0 };
+  await env.DB.batch([
+    env.DB.prepare(`UPDATE reviews SET course_id = NULL WHERE course_id = ?`).bind(id),
+    env.DB.prepare(`DELETE FROM courses WHERE id = ?`).bind(id),
+    ...teacherSearchSync(env, course.teacher_id),
+  ]);
+  return { ok: true, deleted: 1 };
+}
+
+async function setTeacherDepartment(env, teacherId, department) {
+  const id = clampInt(teacherId, 1, 1_000_000_000);
+  if (id === null) return { ok: false, error: "Invalid teacher id" };
+  const out = await env.DB.prepare(`UPDATE teachers SET department = ?, updated_at = ? WHERE id = ?`)
+    .bind(normalizeName(cleanStr(department ?? "", 80)), new Date().toISOString(), id).run();
+  if (!out.meta?.changes) return { ok: false, error: "Teacher not found" };
+  await syncTeacherSearch(env, id);
+  return { ok: true };
+}
+
+// -------------------- Teacher management --------------------
+// Admin-side listing: includes hidden and no-longer-listed teachers, counts every review
+const ADMIN_TEACHER_FILTERS = {
+  all: null,
+  visible: "t.hidden_at IS NULL",
+  hidden: "t.hidden_at IS NOT NULL",
+  unlisted: "t.unlisted_at IS NOT NULL",
+};
+
+const ADMIN_TEACHER_KEYS = [
+  { expr: "t.name", dir: "asc", name: "name" },
+  { expr: "t.id", dir: "asc", name: "id" },
+];
+
+async function adminListTeachers(env, { q = "", school = "", status = "all", cursor = null, limit = 25 } = {}) {
+  if (!Object.hasOwn(ADMIN_TEACHER_FILTERS, status)) return { ok: false, error: "Invalid status" };
+  const where = [];
+  const binds = [];
+  if (/^\d+$/.test(q)) { where.push("t.id = ?"); binds.push(Number(q)); }
+  else if (q) { where.push("t.name LIKE ?"); binds.push(`%${q}%`); }
+  if (school) { where.push("t.school = ?"); binds.push(school); }
+  if (ADMIN_TEACHER_FILTERS[status]) where.push(ADMIN_TEACHER_FILTERS[status]);
+  const after = keysetCondition(ADMIN_TEACHER_KEYS, decodeCursor(cursor));
+  if (cursor && !after) return { ok: false, error: "Invalid cursor" };
+  if (after) { where.push(after.sql); binds.push(...after.binds); }
+
+  const { results } = await env.DB.prepare(`
+    SELECT
+      t.id, t.name, t.school, t.department, t.title, t.source_url, t.unlisted_at, t.hidden_at,
+      (SELECT COUNT(*) FROM reviews r WHERE r.teacher_id = t.id) AS review_count
+    FROM teachers t
+    ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+    ORDER BY ${orderByKeys(ADMIN_TEACHER_KEYS)}
+    LIMIT ?
+  `).bind(...binds, limit + 1).all();
+  return { ok: true, ...pageResult(results, limit, ADMIN_TEACHER_KEYS) };
+}
+
+async function getAdminTeacher(env, id) {
+  const teacher = await env.DB.prepare(`
+    SELECT id, name, school, department, title, source_url, unlisted_at, hidden_at, missing_runs, created_at, updated_at
+    FROM teachers WHERE id = ?
+  `).bind(id).first();
+  if (!teacher) return null;
+  const { results: counts } = await env.DB.prepare(`
+    SELECT status, COUNT(*) AS n FROM reviews WHERE teacher_id = ? GROUP BY status
+  `).bind(id).all();
+  return {
+    ...teacher,
+    review_counts: Object.fromEntries((counts || []).map(c => [c.status, c.n])),
+    courses: await getTeacherCourses(env, id),
+    aliases: await listAliases(env, id),
+  };
+}
+
+// Cleans the editable fields; undefined means "leave as is" when partial
+function teacherFields({ name, school, department, title }, { partial = false } = {}) {
+  const out = {};
+  if (!partial || name !== undefined) {
+    out.name = normalizeName(cleanStr(name ?? "", 80));
+    if (!looksLikePersonName(out.name)) return { error: "That doesn't look like a person's name" };
+  }
+  if (!partial || school !== undefined) {
+    out.school = normalizeName(cleanStr(school ?? "", 120));
+    if (!out.school) return { error: "School is required" };
+  }
+  if (!partial || department !== undefined) out.department = normalizeName(cleanStr(department ?? "", 80));
+  if (!partial || title !== undefined) out.title = normalizeName(cleanStr(title ?? "", 120));
+  return { fields: out };
+}
+
+// A name+school already taken by another teacher (or another teacher's alias)
+async function teacherNameClash(env, name, school, exceptId = 0) {
+  const t = await env.DB.prepare(`SELECT id FROM teachers WHERE name = ? AND school = ? AND id != ?`)
+    .bind(name, school, exceptId).first();
+  if (t) return `Teacher #${t.id} already has that name at that school; merge them instead`;
+  const a = await env.DB.prepare(`SELECT teacher_id FROM teacher_aliases WHERE name = ? AND school = ? AND teacher_id != ?`)
+    .bind(name, school, exceptId).first();
+  if (a) return `That name is an alias of teacher #${a.teacher_id}`;
+  return null;
+}
+
+async function createTeacher(env, body) {
+  const { fields, error } = teacherFields(body);
+  if (error) return { ok: false, error };
+  const clash = await teacherNameClash(env, fields.name, fields.school);
+  if (clash) return { ok: false, error: clash };
+
+  const now = new Date().toISOString();
+  const row = await env.DB.prepare(`
+    INSERT INTO teachers (name, school, source_url, department, title, created_at, updated_at)
+    VALUES (?, ?, '', ?, ?, ?, ?)
+    RETURNING id
+  `).bind(fields.name, fields.school, fields.department, fields.title, now, now).first();
+  await syncTeacherSearch(env, row.id);
+  return { ok: true, id: row.id };
+}
+
+// Renames keep the old name as an alias (unless keep_alias is false) so the scraper
+// doesn't re-create the misspelled teacher from the directory. Reviews stay put.
+async function updateTeacher(env, body) {
+  const id = clampInt(body.id, 1, 1_000_000_000);
+  if (id === null) return { ok: false, error: "Invalid teacher id" };
+  const current = await env.DB.prepare(`SELECT id, name, school, department, title FROM teachers WHERE id = ?`).bind(id).first();
+  if (!current) return { ok: false, error: "Teacher not found" };
+
+  const { fields, error } = teacherFields(body, { partial: true });
+  if (error) return { ok: false, error };
+  const next = { ...current, ...fields };
+  const renamed = next.name !== current.name || next.school !== current.school;
+  if (renamed) {
+    const clash = await teacherNameClash(env, next.name, next.school, id);
+    if (clash) return { ok: false, error: clash };
+  }
+
+  const now = new Date().toISOString();
+  const stmts = [
+    env.DB.prepare(`UPDATE teachers SET name = ?, school = ?, department = ?, title = ?, updated_at = ? WHERE id = ?`)
+      .bind(next.name, next.school, next.department, next.title, now, id),
+    // the new name may have been one of this teacher's aliases
+    env.DB.prepare(`DELETE FROM teacher_aliases WHERE teacher_id = ? AND name = ? AND school = ?`).bind(id, next.name, next.school),
+  ];
+  if (next.name !== current.name && body.keep_alias !== false) {
+    stmts.push(env.DB.prepare(`
+      INSERT OR IGNORE INTO teacher_aliases (teacher_id, name, school, source, created_at) VALUES (?, ?, ?, 'rename', ?)
+    `).bind(id, current.name, current.school, now));
+  }
+  await env.DB.batch([...stmts, ...teacherSearchSync(env, id)]);
+  return { ok: true };
+}
+
+async function setTeacherHidden(env, teacherId, hidden) {
+  const id = clampInt(teacherId, 1, 1_000_000_000);
+  if (id === null) return { ok: false, error: "Invalid teacher id" };
+  const out = await env.DB.prepare(`
+    UPDATE teachers SET hidden_at = CASE WHEN ? THEN COALESCE(hidden_at, ?) ELSE NULL END, updated_at = ? WHERE id = ?
+  `).bind(hidden ? 1 : 0, new Date().toISOString(), new Date().toISOString(), id).run();
+  if (!out.meta?.changes) return { ok: false, error: "Teacher not found" };
+  return { ok: true };
+}
+
+// Only for mistakes with nothing attached: a teacher with reviews is hidden or merged
+// instead, and one the directory still lists would just come back on the next scrape.
+async function deleteTeacher(env, teacherId) {
+  const id = clampInt(teacherId, 1, 1_000_000_000);
+  if (id === null) return { ok: false, error: "Invalid teacher id" };
+  const t = await env.DB.prepare(`
+    SELECT id, source_url, unlisted_at, (SELECT COUNT(*) FROM reviews WHERE teacher_id = teachers.id) AS review_count
+    FROM teachers WHERE id = ?
+  `).bind(id).first();
+  if (!t) return { ok: false, error: "Teacher not found" };
+  if (t.review_count) return { ok: false, error: `This teacher has ${t.review_count} reviews; hide or merge instead` };
+  if (t.source_url && !t.unlisted_at) return { ok: false, error: "Still in the school directory, so the next scrape would add it back; hide it instead" };
+
+  await env.DB.batch([
+    env.DB.prepare(`DELETE FROM courses WHERE teacher_id = ?`).bind(id),
+    env.DB.prepare(`DELETE FROM teacher_aliases WHERE teacher_id = ?`).bind(id),
+    env.DB.prepare(`DELETE FROM teacher_claims WHERE teacher_id = ?`).bind(id),
+    env.DB.prepare(`DELETE FROM teacher_not_duplicates WHERE teacher_a = ? OR teacher_b = ?`).bind(id, id),
+    env.DB.prepare(`DELETE FROM teacher_search WHERE rowid = ?`).bind(id),
+    env.DB.prepare(`DELETE FROM teacher_stats WHERE teacher_id = ?`).bind(id),
+    env.DB.prepare(`DELETE FROM teachers WHERE id = ?`).bind(id),
+  ]);
+  return { ok: true };
+}
+
+// -------------------- Duplicate teachers + aliases --------------------
+const NAME_TITLES = new Set(["mr", "mrs", "ms", "miss", "dr", "mx", "jr", "sr", "ii", "iii"]);
+
+// Common nickname -> formal first name; prefixes ("Jon"/"Jonathan") are handled separately
+const NICKNAMES = {
+  bob: "robert", rob: "robert", bobby: "robert", bill: "william", will: "william", billy: "william",
+  liz: "elizabeth", beth: "elizabeth", betty: "elizabeth", jim: "james", jimmy: "james",
+  jack: "john", johnny: "john", dick: "richard", rick: "richard", rich: "richard",
+  ted: "edward", ed: "edward", eddie: "edward", kate: "katherine", katie: "katherine", kathy: "katherine",
+  peggy: "margaret", maggie: "margaret", meg: "margaret", tony: "anthony", mike: "michael",
+  sue: "susan", suzy: "susan", tom: "thomas", tommy: "thomas", steve: "stephen", chuck: "charles",
+  charlie: "charles", jen: "jennifer", jenny: "jennifer", becky: "rebecca", bec: "rebecca",
+};
+
+// "Mr. Jon Q. Smith" -> { first: "jon", last: "smith", key: "jon smith" }
+function nameParts(name) {
+  const words = normalizeName(name).toLowerCase().replace(/[^a-z\s'-]/g, " ").split(/\s+/)
+    .map(w => w.replace(/^['-]+|['-]+$/g, ""))
+    .filter(w => w && !NAME_TITLES.has(w) && w.length > 1); // single letters are initials
+  const first = words[0] || "";
+  const last = words.length > 1 ? words[words.length - 1] : "";
+  return { first, last, key: `${first} ${last}` };
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function firstNamesMatch(a, b) {
+  if (a === b) return true;
+  if (a.length >= 3 && b.length >= 3 && (a.startsWith(b) || b.startsWith(a))) return true;
+  return (NICKNAMES[a] || a) === (NICKNAMES[b] || b);
+}
+
+// 0 = unrelated. Otherwise a score and the reason, strongest first.
+function nameMatchScore(a, b) {
+  const pa = nameParts(a);
+  const pb = nameParts(b);
+  if (!pa.last || !pb.last) return { score: 0 };
+  if (pa.key === pb.key) return { score: 1, reason: "same name ignoring initials/titles" };
+  if (pa.last === pb.last && firstNamesMatch(pa.first, pb.first)) return { score: 0.9, reason: "same last name, matching first name or nickname" };
+  if (pa.last === pb.last && levenshtein(pa.first, pb.first) <= 1) return { score: 0.8, reason: "first name differs by one letter" };
+  if (pa.first === pb.first && levenshtein(pa.last, pb.last) <= 1 && Math.min(pa.last.length, pb.last.length) >= 4) {
+    return { score: 0.75, reason: "last name differs by one letter" };
+  }
+  return { score: 0 };
+}
+
+// Likely-duplicate pairs within each school, minus pairs an admin already ruled distinct
+async function findDuplicateTeachers(env, { school = "", limit = 50 } = {}) {
+  const { results } = await env.DB.prepare(`
+    SELECT
+      t.id,
+      t.name,
+      t.school,
+      (SELECT COUNT(*) FROM reviews r WHERE r.teacher_id = t.id) AS review_count
+    FROM teachers t
+    ${school ? "WHERE t.school = ?" : ""}
+    ORDER BY t.school, t.id
+  `).bind(...(school ? [school] : [])).all();
+
+  const { results: ruled } = await env.DB.prepare(`SELECT teacher_a, teacher_b FROM teacher_not_duplicates`).all();
+  const distinct = new Set((ruled || []).map(r => `${r.teacher_a}:${r.teacher_b}`));
+
+  const bySchool = new Map();
+  for (const t of results || []) {
+    if (!bySchool.has(t.school)) bySchool.set(t.school, []);
+    bySchool.get(t.school).push(t);
+  }
+
+  const pairs = [];
+  for (const list of bySchool.values()) {
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        const a = list[i];
+        const b = list[j];
+        if (distinct.has(`${a.id}:${b.id}`)) continue;
+        const m = nameMatchScore(a.name, b.name);
+        if (m.score) pairs.push({ a, b, score: m.score, reason: m.reason });
+      }
+    }
+  }
+  return pairs.sort((x, y) => y.score - x.score).slice(0, limit);
+}
+
+async function markNotDuplicate(env, aId, bId) {
+  const a = clampInt(aId, 1, 1_000_000_000);
+  const b = clampInt(bId, 1, 1_000_000_000);
+  if (a === null || b === null || a === b) return { ok: false, error: "Invalid teacher ids" };
+  await env.DB.prepare(`
+    INSERT OR IGNORE INTO teacher_not_duplicates (teacher_a, teacher_b, created_at) VALUES (?, ?, ?)
+  `).bind(Math.min(a, b), Math.max(a, b), new Date().toISOString()).run();
+  return { ok: true };
+}
+
+// Moves everything from merge_id onto keep_id, deletes merge_id and leaves its name behind
+// as an alias. Courses with the same name are folded together. One batch, so it's all or nothing.
+async function mergeTeachers(env, keepId, mergeId) {
+  const keep = clampInt(keepId, 1, 1_000_000_000);
+  const drop = clampInt(mergeId, 1, 1_000_000_000);
+  if (keep === null || drop === null || keep === drop) return { ok: false, error: "Pick two different teachers" };
+
+  const survivor = await env.DB.prepare(`SELECT id, name, school FROM teachers WHERE id = ?`).bind(keep).first();
+  const merged = await env.DB.prepare(`SELECT id, name, school, department FROM teachers WHERE id = ?`).bind(drop).first();
+  if (!survivor || !merged) return { ok: false, error: "Teacher not found" };
+
+  const moved = await env.DB.prepare(`SELECT COUNT(*) AS n FROM reviews WHERE teacher_id = ?`).bind(drop).first();
+  const now = new Date().toISOString();
+
+  await env.DB.batch([
+    env.DB.prepare(`
+      UPDATE reviews SET course_id = (
+        SELECT k.id FROM courses k JOIN courses o ON o.name = k.name
+        WHERE o.id = reviews.course_id AND k.teacher_id = ?
+      )
+      WHERE course_id IN (
+        SELECT o.id FROM courses o JOIN courses k ON k.name = o.name AND k.teacher_id = ?
+        WHERE o.teacher_id = ?
+      )
+    `).bind(keep, keep, drop),
+    env.DB.prepare(`
+      DELETE FROM courses WHERE teacher_id = ? AND name IN (SELECT name FROM courses WHERE teacher_id = ?)
+    `).bind(drop, keep),
+    env.DB.prepare(`UPDATE courses SET teacher_id = ? WHERE teacher_id = ?`).bind(keep, drop),
+    env.DB.prepare(`UPDATE reviews SET teacher_id = ? WHERE teacher_id = ?`).bind(keep, drop),
+    env.DB.prepare(`UPDATE moderation_events SET teacher_id = ? WHERE teacher_id = ?`).bind(keep, drop),
+    env.DB.prepare(`UPDATE review_responses SET teacher_id = ? WHERE teacher_id = ?`).bind(keep, drop),
+    env.DB.prepare(`UPDATE teacher_claims SET teacher_id = ? WHERE teacher_id = ?`).bind(keep, drop),
+    env.DB.prepare(`UPDATE teacher_aliases SET teacher_id = ? WHERE teacher_id = ?`).bind(keep, drop),
+    env.DB.prepare(`
+      INSERT OR REPLACE INTO teacher_aliases (teacher_id, name, school, old_teacher_id, source, created_at)
+      VALUES (?, ?, ?, ?, 'merge', ?)
+    `).bind(keep, merged.name, merged.school, drop, now),
+    env.DB.prepare(`
+      UPDATE teachers SET department = CASE WHEN department = '' THEN ? ELSE department END, updated_at = ?
+      WHERE id = ?
+    `).bind(merged.department || "", now, keep),
+    env.DB.prepare(`DELETE FROM teacher_not_duplicates WHERE teacher_a = ? OR teacher_b = ?`).bind(drop, drop),
+    env.DB.prepare(`DELETE FROM teacher_stats WHERE teacher_id = ?`).bind(drop),
+    env.DB.prepare(`DELETE FROM teachers WHERE id = ?`).bind(drop),
+    env.DB.prepare(`DELETE FROM teacher_search WHERE rowid = ?`).bind(drop),
+    ...teacherSearchSync(env, keep),
+    ...teacherStatsSync(env, keep),
+  ]);
+
+  return { ok: true, kept: survivor, merged: { id: merged.id, name: merged.name, school: merged.school }, reviews_moved: moved?.n ?? 0 };
+}
+
+// Current id for a teacher id that may have been merged away (null if unknown)
+async function resolveTeacherId(env, id) {
+  const t = await env.DB.prepare(`SELECT id FROM teachers WHERE id = ?`).bind(id).first();
+  if (t) return t.id;
+  const alias = await env.DB.prepare(`SELECT teacher_id FROM teacher_aliases WHERE old_teacher_id = ?`).bind(id).first();
+  return alias ? alias.teacher_id : null;
+}
+
+async function listAliases(env, teacherId) {
+  const { results } = await env.DB.prepare(`
+    SELECT id, name, school, old_teacher_id, source, created_at
+    FROM teacher_aliases
+    WHERE teacher_id = ?
+    ORDER BY name
+  `).bind(teacherId).all();
+  return results || [];
+}
+
+async function addAlias(env, { teacher_id, name }) {
+  const tid = clampInt(teacher_id, 1, 1_000_000_000);
+  const aliasName = normalizeName(cleanStr(name ?? "", 80));
+  if (tid === null) return { ok: false, error: "Invalid teacher id" };
+  if (!looksLikePersonName(aliasName)) return { ok: false, error: "That doesn't look like a person's name" };
+
+  const teacher = await env.DB.prepare(`SELECT id, name, school FROM teachers WHERE id = ?`).bind(tid).first();
+  if (!teacher) return { ok: false, error: "Teacher not found" };
+  if (teacher.name === aliasName) return { ok: false, error: "That's already the teacher's name" };
+
+  const clash = await env.DB.prepare(`SELECT id FROM teachers WHERE name = ? AND school = ?`).bind(aliasName, teacher.school).first();
+  if (clash) return { ok: false, error: `Another teacher (#${clash.id}) has that name; merge them instead` };
+
+  const out = await env.DB.prepare(`
+    INSERT OR IGNORE INTO teacher_aliases (teacher_id, name, school, source, created_at) VALUES (?, ?, ?, 'admin', ?)
+  `).bind(tid, aliasName, teacher.school, new Date().toISOString()).run();
+  if (!out.meta?.changes) return { ok: false, error: "That alias is already in use" };
+  await syncTeacherSearch(env, tid);
+  return { ok: true, id: out.meta.last_row_id };
+}
+
+// Aliases from merges keep old links working; removing one breaks those links.
+async function removeAlias(env, aliasId) {
+  const id = clampInt(aliasId, 1, 1_000_000_000);
+  if (id === null) return { ok: false, error: "Invalid alias id" };
+  const alias = await env.DB.prepare(`SELECT teacher_id FROM teacher_aliases WHERE id = ?`).bind(id).first();
+  if (!alias) return { ok: true, deleted: 0 };
+  await env.DB.batch([
+    env.DB.prepare(`DELETE FROM teacher_aliases WHERE id = ?`).bind(id),
+    ...teacherSearchSync(env, alias.teacher_id),
+  ]);
+  return { ok: true, deleted: 1 };
+}
+
+// -------------------- Teacher analytics --------------------
+const ANALYTICS_METRICS = ["overall", "clarity", "difficulty"];
+const ANALYTICS_BUCKETS = ["month", "semester"];
+// Rolling average spans this many buckets (weighted by review count)
+const ANALYTICS_ROLLING_SPAN = 3;
+
+// School-year halves: Aug–Jan is fall (Jan belongs to the previous year's fall), Feb–Jul spring.
+function semesterOf(month) {
+  const [y, m] = month.split("-").map(Number);
+  if (m >= 8) return `${y}-fall`;
+  if (m === 1) return `${y - 1}-fall`;
+  return `${y}-spring`;
+}
+
+async function getTeacherAnalytics(env, { teacherId, courseId = null, bucket = "month" }) {
+  if (!ANALYTICS_BUCKETS.includes(bucket)) return { ok: false, error: "Invalid bucket" };
+
+  const where = ["teacher_id = ?", "status='approved'"];
+  const binds = [teacherId];
+  if (courseId !== null) { where.push("course_id = ?"); binds.push(courseId); }
+  const filter = where.join(" AND ");
+
+  const histograms = {};
+  for (const metric of ANALYTICS_METRICS) {
+    const { results } = await env.DB.prepare(`
+      SELECT ${metric} AS value, COUNT(*) AS n
+      FROM reviews
+      WHERE ${filter}
+      GROUP BY ${metric}
+    `).bind(...binds).all();
+    const counts = [0, 0, 0, 0, 0];
+    for (const r of results || []) if (r.value >= 1 && r.value <= 5) counts[r.value - 1] = r.n;
+    histograms[metric] = counts;
+  }
+
+  const wta = await env.DB.prepare(`
+    SELECT SUM(would_take_again) AS yes, COUNT(*) - SUM(would_take_again) AS no
+    FROM reviews
+    WHERE ${filter}
+  `).bind(...binds).first();
+
+  const { results: months } = await env.DB.prepare(`
+    SELECT
+      substr(created_at, 1, 7) AS month,
+      COUNT(*) AS n,
+      SUM(overall) AS sum_overall,
+      SUM(clarity) AS sum_clarity,
+      SUM(difficulty) AS sum_difficulty
+    FROM reviews
+    WHERE ${filter}
+    GROUP BY month
+    ORDER BY month
+  `).bind(...binds).all();
+
+  const buckets = new Map();
+  for (const m of months || []) {
+    const key = bucket === "semester" ? semesterOf(m.month) : m.month;
+    const b = buckets.get(key) || { period: key, n: 0, sum_overall: 0, sum_clarity: 0, sum_difficulty: 0 };
+    b.n += m.n;
+    b.sum_overall += m.sum_overall;
+    b.sum_clarity += m.sum_clarity;
+    b.sum_difficulty += m.sum_difficulty;
+    buckets.set(key, b);
+  }
+
+  const list = [...buckets.values()];
+  const trend = list.map((b, i) => {
+    const win = list.slice(Math.max(0, i - ANALYTICS_ROLLING_SPAN + 1), i + 1);
+    const winN = win.reduce((a, w) => a + w.n, 0);
+    return {
+      period: b.period,
+      review_count: b.n,
+      avg_overall: b.sum_overall / b.n,
+      avg_clarity: b.sum_clarity / b.n,
+      avg_difficulty: b.sum_difficulty / b.n,
+      rolling_overall: win.reduce((a, w) => a + w.sum_overall, 0) / winN,
+    };
+  });
+
+  return {
+    ok: true,
+    bucket,
+    histograms,
+    would_take_again: { yes: wta?.yes || 0, no: wta?.no || 0 },
+    trend,
+  };
+}
+
+// -------------------- Teacher stats --------------------
+// teacher_stats keeps running totals over each teacher's approved reviews. setReviewStatus
+// adjusts them as reviews enter or leave 'approved'; anything that moves reviews between
+// teachers (merge) re-runs teacherStatsSync, and the scheduled job rebuilds every row.
+// Select these with teachers t LEFT JOIN teacher_stats s.
+const TEACHER_STATS_COLUMNS = `
+  COALESCE(s.review_count, 0) AS review_count,
+  s.sum_overall * 1.0 / NULLIF(s.review_count, 0) AS avg_overall,
+  s.sum_clarity * 1.0 / NULLIF(s.review_count, 0) AS avg_clarity,
+  s.sum_difficulty * 1.0 / NULLIF(s.review_count, 0) AS avg_difficulty,
+  s.sum_would_take_again * 100.0 / NULLIF(s.review_count, 0) AS would_take_again_pct`;
+
+const TEACHER_STATS_SELECT = `
+  SELECT
+    teacher_id, COUNT(*), SUM(overall), SUM(clarity), SUM(difficulty), SUM(would_take_again), ?
+  FROM reviews
+  WHERE status = 'approved'`;
+
+// delta is +1 when a review becomes approved and -1 when it stops being approved. Only
+// applies if the statement before it in the batch changed a row.
+function teacherStatsDelta(env, review, delta, now) {
+  return env.DB.prepare(`
+    INSERT INTO teacher_stats
+      (teacher_id, review_count, sum_overall, sum_clarity, sum_difficulty, sum_would_take_again, updated_at)
+    SELECT ?, ?, ?, ?, ?, ?, ?
+    WHERE changes() = 1
+    ON CONFLICT (teacher_id) DO UPDATE SET
+      review_count = review_count + excluded.review_count,
+      sum_overall = sum_overall + excluded.sum_overall,
+      sum_clarity = sum_clarity + excluded.sum_clarity,
+      sum_difficulty = sum_difficulty + excluded.sum_difficulty,
+      sum_would_take_again = sum_would_take_again + excluded.sum_would_take_again,
+      updated_at = excluded.updated_at
+  `).bind(
+    review.teacher_id, delta, delta * review.overall, delta * review.clarity,
+    delta * review.difficulty, delta * review.would_take_again, now,
+  );
+}
+
+function teacherStatsSync(env, teacherId) {
+  return [
+    env.DB.prepare(`DELETE FROM teacher_stats WHERE teacher_id = ?`).bind(teacherId),
+    env.DB.prepare(`
+      INSERT INTO teacher_stats
+        (teacher_id, review_count, sum_overall, sum_clarity, sum_difficulty, sum_would_take_again, updated_at)
+      ${TEACHER_STATS_SELECT} AND teacher_id = ?
+      GROUP BY teacher_id
+    `).bind(new Date().toISOString(), teacherId),
+  ];
+}
+
+// Recomputes every row from the reviews. Run by the cron job and after raw SQL edits.
+async function rebuildTeacherStats(env) {
+  await env.DB.batch([
+    env.DB.prepare(`DELETE FROM teacher_stats`),
+    env.DB.prepare(`
+      INSERT INTO teacher_stats
+        (teacher_id, review_count, sum_overall, sum_clarity, sum_difficulty, sum_would_take_again, updated_at)
+      ${TEACHER_STATS_SELECT}
+      GROUP BY teacher_id
+    `).bind(new Date().toISOString()),
+  ]);
+  const count = await env.DB.prepare(`SELECT COUNT(*) AS n FROM teacher_stats`).first();
+  return { ok: true, teachers: count?.n ?? 0 };
+}
+
+async function getTeacherStats(env, teacherId) {
+  return env.DB.prepare(`
+    SELECT ${TEACHER_STATS_COLUMNS}
+    FROM teachers t
+    LEFT JOIN teacher_stats s ON s.teacher_id = t.id
+    WHERE t.id = ?
+  `).bind(teacherId).first();
+}
+
+// -------------------- Teacher comparison --------------------
+const COMPARE_MAX = 4;
+const COMPARE_RECENT = 3;
+
+// ids is the raw "1,2,3" string. Teachers come back in the order asked for (merged ids
+// resolve to the survivor, repeats dropped), each with the same set of fields so the
+// page can line them up. shared_courses is what every one of them teaches.
+async function compareTeachers(env, ids) {
+  const raw = String(ids || "").split(",").map(x => x.trim()).filter(Boolean);
+  if (!raw.length) return { ok: false, error: "Pass ids=1,2,..." };
+  if (raw.length > COMPARE_MAX) return { ok: false, error: `Compare at most ${COMPARE_MAX} teachers` };
+
+  const teachers = [];
+  const missing = [];
+  const seen = new Set();
+  for (const r of raw) {
+    const id = clampInt(r, 1, 1_000_000_000);
+    const resolved = id === null ? null : await resolveTeacherId(env, id);
+    if (resolved === null) { missing.push(r); continue; }
+    if (seen.has(resolved)) continue;
+    seen.add(resolved);
+
+    const t = await env.DB.prepare(`
+      SELECT id, name, school, department, unlisted_at FROM teachers WHERE id = ? AND hidden_at IS NULL
+    `).bind(resolved).first();
+    if (!t) { missing.push(r); continue; }
+    const stats = await getTeacherStats(env, resolved);
+    const analytics = await getTeacherAnalytics(env, { teacherId: resolved });
+    const courses = await getTeacherCourses(env, resolved);
+    const { results: recent } = await env.DB.prepare(`
+      SELECT r.id, r.overall, r.created_at, substr(r.comment, 1, 200) AS comment, c.name AS course_name
+      FROM reviews r
+      LEFT JOIN courses c ON c.id = r.course_id
+      WHERE r.teacher_id = ? AND r.status='approved' AND r.comment != ''
+      ORDER BY r.created_at DESC, r.id DESC
+      LIMIT ?
+    `).bind(resolved, COMPARE_RECENT).all();
+
+    teachers.push({
+      ...t,
+      ...stats,
+      histograms: analytics.histograms,
+      would_take_again: analytics.would_take_again,
+      courses: courses.map(c => c.name),
+      recent: recent || [],
+    });
+  }
+
+  const shared = teachers.length > 1
+    ? teachers[0].courses.filter(name => teachers.every(t => t.courses.some(c => c.toLowerCase() === name.toLowerCase())))
+    : [];
+  return { ok: true, teachers, shared_courses: shared, missing };
+}
+
+// -------------------- Teacher search --------------------
+// teacher_search (FTS5) holds one row per teacher, rowid = teacher id. Anything that changes
+// a teacher's name, aliases, department/title or courses must run these statements
+// (usually in the same batch) so search stays in step.
+function teacherSearchSync(env, teacherId) {
+  return [
+    env.DB.prepare(`DELETE FROM teacher_search WHERE rowid = ?`).bind(teacherId),
+    env.DB.prepare(`
+      INSERT INTO teacher_search (rowid, name, aliases, subjects, school)
+      SELECT
+        t.id,
+        t.name,
+        COALESCE((SELECT group_concat(a.name, ' ') FROM teacher_aliases a WHERE a.teacher_id = t.id), ''),
+        t.department || ' ' || t.title || ' ' || COALESCE((SELECT group_concat(c.name, ' ') FROM courses c WHERE c.teacher_id = t.id), ''),
+        t.school
+      FROM teachers t
+      WHERE t.id = ?
+    `).bind(teacherId),
+  ];
+}
+
+async function syncTeacherSearch(env, teacherId) {
+  await env.DB.batch(teacherSearchSync(env, teacherId));
+}
+
+// Rebuilds the whole index, e.g. after loading teachers with raw SQL (seed.sql)
+async function rebuildTeacherSearch(env) {
+  await env.DB.batch([
+    env.DB.prepare(`DELETE FROM teacher_search`),
+    env.DB.prepare(`
+      INSERT INTO teacher_search (rowid, name, aliases, subjects, school)
+      SELECT
+        t.id,
+        t.name,
+        COALESCE((SELECT group_concat(a.name, ' ') FROM teacher_aliases a WHERE a.teacher_id = t.id), ''),
+        t.department || ' ' || t.title || ' ' || COALESCE((SELECT group_concat(c.name, ' ') FROM courses c WHERE c.teacher_id = t.id), ''),
+        t.school
+      FROM teachers t
+    `),
+  ]);
+  const count = await env.DB.prepare(`SELECT COUNT(*) AS n FROM teacher_search`).first();
+  return { ok: true, indexed: count?.n ?? 0 };
+}
+
+// Column weights for bm25(): name, aliases, subjects, school
+const SEARCH_WEIGHTS = [10, 8, 2, 1];
+
+function searchTokens(q) {
+  return String(q || "").toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .split(/[^\p{L}\p{N}]+/u).filter(Boolean).slice(0, 8);
+}
+
+// Every word must match, the last one (still being typed) or any word as a prefix.
+// Tokens are quoted so user input can't inject FTS operators.
+function ftsQuery(q) {
+  const tokens = searchTokens(q);
+  return tokens.length ? tokens.map(t => `"${t}"*`).join(" ") : null;
+}
+
+// Allowed typos per word: none for short words, then one, then two
+function typoBudget(word) {
+  return word.length <= 3 ? 0 : word.length <= 7 ? 1 : 2;
+}
+
+// Used when the FTS query finds nothing: every query word must be within its typo budget
+// of some word in the name, aliases or school. Scans the index, which is fine for a
+// district's few thousand teachers.
+async function fuzzyTeacherIds(env, q, limit) {
+  const words = searchTokens(q);
+  if (!words.length) return [];
+  const { results } = await env.DB.prepare(`SELECT rowid AS id, name, aliases, school FROM teacher_search`).all();
+
+  const scored = [];
+  for (const row of results || []) {
+    const candidates = searchTokens(`${row.name} ${row.aliases} ${row.school}`);
+    let cost = 0;
+    for (const w of words) {
+      let best = Infinity;
+      for (const cand of candidates) {
+        best = Math.min(best, levenshtein(w, cand));
+        // the word may still be being typed: compare against the start of longer words
+        if (cand.length > w.length) best = Math.min(best, levenshtein(w, cand.slice(0, w.length)) + 0.5);
+      }
+      if (best > typoBudget(w) + 0.5) { cost = Infinity; break; }
+      cost += best;
+    }
+    if (cost !== Infinity) scored.push({ id: row.id, cost });
+  }
+  return scored.sort((a, b) => a.cost - b.cost || a.id - b.id).slice(0, limit).map(r => r.id);
+}
+
+// -------------------- Public listings --------------------
+// Sort orders for the paged public lists; the last key is always unique so cursors are stable.
+const TEACHER_SORTS = {
+  relevance: [
+    { expr: "relevance", dir: "asc", name: "relevance" }, // bm25: lower is better
+    { expr: "id", dir: "asc", name: "id" },
+  ],
+  name: [
+    { expr: "name", dir: "asc", name: "name" },
+    { expr: "id", dir: "asc", name: "id" },
+  ],
+  rating: [
+    { expr: "rating_key", dir: "desc", name: "rating_key" },
+    { expr: "review_count", dir: "desc", name: "review_count" },
+    { expr: "id", dir: "asc", name: "id" },
+  ],
+  reviews: [
+    { expr: "review_count", dir: "desc", name: "review_count" },
+    { expr: "name", dir: "asc", name: "name" },
+    { expr: "id", dir: "asc", name: "id" },
+  ],
+};
+
+const REVIEW_SORTS = {
+  newest: [
+    { expr: "r.created_at", dir: "desc", name: "created_at" },
+    { expr: "r.id", dir: "desc", name: "id" },
+  ],
+  oldest: [
+    { expr: "r.created_at", dir: "asc", name: "created_at" },
+    { expr: "r.id", dir: "asc", name: "id" },
+  ],
+  highest: [
+    { expr: "r.overall", dir: "desc", name: "overall" },
+    { expr: "r.created_at", dir: "desc", name: "created_at" },
+    { expr: "r.id", dir: "desc", name: "id" },
+  ],
+  lowest: [
+    { expr: "r.overall", dir: "asc", name: "overall" },
+    { expr: "r.created_at", dir: "desc", name: "created_at" },
+    { expr: "r.id", dir: "desc", name: "id" },
+  ],
+  helpful: [
+    { expr: "r.helpful_score", dir: "desc", name: "helpful_score" },
+    { expr: "r.created_at", dir: "desc", name: "created_at" },
+    { expr: "r.id", dir: "desc", name: "id" },
+  ],
+};
+
+// With q: full-text match (prefixes, aliases, subjects), best match first by default.
+// If that finds nothing, a typo-tolerant pass runs instead and the page is marked fuzzy.
+async function listTeachers(env, { q = "", sort = "name", cursor = null, limit = 50 } = {}) {
+  const match = ftsQuery(q);
+  const keys = TEACHER_SORTS[sort === "relevance" && !match ? "name" : sort];
+  if (!keys) return { ok: false, error: "Invalid sort" };
+
+  const where = [];
+  const binds = [];
+  const after = keysetCondition(keys, decodeCursor(cursor));
+  if (cursor && !after) return { ok: false, error: "Invalid cursor" };
+  if (after) { where.push(after.sql); binds.push(...after.binds); }
+
+  // Wrapped so the keyset condition can use the computed columns. bm25() only works in a
+  // query SQLite doesn't flatten, hence the materialized CTE.
+  const { results } = await env.DB.prepare(`
+    ${match ? `WITH s AS MATERIALIZED (
+      SELECT rowid AS id, bm25(teacher_search, ${SEARCH_WEIGHTS.join(", ")}) AS relevance
+      FROM teacher_search
+      WHERE teacher_search MATCH ?
+    )` : ""}
+    SELECT id, name, school, unlisted_at, review_count, avg_overall, rating_key, relevance
+    FROM (
+      SELECT
+        t.id,
+        t.name,
+        t.school,
+        t.unlisted_at,
+        COALESCE(ts.review_count, 0) AS review_count,
+        ts.sum_overall * 1.0 / NULLIF(ts.review_count, 0) AS avg_overall,
+        COALESCE(ts.sum_overall * 1.0 / NULLIF(ts.review_count, 0), 0) AS rating_key,
+        ${match ? "s.relevance" : "0"} AS relevance
+      FROM teachers t
+      ${match ? "JOIN s ON s.id = t.id" : ""}
+      LEFT JOIN teacher_stats ts ON ts.teacher_id = t.id
+      WHERE t.hidden_at IS NULL
+    )
+    ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+    ORDER BY ${orderByKeys(keys)}
+    LIMIT ?
+  `).bind(...(match ? [match] : []), ...binds, limit + 1).all();
+
+  if (match && !cursor && !(results || []).length) {
+    const rows = await teachersById(env, await fuzzyTeacherIds(env, q, limit));
+    return { ok: true, rows, next_cursor: null, fuzzy: true };
+  }
+
+  const page = pageResult(results, limit, keys);
+  return { ok: true, rows: page.rows.map(({ rating_key, relevance, ...t }) => t), next_cursor: page.next_cursor };
+}
+
+// Listing rows for the given ids, in that order
+async function teachersById(env, ids) {
+  if (!ids.length) return [];
+  const { results } = await env.DB.prepare(`
+    SELECT
+      t.id,
+      t.name,
+      t.school,
+      t.unlisted_at,
+      COALESCE(s.review_count, 0) AS review_count,
+      s.sum_overall * 1.0 / NULLIF(s.review_count, 0) AS avg_overall
+    FROM teachers t
+    LEFT JOIN teacher_stats s ON s.teacher_id = t.id
+    WHERE t.id IN (${ids.map(() => "?").join(", ")}) AND t.hidden_at IS NULL
+  `).bind(...ids).all();
+  const byId = new Map((results || []).map(t => [t.id, t]));
+  return ids.map(id => byId.get(id)).filter(Boolean);
+}
+
+// Shared by every reader, so nothing per-client here (votes come from getClientVotes)
+async function listReviews(env, { teacherId, courseId = null, sort = "newest", cursor = null, limit = 20 }) {
+  const keys = REVIEW_SORTS[sort];
+  if (!keys) return { ok: false, error: "Invalid sort" };
+
+  const where = ["r.teacher_id = ?", "r.status='approved'"];
+  const binds = [teacherId];
+  if (courseId !== null) { where.push("r.course_id = ?"); binds.push(courseId); }
+  const after = keysetCondition(keys, decodeCursor(cursor));
+  if (cursor && !after) return { ok: false, error: "Invalid cursor" };
+  if (after) { where.push(after.sql); binds.push(...after.binds); }
+
+  const { results } = await env.DB.prepare(`
+    SELECT
+      r.id, r.teacher_id, r.overall, r.difficulty, r.clarity, r.would_take_again,
+      r.school, r.comment, r.created_at, r.course_id, c.name AS course_name,
+      r.helpful_count, r.unhelpful_count, r.helpful_score,
+      (SELECT json_group_array(g.label) FROM review_tags rt JOIN tags g ON g.id = rt.tag_id WHERE rt.review_id = r.id) AS tags,
+      p.body AS response_body, p.created_at AS response_created_at
+    FROM reviews r
+    LEFT JOIN courses c ON c.id = r.course_id
+    LEFT JOIN review_responses p ON p.review_id = r.id AND p.status = 'approved'
+    WHERE ${where.join(" AND ")}
+    ORDER BY ${orderByKeys(keys)}
+    LIMIT ?
+  `).bind(...binds, limit + 1).all();
+
+  // The teacher's approved response, if any, rides along as review.response
+  const page = pageResult(results, limit, keys);
+  const rows = page.rows.map(({ response_body, response_created_at, tags, ...r }) => ({
+    ...r,
+    tags: JSON.parse(tags || "[]"),
+    response: response_body != null ? { body: response_body, created_at: response_created_at } : null,
+  }));
+  await attachRatings(env, rows);
+  return { ok: true, rows, next_cursor: page.next_cursor };
+}
+
+// -------------------- Leaderboard --------------------
+// Bayesian average: every teacher starts with TOP_PRIOR_WEIGHT "virtual" reviews at the
+// mean of the filtered set, so one 5-star review can't outrank forty 4.5s.
+// Teachers no longer listed in their school directory are left out.
+const TOP_PRIOR_WEIGHT = 20;
+
+const TOP_METRICS = {
+  overall:    { column: "overall",          direction: "desc" },
+  clarity:    { column: "clarity",          direction: "desc" },
+  easiest:    { column: "difficulty",       direction: "asc" },
+  hardest:    { column: "difficulty",       direction: "desc" },
+  take_again: { column: "would_take_again", direction: "desc" },
+};
+
+const TOP_WINDOWS = { all: null, "30d": 30, "90d": 90, "365d": 365 };
+
+async function getTopTeachers(env, { school = "", metric = "overall", window = "all", minReviews = 1, limit = 10 } = {}) {
+  const m = TOP_METRICS[metric];
+  if (!m) return { ok: false, error: "Invalid metric" };
+  if (!Object.hasOwn(TOP_WINDOWS, window)) return { ok: false, error: "Invalid window" };
+
+  const where = ["t.unlisted_at IS NULL", "t.hidden_at IS NULL"];
+  const binds = [];
+  if (school) { where.push("t.school = ?"); binds.push(school); }
+  const days = TOP_WINDOWS[window];
+
+  // All time reads the running totals in teacher_stats; a window has to aggregate reviews
+  let results;
+  if (days) {
+    where.push("r.status='approved'", "r.created_at >= ?");
+    binds.push(new Date(Date.now() - days * 86_400_000).toISOString());
+    ({ results } = await env.DB.prepare(`
+      SELECT
+        t.id,
+        t.name,
+        t.school,
+        COUNT(*) AS review_count,
+        SUM(r.${m.column}) AS metric_sum,
+        AVG(r.overall) AS avg_overall,
+        AVG(r.clarity) AS avg_clarity,
+        AVG(r.difficulty) AS avg_difficulty,
+        AVG(r.would_take_again) * 100.0 AS would_take_again_pct
+      FROM reviews r
+      JOIN teachers t ON t.id = r.teacher_id
+      WHERE ${where.join(" AND ")}
+      GROUP BY t.id
+    `).bind(...binds).all());
+  } else {
+    where.push("s.review_count > 0");
+    ({ results } = await env.DB.prepare(`
+      SELECT t.id, t.name, t.school, s.sum_${m.column} AS metric_sum, ${TEACHER_STATS_COLUMNS}
+      FROM teacher_stats s
+      JOIN teachers t ON t.id = s.teacher_id
+      WHERE ${where.join(" AND ")}
+    `).bind(...binds).all());
+  }
+
+  const rows = results || [];
+  const totalN = rows.reduce((a, r) => a + r.review_count, 0);
+  if (!totalN) return { ok: true, rows: [] };
+  const prior = rows.reduce((a, r) => a + r.metric_sum, 0) / totalN;
+
+  const sign = m.direction === "asc" ? 1 : -1;
+  const ranked = rows
+    .filter(r => r.review_count >= minReviews)
+    .map(({ metric_sum, ...r }) => ({
+      ...r,
+      score: (TOP_PRIOR_WEIGHT * prior + metric_sum) / (TOP_PRIOR_WEIGHT + r.review_count),
+    }))
+    .sort((a, b) => sign * (a.score - b.score) || b.review_count - a.review_count)
+    .slice(0, limit);
+
+  return { ok: true, rows: ranked };
+}
+
+// -------------------- Admin dashboard --------------------
+// Moderation and traffic numbers for a range of whole UTC days (both ends included).
+// Submissions count on the day a review came in, and by its status now; decisions count
+// on the day of a review's first approve/reject, and the wait is from submission to that.
+// The queue is the live pending list for the school, whatever the range.
+const DASHBOARD_DEFAULT_DAYS = 30;
+const DASHBOARD_MAX_DAYS = 366;
+const DASHBOARD_TOP_TEACHERS = 10;
+
+// from/to are YYYY-MM-DD; to defaults to today, from to DASHBOARD_DEFAULT_DAYS before it
+function dashboardRange({ from, to } = {}) {
+  const end = dayStartIso(to || new Date().toISOString().slice(0, 10), 1);
+  if (!end) return { ok: false, error: "Invalid to date" };
+  const start = from ? dayStartIso(from) : new Date(Date.parse(end) - DASHBOARD_DEFAULT_DAYS * 86_400_000).toISOString();
+  if (!start) return { ok: false, error: "Invalid from date" };
+  const days = Math.round((Date.parse(end) - Date.parse(start)) / 86_400_000);
+  if (days < 1) return { ok: false, error: "from must be on or before to" };
+  if (days > DASHBOARD_MAX_DAYS) return { ok: false, error: `At most ${DASHBOARD_MAX_DAYS} days at a time` };
+  return { ok: true, start, end, days };
+}
+
+async function getAdminDashboard(env, filters = {}) {
+  const range = dashboardRange(filters);
+  if (!range.ok) return range;
+  const school = cleanStr(filters.school ?? "", 120);
+
+  const where = ["r.created_at >= ?", "r.created_at < ?"];
+  const binds = [range.start, range.end];
+  if (school) { where.push("r.school = ?"); binds.push(school); }
+  const submitted = where.join(" AND ");
+
+  const { results: dayRows } = await env.DB.prepare(`
+    SELECT
+      substr(r.created_at, 1, 10) AS day,
+      COUNT(*) AS submitted,
+      SUM(r.status = 'approved') AS approved,
+      SUM(r.status = 'rejected') AS rejected,
+      SUM(r.status = 'unpublished') AS unpublished,
+      SUM(r.status = 'pending') AS pending
+    FROM reviews r
+    WHERE ${submitted}
+    GROUP BY day
+  `).bind(...binds).all();
+
+  // Every day in the range, including quiet ones
+  const byDay = new Map((dayRows || []).map(d => [d.day, d]));
+  const perDay = [];
+  for (let i = 0; i < range.days; i++) {
+    const day = new Date(Date.parse(range.start) + i * 86_400_000).toISOString().slice(0, 10);
+    perDay.push(byDay.get(day) || { day, submitted: 0, approved: 0, rejected: 0, unpublished: 0, pending: 0 });
+  }
+  const totals = { submitted: 0, approved: 0, rejected: 0, unpublished: 0, pending: 0 };
+  for (const d of perDay) for (const k of Object.keys(totals)) totals[k] += d[k];
+
+  // First decision per review; later ones (after a requeue) don't reset the clock
+  const { results: decided } = await env.DB.prepare(`
+    WITH firsts AS (
+      SELECT review_id, MIN(id) AS event_id
+      FROM moderation_events
+      WHERE response_id IS NULL AND from_status = 'pending' AND action IN ('approve', 'reject')
+      GROUP BY review_id
+    )
+    SELECT e.action, (julianday(e.created_at) - julianday(r.created_at)) * 86400 AS wait
+    FROM firsts f
+    JOIN moderation_events e ON e.id = f.event_id
+    JOIN reviews r ON r.id = e.review_id
+    WHERE e.created_at >= ? AND e.created_at < ? ${school ? "AND r.school = ?" : ""}
+  `).bind(range.start, range.end, ...(school ? [school] : [])).all();
+  const approvedN = (decided || []).filter(d => d.action === "approve").length;
+  const decidedN = (decided || []).length;
+
+  const teacherRows = (order, having = "") => env.DB.prepare(`
+    SELECT
+      r.teacher_id AS id,
+      t.name,
+      t.school,
+      COUNT(*) AS submitted,
+      SUM(r.status = 'approved') AS approved,
+      SUM(r.status = 'rejected') AS rejected
+    FROM reviews r
+    LEFT JOIN teachers t ON t.id = r.teacher_id
+    WHERE ${submitted}
+    GROUP BY r.teacher_id
+    ${having}
+    ORDER BY ${order}
+    LIMIT ?
+  `).bind(...binds, DASHBOARD_TOP_TEACHERS).all();
+  const { results: mostReviewed } = await teacherRows("submitted DESC, r.teacher_id");
+  const { results: mostRejected } = await teacherRows("rejected DESC, submitted DESC, r.teacher_id", "HAVING rejected > 0");
+
+  const { results: schools } = await env.DB.prepare(`
+    SELECT
+      r.school,
+      COUNT(*) AS submitted,
+      COUNT(DISTINCT r.teacher_id) AS teachers,
+      SUM(r.status = 'approved') AS approved,
+      SUM(r.status = 'rejected') AS rejected,
+      SUM(r.status = 'pending') AS pending
+    FROM reviews r
+    WHERE ${submitted}
+    GROUP BY r.school
+    ORDER BY submitted DESC, r.school
+  `).bind(...binds).all();
+
+  return {
+    ok: true,
+    from: range.start.slice(0, 10),
+    to: new Date(Date.parse(range.end) - 86_400_000).toISOString().slice(0, 10),
+    school,
+    totals,
+    decisions: {
+      decided: decidedN,
+      approved: approvedN,
+      rejected: decidedN - approvedN,
+      approve_rate: decidedN ? approvedN / decidedN : null,
+      median_wait_seconds: median((decided || []).map(d => Math.max(0, Math.round(d.wait)))),
+    },
+    queue: await getPendingQueueAge(env, { school }),
+    per_day: perDay,
+    most_reviewed: mostReviewed || [],
+    most_rejected: mostRejected || [],
+    schools: schools || [],
+  };
+}
+
+// -------------------- Webhooks --------------------
+// Outbound notifications. emitWebhookEvent queues one delivery per enabled webhook that
+// subscribes to the event and sends it straight away; failed sends are retried by the
+// cron job, WEBHOOK_BACKOFF_SEC apart, until WEBHOOK_MAX_ATTEMPTS. Every request carries
+//   X-Webhook-Timestamp: <unix seconds>
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256(secret, "<timestamp>.<raw body>")>
+// so receivers can check it came from us. Discord and Slack ignore the headers.
+const WEBHOOK_EVENTS = ["review.pending", "review.flagged", "queue.over_threshold", "scrape.failed"];
+const WEBHOOK_FORMATS = ["json", "discord", "slack"];
+const WEBHOOK_BACKOFF_SEC = [60, 5 * 60, 30 * 60, 2 * 60 * 60, 12 * 60 * 60];
+const WEBHOOK_MAX_ATTEMPTS = WEBHOOK_BACKOFF_SEC.length + 1;
+const WEBHOOK_TIMEOUT_MS = 10_000;
+const WEBHOOK_DUE_BATCH = 50;
+// Must match the frequent schedule in wrangler.toml [triggers]; the other one is the daily job
+const WEBHOOK_CRON = "* * * * *";
+// While the queue stays over a webhook's threshold, it's told again at most this often
+const WEBHOOK_QUEUE_REPEAT_SEC = 6 * 60 * 60;
+
+// One line per event for chat formats; the json format sends the data as-is
+const WEBHOOK_MESSAGES = {
+  "review.pending": (d) =>
+    `New review waiting for moderation: ${d.teacher_name} (${d.school}), ${d.overall}/5${d.comment ? ` — "${d.comment}"` : ""}`,
+  "review.flagged": (d) => d.reason === "reports"
+    ? `Review #${d.review_id} for ${d.teacher_name} was hidden after ${d.report_count} reader reports and is back in the queue`
+    : `Review #${d.review_id} for ${d.teacher_name} was flagged by screening: ${d.flags.map(f => (f.category || f.type).replace(/_/g, " ")).join(", ")}`,
+  "queue.over_threshold": (d) =>
+    `${d.pending} reviews are waiting for moderation (alert at ${d.threshold}); the oldest came in ${d.oldest_at}`,
+  "scrape.failed": (d) => `Scrape of ${d.school} failed (run #${d.run_id}): ${d.error}`,
+  "webhook.test": (d) => `Test delivery for webhook "${d.name}"`,
+};
+
+// https only, apart from a stand-in on this machine (http://localhost:PORT) for testing
+function webhookUrl(raw) {
+  let u;
+  try { u = new URL(String(raw ?? "").trim()); } catch { return null; }
+  const local = ["localhost", "127.0.0.1", "[::1]"].includes(u.hostname);
+  if (u.protocol !== "https:" && !(u.protocol === "http:" && local)) return null;
+  return u.toString();
+}
+
+function webhookEvents(events) {
+  if (!Array.isArray(events) || !events.length) return { ok: false, error: "Pick at least one event" };
+  const unknown = events.find(e => !WEBHOOK_EVENTS.includes(e));
+  if (unknown !== undefined) return { ok: false, error: `Unknown event: ${unknown}` };
+  return { ok: true, events: [...new Set(events)] };
+}
+
+function newWebhookSecret() {
+  return b64urlEncode(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+// The secret is only ever returned by create and rotate
+function publicWebhook(w) {
+  return {
+    id: w.id,
+    name: w.name,
+    url: w.url,
+    format: w.format,
+    events: JSON.parse(w.events || "[]"),
+    queue_threshold: w.queue_threshold,
+    secret_hint: `…${w.secret.slice(-4)}`,
+    enabled: !w.disabled_at,
+    created_at: w.created_at,
+    updated_at: w.updated_at,
+    retrying_count: w.retrying_count ?? 0,
+    failed_count: w.failed_count ?? 0,
+    last_delivered_at: w.last_delivered_at ?? null,
+  };
+}
+
+async function listWebhooks(env) {
+  const { results } = await env.DB.prepare(`
+    SELECT
+      w.*,
+      (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'pending' AND d.attempts > 0) AS retrying_count,
+      (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'failed') AS failed_count,
+      (SELECT MAX(d.delivered_at) FROM webhook_deliveries d WHERE d.webhook_id = w.id) AS last_delivered_at
+    FROM webhooks w
+    ORDER BY w.id
+  `).all();
+  return (results || []).map(publicWebhook);
+}
+
+async function createWebhook(env, actor, { name, url, format = "json", events, queue_threshold }) {
+  const label = cleanStr(name ?? "", 60);
+  if (!label) return { ok: false, error: "Missing name" };
+  const target = webhookUrl(url);
+  if (!target) return { ok: false, error: "The URL must be https (or http://localhost for testing)" };
+  if (!WEBHOOK_FORMATS.includes(format)) return { ok: false, error: "Invalid format" };
+  const picked = webhookEvents(events);
+  if (!picked.ok) return picked;
+  const threshold = queue_threshold != null && queue_threshold !== "" ? clampInt(queue_threshold, 1, 10_000) : 25;
+  if (threshold === null) return { ok: false, error: "Invalid queue threshold" };
+
+  const secret = newWebhookSecret();
+  const now = new Date().toISOString();
+  const out = await env.DB.prepare(`
+    INSERT INTO webhooks (name, url, format, events, secret, queue_threshold, created_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(label, target, format, JSON.stringify(picked.events), secret, threshold, actor?.id ?? null, now, now).run();
+  return { ok: true, id: out.meta.last_row_id, secret };
+}
+
+async function updateWebhook(env, { id, name, url, format, events, queue_threshold, enabled }) {
+  const hookId = clampInt(id, 1, 1_000_000_000);
+  if (hookId === null) return { ok: false, error: "Invalid webhook id" };
+  const sets = [];
+  const binds = [];
+  if (name !== undefined) {
+    const label = cleanStr(name ?? "", 60);
+    if (!label) return { ok: false, error: "Missing name" };
+    sets.push("name = ?"); binds.push(label);
+  }
+  if (url !== undefined) {
+    const target = webhookUrl(url);
+    if (!target) return { ok: false, error: "The URL must be https (or http://localhost for testing)" };
+    sets.push("url = ?"); binds.push(target);
+  }
+  if (format !== undefined) {
+    if (!WEBHOOK_FORMATS.includes(format)) return { ok: false, error: "Invalid format" };
+    sets.push("format = ?"); binds.push(format);
+  }
+  if (events !== undefined) {
+    const picked = webhookEvents(events);
+    if (!picked.ok) return picked;
+    sets.push("events = ?"); binds.push(JSON.stringify(picked.events));
+  }
+  if (queue_threshold !== undefined) {
+    const threshold = clampInt(queue_threshold, 1, 10_000);
+    if (threshold === null) return { ok: false, error: "Invalid queue threshold" };
+    sets.push("queue_threshold = ?"); binds.push(threshold);
+  }
+  if (enabled !== undefined) {
+    sets.push("disabled_at = ?"); binds.push(enabled ? null : new Date().toISOString());
+  }
+  if (!sets.length) return { ok: false, error: "Nothing to change" };
+
+  const out = await env.DB.prepare(`
+    UPDATE webhooks SET ${sets.join(", ")}, updated_at = ? WHERE id = ?
+  `).bind(...binds, new Date().toISOString(), hookId).run();
+  if (!out.meta?.changes) return { ok: false, error: "Webhook not found" };
+  return { ok: true };
+}
+
+// The old secret stops working at once, so update the receiver straight after
+async function rotateWebhookSecret(env, id) {
+  const hookId = clampInt(id, 1, 1_000_000_000);
+  if (hookId === null) return { ok: false, error: "Invalid webhook id" };
+  const secret = newWebhookSecret();
+  const out = await env.DB.prepare(`
+    UPDATE webhooks SET secret = ?, updated_at = ? WHERE id = ?
+  `).bind(secret, new Date().toISOString(), hookId).run();
+  if (!out.meta?.changes) return { ok: false, error: "Webhook not found" };
+  return { ok: true, secret };
+}
+
+// Takes its delivery log with it; disable a webhook instead to keep the log
+async function deleteWebhook(env, id) {
+  const hookId = clampInt(id, 1, 1_000_000_000);
+  if (hookId === null) return { ok: false, error: "Invalid webhook id" };
+  const [, out] = await env.DB.batch([
+    env.DB.prepare(`DELETE FROM webhook_deliveries WHERE webhook_id = ?`).bind(hookId),
+    env.DB.prepare(`DELETE FROM webhooks WHERE id = ?`).bind(hookId),
+  ]);
+  if (!out.meta?.changes) return { ok: false, error: "Webhook not found" };
+  return { ok: true };
+}
+
+async function subscribedWebhooks(env, event) {
+  const { results } = await env.DB.prepare(`
+    SELECT w.id, w.queue_threshold
+    FROM webhooks w, json_each(w.events) e
+    WHERE w.disabled_at IS NULL AND e.value = ?
+  `).bind(event).all();
+  return results || [];
+}
+
+// hooks defaults to every enabled subscriber. Without ctx the sends are awaited; with it
+// they run after the response (ctx.waitUntil). Never throws: a broken webhook mustn't
+// break whatever raised the event.
+async function emitWebhookEvent(env, event, data, { ctx = null, hooks = null } = {}) {
+  try {
+    const targets = hooks ?? await subscribedWebhooks(env, event);
+    if (!targets.length) return [];
+    const now = new Date().toISOString();
+    const payload = JSON.stringify(data);
+    const inserted = await env.DB.batch(targets.map(h => env.DB.prepare(`
+      INSERT INTO webhook_deliveries (webhook_id, event, payload, status, next_attempt_at, created_at)
+      VALUES (?, ?, ?, 'pending', ?, ?)
+    `).bind(h.id, event, payload, now, now)));
+    const ids = inserted.map(r => r.meta?.last_row_id).filter(Boolean);
+
+    const work = deliverWebhooks(env, ids).catch(e => console.log(`Webhook ${event} delivery error:`, e?.message || e));
+    if (ctx) { ctx.waitUntil(work); return ids; }
+    await work;
+    return ids;
+  } catch (e) {
+    console.log(`Webhook ${event} error:`, e?.message || e);
+    return [];
+  }
+}
+
+function webhookBody(format, delivery) {
+  const data = JSON.parse(delivery.payload);
+  const message = () => (WEBHOOK_MESSAGES[delivery.event] || (() => delivery.event))(data);
+  if (format === "discord") return JSON.stringify({ content: message().slice(0, 2000) });
+  if (format === "slack") return JSON.stringify({ text: message() });
+  return JSON.stringify({ id: delivery.id, event: delivery.event, created_at: delivery.created_at, data });
+}
+
+// One send. The row is leased first (next_attempt_at pushed past the timeout) so an
+// immediate send and the cron job can't both pick up the same delivery.
+async function attemptWebhookDelivery(env, deliveryId) {
+  const started = new Date();
+  const lease = new Date(started.getTime() + 2 * WEBHOOK_TIMEOUT_MS).toISOString();
+  const claimed = await env.DB.prepare(`
+    UPDATE webhook_deliveries SET next_attempt_at = ?
+    WHERE id = ? AND status = 'pending' AND next_attempt_at <= ?
+  `).bind(lease, deliveryId, started.toISOString()).run();
+  if (!claimed.meta?.changes) return { id: deliveryId, skipped: true };
+
+  const d = await env.DB.prepare(`
+    SELECT d.*, w.url, w.format, w.secret, w.disabled_at
+    FROM webhook_deliveries d
+    JOIN webhooks w ON w.id = d.webhook_id
+    WHERE d.id = ?
+  `).bind(deliveryId).first();
+
+  let responseStatus = null;
+  let error = null;
+  if (d.disabled_at) {
+    error = "Webhook is disabled";
+  } else {
+    const body = webhookBody(d.format, d);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const sig = [...await hmacSha256(d.secret, `${timestamp}.${body}`)].map(b => b.toString(16).padStart(2, "0")).join("");
+    try {
+      const res = await fetch(d.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "isd-teacher-rater-webhooks",
+          "X-Webhook-Event": d.event,
+          "X-Webhook-Delivery": String(d.id),
+          "X-Webhook-Timestamp": timestamp,
+          "X-Webhook-Signature": `sha256=${sig}`,
+        },
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      responseStatus = res.status;
+      if (!res.ok) error = `HTTP ${res.status} ${cleanStr(await res.text(), 200)}`.trim();
+    } catch (e) {
+      error = e?.message || String(e);
+    }
+  }
+
+  const attempts = d.attempts + 1;
+  const status = !error ? "delivered" : d.disabled_at || attempts >= WEBHOOK_MAX_ATTEMPTS ? "failed" : "pending";
+  const next = status === "pending" ? new Date(Date.now() + WEBHOOK_BACKOFF_SEC[attempts - 1] * 1000).toISOString() : null;
+  await env.DB.prepare(`
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = ?, next_attempt_at = ?, last_attempt_at = ?, response_status = ?, last_error = ?, delivered_at = ?
+    WHERE id = ?
+  `).bind(status, attempts, next, started.toISOString(), responseStatus, error, status === "delivered" ? new Date().toISOString() : null, deliveryId).run();
+
+  return { id: deliveryId, status, attempts, response_status: responseStatus, error };
+}
+
+async function deliverWebhooks(env, ids) {
+  const results = [];
+  for (const id of ids) results.push(await attemptWebhookDelivery(env, id));
+  return results;
+}
+
+// Cron: everything whose next attempt is due, oldest first
+async function deliverDueWebhooks(env) {
+  const { results } = await env.DB.prepare(`
+    SELECT id FROM webhook_deliveries
+    WHERE status = 'pending' AND next_attempt_at <= ?
+    ORDER BY next_attempt_at
+    LIMIT ?
+  `).bind(new Date().toISOString(), WEBHOOK_DUE_BATCH).all();
+  const sent = await deliverWebhooks(env, (results || []).map(r => r.id));
+  const count = (status) => sent.filter(s => s.status === status).length;
+  return { attempted: sent.filter(s => !s.skipped).length, delivered: count("delivered"), retrying: count("pending"), failed: count("failed") };
+}
+
+// One more try right now. A failed delivery gets a single attempt; a pending one keeps its schedule.
+async function retryWebhookDelivery(env, id) {
+  const deliveryId = clampInt(id, 1, 1_000_000_000);
+  if (deliveryId === null) return { ok: false, error: "Invalid delivery id" };
+  const out = await env.DB.prepare(`
+    UPDATE webhook_deliveries
+    SET status = 'pending',
+        next_attempt_at = ?,
+        attempts = CASE WHEN status = 'failed' THEN ? ELSE attempts END
+    WHERE id = ? AND status IN ('pending', 'failed')
+  `).bind(new Date().toISOString(), WEBHOOK_MAX_ATTEMPTS - 1, deliveryId).run();
+  if (!out.meta?.changes) return { ok: false, error: "Only pending or failed deliveries can be retried" };
+  return { ok: true, delivery: await attemptWebhookDelivery(env, deliveryId) };
+}
+
+// Sent even if the webhook doesn't subscribe to anything yet; waits for the result
+async function sendTestWebhook(env, id) {
+  const hookId = clampInt(id, 1, 1_000_000_000);
+  if (hookId === null) return { ok: false, error: "Invalid webhook id" };
+  const hook = await env.DB.prepare(`SELECT id, name, disabled_at FROM webhooks WHERE id = ?`).bind(hookId).first();
+  if (!hook) return { ok: false, error: "Webhook not found" };
+  if (hook.disabled_at) return { ok: false, error: "Enable the webhook first" };
+  const [deliveryId] = await emitWebhookEvent(env, "webhook.test", { name: hook.name }, { hooks: [hook] });
+  if (!deliveryId) return { ok: false, error: "Couldn't queue the test delivery" };
+  const d = await env.DB.prepare(`SELECT status, attempts, response_status, last_error FROM webhook_deliveries WHERE id = ?`).bind(deliveryId).first();
+  return { ok: true, delivery: { id: deliveryId, ...d } };
+}
+
+async function listWebhookDeliveries(env, { webhook_id, status = "", cursor = null, limit = 20 } = {}) {
+  const hookId = clampInt(webhook_id, 1, 1_000_000_000);
+  if (hookId === null) return { ok: false, error: "Invalid webhook id" };
+  const where = ["webhook_id = ?"];
+  const binds = [hookId];
+  if (status) {
+    if (!["pending", "delivered", "failed"].includes(status)) return { ok: false, error: "Invalid status" };
+    where.push("status = ?"); binds.push(status);
+  }
+  const c = decodeCursor(cursor);
+  if (c && Number.isInteger(c.id)) { where.push("id < ?"); binds.push(c.id); }
+
+  const { results } = await env.DB.prepare(`
+    SELECT id, event, payload, status, attempts, next_attempt_at, last_attempt_at, response_status, last_error, created_at, delivered_at
+    FROM webhook_deliveries
+    WHERE ${where.join(" AND ")}
+    ORDER BY id DESC
+    LIMIT ?
+  `).bind(...binds, limit + 1).all();
+
+  const page = pageResult(results, limit, [{ name: "id" }]);
+  return { ok: true, rows: page.rows.map(r => ({ ...r, payload: JSON.parse(r.payload) })), next_cursor: page.next_cursor };
+}
+
+// Review fields every review.* event carries
+async function reviewWebhookData(env, reviewId) {
+  const r = await env.DB.prepare(`
+    SELECT r.id AS review_id, r.teacher_id, t.name AS teacher_name, r.school, r.overall,
+      substr(r.comment, 1, 300) AS comment, r.flags, r.created_at,
+      (SELECT COUNT(*) FROM review_reports rr WHERE rr.review_id = r.id AND rr.resolved_at IS NULL) AS report_count
+    FROM reviews r
+    LEFT JOIN teachers t ON t.id = r.teacher_id
+    WHERE r.id = ?
+  `).bind(reviewId).first();
+  return r ? { ...r, flags: parseFlags(r.flags) } : null;
+}
+
+// Each subscriber has its own threshold; checked after every submission and by the cron job
+async function checkQueueThreshold(env, { ctx = null } = {}) {
+  const hooks = await subscribedWebhooks(env, "queue.over_threshold");
+  if (!hooks.length) return;
+  const queue = await getPendingQueueAge(env);
+  for (const hook of hooks) {
+    if (queue.pending < hook.queue_threshold) continue;
+    const recent = await env.DB.prepare(`
+      SELECT 1 FROM webhook_deliveries WHERE webhook_id = ? AND event = 'queue.over_threshold' AND created_at >= ?
+    `).bind(hook.id, sinceIso(WEBHOOK_QUEUE_REPEAT_SEC)).first();
+    if (recent) continue;
+    await emitWebhookEvent(env, "queue.over_threshold", {
+      pending: queue.pending,
+      threshold: hook.queue_threshold,
+      oldest_at: queue.oldest_at,
+      over_24h: queue.over_24h,
+    }, { ctx, hooks: [hook] });
+  }
+}
+
+// After a submission: review.pending, review.flagged if screening flagged it, then the queue check
+async function notifyNewReview(env, reviewId) {
+  try {
+    const data = await reviewWebhookData(env, reviewId);
+    if (!data) return;
+    await emitWebhookEvent(env, "review.pending", data);
+    if (data.flags.length) await emitWebhookEvent(env, "review.flagged", { ...data, reason: "screening" });
+    await checkQueueThreshold(env);
+  } catch (e) {
+    console.log("Webhook notify error:", e?.message || e);
+  }
+}
+
+// -------------------- Response caching --------------------
+// Public GETs are kept in the edge cache (Workers Cache API) and revalidated by browsers
+// with ETags. Every cache key carries the generation from cache_state, so bumping it
+// retires all cached pages at once (the Cache API can't purge by prefix). Moderation and
+// the admin edits in PURGING_ADMIN_PATHS bump it. Helpful votes don't, so vote counts on
+// a cached page can lag by up to CACHE_EDGE_SEC.
+const CACHEABLE_PATHS = new Set([
+  "/api/teachers", "/api/teacher", "/api/teacher/analytics", "/api/criteria", "/api/tags",
+  "/api/compare", "/api/top", "/api/schools", "/api/reviews",
+]);
+
+// Admin routes that change what the public routes show; bumped after any 2xx from them.
+// Read-only admin POSTs (scrape/run, scrape/runs, stats, ...) must stay out of this list.
+const PURGING_ADMIN_PATHS = new Set([
+  "/api/admin/teachers/create", "/api/admin/teachers/update", "/api/admin/teachers/hide",
+  "/api/admin/teachers/delete", "/api/admin/teachers/merge", "/api/admin/teacher/department",
+  "/api/admin/aliases/add", "/api/admin/aliases/remove", "/api/admin/courses/add",
+  "/api/admin/courses/remove", "/api/admin/tags/create", "/api/admin/tags/update",
+  "/api/admin/tags/delete", "/api/admin/criteria/save", "/api/admin/criteria/reset",
+  "/api/admin/import/teachers", "/api/admin/scrape", "/api/admin/search/rebuild",
+  "/api/admin/stats/rebuild",
+]);
+
+const CACHE_BROWSER_SEC = 30;
+const CACHE_EDGE_SEC = 300;
+
+async function getCacheGeneration(env) {
+  const row = await env.DB.prepare(`SELECT generation FROM cache_state WHERE id = 1`).first();
+  return row?.generation ?? 0;
+}
+
+async function bumpCacheGeneration(env) {
+  await env.DB.prepare(`
+    UPDATE cache_state SET generation = generation + 1, bumped_at = ? WHERE id = 1
+  `).bind(new Date().toISOString()).run();
+}
+
+function etagMatches(request, etag) {
+  const header = request.headers.get("If-None-Match");
+  if (!header || !etag) return false;
+  return header.trim() === "*" || header.split(",").some(t => t.trim().replace(/^W\//, "") === etag);
+}
+
+// handler() builds the response on a miss. Only 200s are stored; errors pass straight through.
+async function cachedGet(request, env, ctx, handler) {
+  const generation = await getCacheGeneration(env);
+  const keyUrl = new URL(request.url);
+  keyUrl.searchParams.set("_gen", String(generation));
+  const key = new Request(keyUrl.toString(), { method: "GET" });
+  const cache = caches.default;
+
+  let res = await cache.match(key);
+  if (!res) {
+    const fresh = await handler();
+    if (fresh.status !== 200) return fresh;
+    const body = await fresh.text();
+    const headers = new Headers(fresh.headers);
+    headers.set("ETag", `"${generation}-${(await sha256Hex(body)).slice(0, 16)}"`);
+    headers.set("Cache-Control", `public, max-age=${CACHE_BROWSER_SEC}, s-maxage=${CACHE_EDGE_SEC}`);
+    res = new Response(body, { status: 200, headers });
+    ctx.waitUntil(cache.put(key, res.clone()));
+  }
+
+  const etag = res.headers.get("ETag");
+  if (etagMatches(request, etag)) {
+    return new Response(null, {
+      status: 304,
+      headers: { ETag: etag, "Cache-Control": res.headers.get("Cache-Control"), ...CORS_HEADERS },
+    });
+  }
+  return res;
+}
+
+// -------------------- DEBUG HELPERS --------------------
+function snippetAround(haystack, needle, radius = 300) {
+  const idx = haystack.indexOf(needle);
+  if (idx === -1) return null;
+  const start = Math.max(0, idx - radius);
+  const end = Math.min(haystack.length, idx + needle.length + radius);
+  return haystack.slice(start, end);
+}
+
+// -------------------- Worker entrypoints --------------------
+export default {
+  async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+    if (request.method === "GET" && CACHEABLE_PATHS.has(url.pathname)) {
+      return cachedGet(request, env, ctx, () => this.route(request, env, ctx));
+    }
+    const res = await this.route(request, env, ctx);
+    if (request.method === "POST" && res.ok && PURGING_ADMIN_PATHS.has(url.pathname)) {
+      // Some of these report failure as 200 { ok: false }; an extra bump is harmless
+      await bumpCacheGeneration(env);
+    }
+    return res;
+  },
+
+  async route(request, env, ctx) {
+    const url = new URL(request.url);
+
+    if (request.method === "OPTIONS") return new Response("", { status: 204, headers: { ...CORS_HEADERS } });
+
+    if (url.pathname === "/api/health") return text("OK");
+
+    // ---------------- Admin DEBUG endpoints ----------------
+    if (url.pathname === "/api/admin/debug_staff_fetch" && request.method === "POST") {
+      const auth = await authorize(request, env, "scrape.run");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+
+      const adapter = getSchoolAdapter(body.school || "skyline");
+      if (!adapter) return text("Unknown school", 400);
+      const staffUrl = adapter.pageUrl(clampInt(body.page ?? 1, 1, 100) ?? 1);
+      const { res, html } = await fetchStaffHtml(staffUrl);
+
+      return json({
+        ok: true,
+        school: adapter.school,
+        url: staffUrl,
+        status: res.status,
+        content_length: html.length,
+        parsed: await adapter.parse(html),
+        has_fsConstituentItem: html.includes("fsConstituentItem"),
+        has_fsConstituent: html.includes("fsConstituent"),
+        first_1500: html.slice(0, 1500),
+      });
+    }
+
+    if (url.pathname === "/api/admin/debug_staff_snip" && request.method === "POST") {
+      const auth = await authorize(request, env, "scrape.run");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+
+      const adapter = getSchoolAdapter(body.school || "skyline");
+      if (!adapter) return text("Unknown school", 400);
+      const staffUrl = adapter.pageUrl(clampInt(body.page ?? 1, 1, 100) ?? 1);
+      const { res, html } = await fetchStaffHtml(staffUrl);
+
+      return json({
+        ok: true,
+        school: adapter.school,
+        url: staffUrl,
+        status: res.status,
+        content_length: html.length,
+        snip_fsConstituent: snippetAround(html, "fsConstituent", 400),
+        snip_constituent: snippetAround(html.toLowerCase(), "constituent", 400),
+        snip_api: snippetAround(html.toLowerCase(), "api", 400),
+      });
+    }
+
+    // ---------------- Public APIs (same as before) ----------------
+    // Paged: returns { rows, next_cursor }; pass next_cursor back as ?cursor= for the next page
+    if (url.pathname === "/api/teachers" && request.method === "GET") {
+      const q = cleanStr(url.searchParams.get("q") || "", 80);
+      const out = await listTeachers(env, {
+        q,
+        sort: url.searchParams.get("sort") || (q ? "relevance" : "name"),
+        cursor: url.searchParams.get("cursor"),
+        limit: clampInt(url.searchParams.get("limit") ?? 50, 1, 100) ?? 50,
+      });
+      if (!out.ok) return text(out.error, 400);
+      return json({ rows: out.rows, next_cursor: out.next_cursor, fuzzy: !!out.fuzzy });
+    }
+
+    if (url.pathname === "/api/teacher" && request.method === "GET") {
+      const rawId = url.searchParams.get("id");
+      if (!rawId) return text("Missing id", 400);
+      // Old links to a merged-away teacher land on the survivor (check the returned id)
+      const id = await resolveTeacherId(env, rawId);
+      if (id === null) return text("Not found", 404);
+
+      const teacher = await env.DB.prepare(`SELECT id, name, school, department, title, unlisted_at FROM teachers WHERE id = ? AND hidden_at IS NULL`)
+        .bind(id).first();
+      if (!teacher) return text("Not found", 404);
+
+      const stats = await getTeacherStats(env, id);
+      const courses = await getTeacherCourses(env, id);
+      const tags = await getTeacherTagCounts(env, id);
+      const criteria = await getCriteriaAverages(env, id, teacher.school);
+      return json({ ...teacher, ...stats, courses, tags, criteria });
+    }
+
+    if (url.pathname === "/api/teacher/analytics" && request.method === "GET") {
+      const rawId = url.searchParams.get("id");
+      if (!rawId) return text("Missing id", 400);
+      // Same merge aliasing as /api/teacher
+      const id = await resolveTeacherId(env, rawId);
+      if (id === null) return text("Not found", 404);
+      const teacher = await env.DB.prepare(`SELECT 1 FROM teachers WHERE id = ? AND hidden_at IS NULL`).bind(id).first();
+      if (!teacher) return text("Not found", 404);
+
+      const courseParam = url.searchParams.get("course_id");
+      const out = await getTeacherAnalytics(env, {
+        teacherId: id,
+        courseId: courseParam ? clampInt(courseParam, 1, 1_000_000_000) : null,
+        bucket: url.searchParams.get("bucket") || "month",
+      });
+      if (!out.ok) return text(out.error, 400);
+      return json(out);
+    }
+
+    // Rating questions for the rate page: ?teacher_id= (their school) or ?school=
+    if (url.pathname === "/api/criteria" && request.method === "GET") {
+      let school = cleanStr(url.searchParams.get("school") || "", 120);
+      const rawId = url.searchParams.get("teacher_id");
+      if (rawId) {
+        // Same merge aliasing as /api/teacher
+        const teacherId = await resolveTeacherId(env, rawId);
+        if (teacherId === null) return text("Not found", 404);
+        const teacher = await env.DB.prepare(`SELECT school FROM teachers WHERE id = ? AND hidden_at IS NULL`).bind(teacherId).first();
+        if (!teacher) return text("Not found", 404);
+        school = teacher.school;
+      }
+      return json({ school, criteria: (await getRatingCriteria(env, school)).map(publicCriterion) });
+    }
+
+    if (url.pathname === "/api/tags" && request.method === "GET") {
+      return json({ tags: await listActiveTags(env), max: REVIEW_TAGS_MAX });
+    }
 
-      return json({ ...teacher, ...stats });
+    if (url.pathname === "/api/compare" && request.method === "GET") {
+      const out = await compareTeachers(env, url.searchParams.get("ids"));
+      if (!out.ok) return text(out.error, 400);
+      return json(out);
     }
 
-    if (url.pathname === "/api/reviews" && request.method === "GET") {
-      const teacherId = url.searchParams.get("teacher_id");
-      if (!teacherId) return text("Missing teacher_id", 400);
+    if (url.pathname === "/api/top" && request.method === "GET") {
+      const out = await getTopTeachers(env, {
+        school: cleanStr(url.searchParams.get("school") || "", 120),
+        metric: url.searchParams.get("metric") || "overall",
+        window: url.searchParams.get("window") || "all",
+        minReviews: clampInt(url.searchParams.get("min_reviews") ?? 1, 1, 1000) ?? 1,
+        limit: clampInt(url.searchParams.get("limit") ?? 10, 1, 50) ?? 10,
+      });
+      if (!out.ok) return text(out.error, 400);
+      return json(out.rows);
+    }
 
+    if (url.pathname === "/api/schools" && request.method === "GET") {
       const { results } = await env.DB.prepare(`
-        SELECT
-          overall, difficulty, clarity, would_take_again,
-          school, comment, created_at
-        FROM reviews
-        WHERE teacher_id = ? AND status='approved'
-        ORDER BY created_at DESC
-        LIMIT 50
-      `).bind(teacherId).all();
+        SELECT DISTINCT school FROM teachers WHERE hidden_at IS NULL ORDER BY school
+      `).all();
+      return json((results || []).map(r => r.school));
+    }
+
+    if (url.pathname === "/api/reviews" && request.method === "GET") {
+      const rawId = url.searchParams.get("teacher_id");
+      if (!rawId) return text("Missing teacher_id", 400);
+      // Same merge aliasing as /api/teacher
+      const teacherId = await resolveTeacherId(env, rawId);
+      if (teacherId === null) return text("Not found", 404);
+      const visible = await env.DB.prepare(`SELECT 1 FROM teachers WHERE id = ? AND hidden_at IS NULL`).bind(teacherId).first();
+      if (!visible) return text("Not found", 404);
+
+      const courseParam = url.searchParams.get("course_id");
+      const out = await listReviews(env, {
+        teacherId,
+        courseId: courseParam ? clampInt(courseParam, 1, 1_000_000_000) : null,
+        sort: url.searchParams.get("sort") || "newest",
+        cursor: url.searchParams.get("cursor"),
+        limit: clampInt(url.searchParams.get("limit") ?? 20, 1, 50) ?? 20,
+      });
+      if (!out.ok) return text(out.error, 400);
+      return json({ rows: out.rows, next_cursor: out.next_cursor });
+    }
+
+    // Per-client, so never cached: ?ids=1,2,3 of the reviews on screen
+    if (url.pathname === "/api/reviews/votes" && request.method === "GET") {
+      const out = await getClientVotes(env, request, url.searchParams.get("ids"));
+      if (!out.ok) return text(out.error, out.status || 400);
+      return json({ votes: out.votes }, 200, { "Cache-Control": "private, no-store" });
+    }
+
+    if (url.pathname === "/api/reviews/vote" && request.method === "POST") {
+      const body = (await readJson(request)) || {};
+      const out = await voteOnReview(env, request, body);
+      if (!out.ok) {
+        const { status, ...payload } = out;
+        const extra = payload.retry_after ? { "Retry-After": String(payload.retry_after) } : {};
+        return json(payload, status, extra);
+      }
+      return json(out);
+    }
 
-      return json(results || []);
+    if (url.pathname === "/api/reviews/report" && request.method === "POST") {
+      const body = (await readJson(request)) || {};
+      const out = await reportReview(env, request, body);
+      if (!out.ok) {
+        const { status, ...payload } = out;
+        const extra = payload.retry_after ? { "Retry-After": String(payload.retry_after) } : {};
+        return json(payload, status, extra);
+      }
+      if (out.hidden) {
+        ctx.waitUntil((async () => {
+          const data = await reviewWebhookData(env, body.review_id);
+          if (data) await emitWebhookEvent(env, "review.flagged", { ...data, reason: "reports" });
+        })().catch(e => console.log("Webhook notify error:", e?.message || e)));
+      }
+      return json(out, 201);
     }
 
     if (url.pathname === "/api/reviews" && request.method === "POST") {
       const body = (await readJson(request)) || {};
+      const config = clientHashConfigError(env);
+      if (config) {
+        const { status, ...payload } = config;
+        return json(payload, status);
+      }
 
-      const teacher_id = String(body.teacher_id ?? "").trim();
+      const rawTeacherId = String(body.teacher_id ?? "").trim();
       const school = cleanStr(body.school ?? "", 120);
-      const overall = clampInt(body.overall, 1, 5);
-      const difficulty = clampInt(body.difficulty, 1, 5);
-      const clarity = clampInt(body.clarity, 1, 5);
       const would_take_again = body.would_take_again ? 1 : 0;
       const comment = cleanStr(body.comment ?? "", 800);
+      const course_id = body.course_id ? clampInt(body.course_id, 1, 1_000_000_000) : null;
 
-      if (!teacher_id) return text("Missing teacher_id", 400);
+      if (!rawTeacherId) return text("Missing teacher_id", 400);
       if (!school) return text("Missing school", 400);
-      if (overall === null || difficulty === null || clarity === null) return text("Ratings must be 1-5", 400);
+      // A rate page opened before a merge still submits the old id; file it under the survivor
+      const teacher_id = await resolveTeacherId(env, rawTeacherId);
+      if (teacher_id === null) return text("Teacher not found", 404);
+      const tags = await resolveReviewTags(env, body.tags);
+      if (!tags.ok) return text(tags.error, 400);
+
+      const teacher = await env.DB.prepare(`SELECT school FROM teachers WHERE id = ? AND hidden_at IS NULL`).bind(teacher_id).first();
+      if (!teacher) return text("Teacher not found", 404);
+      // The questions asked are the teacher's school's, whatever school the reviewer picked
+      const ratings = readReviewRatings(await getRatingCriteria(env, teacher.school), body);
+      if (!ratings.ok) return text(ratings.error, 400);
+      const { overall, difficulty, clarity, ...extraRatings } = ratings.values;
+      if (course_id !== null) {
+        const course = await env.DB.prepare(`SELECT 1 FROM courses WHERE id = ? AND teacher_id = ?`)
+          .bind(course_id, teacher_id).first();
+        if (!course) return text("Course not found for this teacher", 400);
+      }
+
+      const screening = applyScreeningPolicy(env, comment);
+      if (!screening.ok) {
+        const { status, ...payload } = screening;
+        return json(payload, status);
+      }
 
-      const exists = await env.DB.prepare(`SELECT 1 FROM teachers WHERE id = ?`).bind(teacher_id).first();
-      if (!exists) return text("Teacher not found", 404);
+      const client_hash = await hashClient(env, request);
+      const abuse = await checkReviewAbuse(env, { clientHash: client_hash, teacherId: teacher_id, comment });
+      if (!abuse.ok) {
+        const { status, ...payload } = abuse;
+        const extra = payload.retry_after ? { "Retry-After": String(payload.retry_after) } : {};
+        return json(payload, status, extra);
+      }
+      const flags = [...screening.flags, ...abuse.flags];
 
       const now = new Date().toISOString();
-      await env.DB.prepare(`
+      const inserted = await env.DB.prepare(`
         INSERT INTO reviews
-          (teacher_id, school, overall, difficulty, clarity, would_take_again, comment, status, created_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?)
-      `).bind(teacher_id, school, overall, difficulty, clarity, would_take_again, comment, now).run();
+          (teacher_id, school, overall, difficulty, clarity, would_take_again, comment, status, created_at, client_hash, flags, course_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?)
+        RETURNING id
+      `).bind(teacher_id, school, overall, difficulty, clarity, would_take_again, comment, now, client_hash, JSON.stringify(flags), course_id).first();
+
+      const children = [
+        ...tags.tagIds.map(tagId =>
+          env.DB.prepare(`INSERT INTO review_tags (review_id, tag_id) VALUES (?, ?)`).bind(inserted.id, tagId)
+        ),
+        ...Object.entries(extraRatings).map(([criterion, value]) =>
+          env.DB.prepare(`INSERT INTO review_ratings (review_id, criterion, value) VALUES (?, ?, ?)`).bind(inserted.id, criterion, value)
+        ),
+      ];
+      if (children.length) {
+        try {
+          await env.DB.batch(children);
+        } catch (e) {
+          // Don't leave a pending review without the tags and ratings it was sent with
+          await env.DB.prepare(`DELETE FROM reviews WHERE id = ?`).bind(inserted.id).run();
+          throw e;
+        }
+      }
 
+      ctx.waitUntil(notifyNewReview(env, inserted.id));
       return json({ ok: true, status: "pending" }, 201);
     }
 
+    // ---------------- Teacher responses ----------------
+    // Redeem an admin-issued claim code; the token goes in "Authorization: Bearer" below
+    if (url.pathname === "/api/teacher/claim" && request.method === "POST") {
+      const body = (await readJson(request)) || {};
+      const out = await redeemTeacherClaim(env, body.code);
+      if (!out.ok) {
+        const { status, ...payload } = out;
+        return json(payload, status);
+      }
+      return json(out);
+    }
+
+    if (url.pathname === "/api/responses/mine" && request.method === "GET") {
+      const auth = await authorizeTeacher(request, env);
+      if (auth.error) return text(auth.error, auth.status);
+      const { claim } = auth;
+      return json({
+        teacher: { id: claim.teacher_id, name: claim.name, school: claim.school },
+        responses: await listOwnResponses(env, claim.teacher_id),
+      });
+    }
+
+    if (url.pathname === "/api/responses" && request.method === "POST") {
+      const auth = await authorizeTeacher(request, env);
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await submitResponse(env, auth.claim, body);
+      if (!out.ok) {
+        const { status, ...payload } = out;
+        return json(payload, status);
+      }
+      return json(out, 201);
+    }
+
+    // ---------------- Moderator accounts ----------------
+    if (url.pathname === "/api/admin/bootstrap" && request.method === "POST") {
+      const body = (await readJson(request)) || {};
+      if (!requireAdminToken(env, body.token)) return text("Unauthorized", 401);
+      const any = await env.DB.prepare(`SELECT 1 FROM moderators LIMIT 1`).first();
+      if (any) return json({ ok: false, error: "Moderator accounts already exist; sign in as an owner" }, 409);
+      const out = await createModerator(env, {
+        username: cleanStr(body.username ?? "", 32),
+        password: body.password,
+        role: "owner",
+      });
+      return json(out, out.ok ? 201 : 400);
+    }
+
+    if (url.pathname === "/api/admin/login" && request.method === "POST") {
+      const body = (await readJson(request)) || {};
+      const username = cleanStr(body.username ?? "", 32);
+      const password = typeof body.password === "string" ? body.password : "";
+      if (!username || !password) return json({ ok: false, error: "Missing username or password" }, 400);
+      const out = await loginModerator(env, username, password);
+      if (!out) return json({ ok: false, error: "Invalid username or password" }, 401);
+      return json({ ok: true, ...out });
+    }
+
+    if (url.pathname === "/api/admin/me" && request.method === "POST") {
+      const auth = await authorize(request, env);
+      if (auth.error) return text(auth.error, auth.status);
+      return json({ ok: true, moderator: publicModerator(auth.moderator) });
+    }
+
+    // Signs the account out everywhere
+    if (url.pathname === "/api/admin/logout" && request.method === "POST") {
+      const auth = await authorize(request, env);
+      if (auth.error) return text(auth.error, auth.status);
+      await env.DB.prepare(`UPDATE moderators SET session_version = session_version + 1 WHERE id = ?`)
+        .bind(auth.moderator.id).run();
+      return json({ ok: true });
+    }
+
+    if (url.pathname === "/api/admin/moderators" && request.method === "POST") {
+      const auth = await authorize(request, env, "moderators.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      return json({ ok: true, rows: await listModerators(env) });
+    }
+
+    if (url.pathname === "/api/admin/moderators/create" && request.method === "POST") {
+      const auth = await authorize(request, env, "moderators.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await createModerator(env, {
+        username: cleanStr(body.username ?? "", 32),
+        password: body.password,
+        role: body.role,
+      });
+      return json(out, out.ok ? 201 : 400);
+    }
+
+    if (url.pathname === "/api/admin/moderators/update" && request.method === "POST") {
+      const auth = await authorize(request, env, "moderators.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await updateModerator(env, auth.moderator, {
+        id: body.id,
+        role: body.role,
+        password: body.password,
+        disabled: typeof body.disabled === "boolean" ? body.disabled : undefined,
+      });
+      return json(out, out.ok ? 200 : 400);
+    }
+
     // ---------------- Admin APIs ----------------
     if (url.pathname === "/api/admin/pending" && request.method === "POST") {
+      const auth = await authorize(request, env, "reviews.moderate");
+      if (auth.error) return text(auth.error, auth.status);
       const body = (await readJson(request)) || {};
-      if (!requireAdminToken(env, body.token)) return text("Unauthorized", 401);
-      const rows = await getPendingReviews(env, body.limit ?? 50);
-      return json({ ok: true, rows });
+      const out = await getPendingReviews(env, body);
+      return json({ ok: true, ...out });
     }
 
     if (url.pathname === "/api/admin/approve" && request.method === "POST") {
+      const auth = await authorize(request, env, "reviews.moderate");
+      if (auth.error) return text(auth.error, auth.status);
       const body = (await readJson(request)) || {};
-      if (!requireAdminToken(env, body.token)) return text("Unauthorized", 401);
-      const out = await setReviewStatus(env, body.id, "approved");
+      const out = await setReviewStatus(env, body.id, "approve", {
+        actor: auth.moderator,
+        reason_code: body.reason_code || null,
+        note: body.note ?? "",
+      });
       return json(out, out.ok ? 200 : 400);
     }
 
     if (url.pathname === "/api/admin/reject" && request.method === "POST") {
+      const auth = await authorize(request, env, "reviews.moderate");
+      if (auth.error) return text(auth.error, auth.status);
       const body = (await readJson(request)) || {};
-      if (!requireAdminToken(env, body.token)) return text("Unauthorized", 401);
-      const out = await setReviewStatus(env, body.id, "rejected");
+      const out = await setReviewStatus(env, body.id, "reject", {
+        actor: auth.moderator,
+        reason_code: body.reason_code || null,
+        note: body.note ?? "",
+      });
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/moderate_bulk" && request.method === "POST") {
+      const auth = await authorize(request, env, "reviews.moderate");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await setReviewStatusBulk(env, body.ids, body.action, {
+        actor: auth.moderator,
+        reason_code: body.reason_code || null,
+        note: body.note ?? "",
+      });
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/reports" && request.method === "POST") {
+      const auth = await authorize(request, env, "reviews.moderate");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      return json({ ok: true, rows: await getReportGroups(env, { limit: body.limit ?? 50 }) });
+    }
+
+    if (url.pathname === "/api/admin/reports/dismiss" && request.method === "POST") {
+      const auth = await authorize(request, env, "reviews.moderate");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await dismissReports(env, body.review_id);
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/teacher/department" && request.method === "POST") {
+      const auth = await authorize(request, env, "teachers.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await setTeacherDepartment(env, body.teacher_id, body.department);
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/courses/add" && request.method === "POST") {
+      const auth = await authorize(request, env, "teachers.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await addCourse(env, body);
+      return json(out, out.ok ? 201 : 400);
+    }
+
+    if (url.pathname === "/api/admin/courses/remove" && request.method === "POST") {
+      const auth = await authorize(request, env, "teachers.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await removeCourse(env, body.id);
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/teachers" && request.method === "POST") {
+      const auth = await authorize(request, env, "teachers.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await adminListTeachers(env, {
+        q: cleanStr(body.q ?? "", 80),
+        school: cleanStr(body.school ?? "", 120),
+        status: body.status || "all",
+        cursor: body.cursor || null,
+        limit: clampInt(body.limit ?? 25, 1, 100) ?? 25,
+      });
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/teacher" && request.method === "POST") {
+      const auth = await authorize(request, env, "teachers.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const id = clampInt(body.id, 1, 1_000_000_000);
+      const teacher = id === null ? null : await getAdminTeacher(env, id);
+      if (!teacher) return json({ ok: false, error: "Teacher not found" }, 404);
+      return json({ ok: true, teacher });
+    }
+
+    if (url.pathname === "/api/admin/teachers/create" && request.method === "POST") {
+      const auth = await authorize(request, env, "teachers.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await createTeacher(env, body);
+      return json(out, out.ok ? 201 : 400);
+    }
+
+    if (url.pathname === "/api/admin/teachers/update" && request.method === "POST") {
+      const auth = await authorize(request, env, "teachers.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await updateTeacher(env, body);
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/teachers/hide" && request.method === "POST") {
+      const auth = await authorize(request, env, "teachers.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await setTeacherHidden(env, body.id, body.hidden !== false);
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/teachers/delete" && request.method === "POST") {
+      const auth = await authorize(request, env, "teachers.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await deleteTeacher(env, body.id);
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/teachers/duplicates" && request.method === "POST") {
+      const auth = await authorize(request, env, "teachers.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const rows = await findDuplicateTeachers(env, {
+        school: cleanStr(body.school ?? "", 120),
+        limit: clampInt(body.limit ?? 50, 1, 200) ?? 50,
+      });
+      return json({ ok: true, rows });
+    }
+
+    if (url.pathname === "/api/admin/teachers/merge" && request.method === "POST") {
+      const auth = await authorize(request, env, "teachers.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await mergeTeachers(env, body.keep_id, body.merge_id);
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/teachers/not_duplicate" && request.method === "POST") {
+      const auth = await authorize(request, env, "teachers.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await markNotDuplicate(env, body.a_id, body.b_id);
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/aliases" && request.method === "POST") {
+      const auth = await authorize(request, env, "teachers.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const tid = clampInt(body.teacher_id, 1, 1_000_000_000);
+      if (tid === null) return json({ ok: false, error: "Invalid teacher id" }, 400);
+      return json({ ok: true, rows: await listAliases(env, tid) });
+    }
+
+    if (url.pathname === "/api/admin/aliases/add" && request.method === "POST") {
+      const auth = await authorize(request, env, "teachers.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await addAlias(env, body);
+      return json(out, out.ok ? 201 : 400);
+    }
+
+    if (url.pathname === "/api/admin/aliases/remove" && request.method === "POST") {
+      const auth = await authorize(request, env, "teachers.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await removeAlias(env, body.id);
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    // Reversals of earlier decisions: approved → unpublished, back to approved, or back to pending
+    if (["/api/admin/unpublish", "/api/admin/restore", "/api/admin/requeue"].includes(url.pathname) && request.method === "POST") {
+      const auth = await authorize(request, env, "reviews.moderate");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const action = url.pathname.slice("/api/admin/".length);
+      const out = await setReviewStatus(env, body.id, action, {
+        actor: auth.moderator,
+        reason_code: body.reason_code || null,
+        note: body.note ?? "",
+      });
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/history" && request.method === "POST") {
+      const auth = await authorize(request, env, "reviews.moderate");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await getModerationHistory(env, { reviewId: body.review_id ?? null, teacherId: body.teacher_id ?? null });
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/responses" && request.method === "POST") {
+      const auth = await authorize(request, env, "reviews.moderate");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      return json(await getPendingResponses(env, { cursor: body.cursor ?? null, limit: body.limit ?? 50 }));
+    }
+
+    // approve | reject | unpublish | restore | requeue, as for reviews
+    if (url.pathname.startsWith("/api/admin/responses/") && request.method === "POST") {
+      const action = url.pathname.slice("/api/admin/responses/".length);
+      if (!MODERATION_ACTIONS[action]) return text("Not found", 404);
+      const auth = await authorize(request, env, "reviews.moderate");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await setResponseStatus(env, body.id, action, {
+        actor: auth.moderator,
+        reason_code: body.reason_code || null,
+        note: body.note ?? "",
+      });
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/teachers/claims" && request.method === "POST") {
+      const auth = await authorize(request, env, "teachers.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await listTeacherClaims(env, body.teacher_id);
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/teachers/claims/create" && request.method === "POST") {
+      const auth = await authorize(request, env, "teachers.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await createTeacherClaim(env, body.teacher_id, auth.moderator);
+      return json(out, out.ok ? 201 : 400);
+    }
+
+    if (url.pathname === "/api/admin/teachers/claims/revoke" && request.method === "POST") {
+      const auth = await authorize(request, env, "teachers.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await revokeTeacherClaim(env, body.id);
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/criteria" && request.method === "POST") {
+      const auth = await authorize(request, env, "criteria.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      return json(await adminListCriteria(env, cleanStr(body.school ?? "", 120)));
+    }
+
+    if (url.pathname === "/api/admin/criteria/save" && request.method === "POST") {
+      const auth = await authorize(request, env, "criteria.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await saveCriterion(env, body);
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/criteria/reset" && request.method === "POST") {
+      const auth = await authorize(request, env, "criteria.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await resetCriterion(env, body);
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/tags" && request.method === "POST") {
+      const auth = await authorize(request, env, "tags.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      return json(await adminListTags(env));
+    }
+
+    if (url.pathname === "/api/admin/tags/create" && request.method === "POST") {
+      const auth = await authorize(request, env, "tags.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await createTag(env, body);
+      return json(out, out.ok ? 201 : 400);
+    }
+
+    if (url.pathname === "/api/admin/tags/update" && request.method === "POST") {
+      const auth = await authorize(request, env, "tags.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await updateTag(env, body);
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/tags/delete" && request.method === "POST") {
+      const auth = await authorize(request, env, "tags.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await deleteTag(env, body.id);
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    // ---------------- Webhooks ----------------
+    if (url.pathname === "/api/admin/webhooks" && request.method === "POST") {
+      const auth = await authorize(request, env, "webhooks.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      return json({ ok: true, rows: await listWebhooks(env), events: WEBHOOK_EVENTS, formats: WEBHOOK_FORMATS });
+    }
+
+    if (url.pathname === "/api/admin/webhooks/create" && request.method === "POST") {
+      const auth = await authorize(request, env, "webhooks.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await createWebhook(env, auth.moderator, body);
+      return json(out, out.ok ? 201 : 400);
+    }
+
+    if (url.pathname === "/api/admin/webhooks/update" && request.method === "POST") {
+      const auth = await authorize(request, env, "webhooks.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await updateWebhook(env, body);
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/webhooks/rotate" && request.method === "POST") {
+      const auth = await authorize(request, env, "webhooks.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await rotateWebhookSecret(env, body.id);
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/webhooks/delete" && request.method === "POST") {
+      const auth = await authorize(request, env, "webhooks.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await deleteWebhook(env, body.id);
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/webhooks/test" && request.method === "POST") {
+      const auth = await authorize(request, env, "webhooks.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await sendTestWebhook(env, body.id);
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    // Delivery log, newest first; body: webhook_id, status (optional), cursor
+    if (url.pathname === "/api/admin/webhooks/deliveries" && request.method === "POST") {
+      const auth = await authorize(request, env, "webhooks.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await listWebhookDeliveries(env, {
+        webhook_id: body.webhook_id,
+        status: cleanStr(body.status ?? "", 20),
+        cursor: body.cursor,
+        limit: clampInt(body.limit ?? 20, 1, 100) ?? 20,
+      });
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/webhooks/retry" && request.method === "POST") {
+      const auth = await authorize(request, env, "webhooks.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await retryWebhookDelivery(env, body.id);
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/migrations" && request.method === "POST") {
+      const body = (await readJson(request)) || {};
+      // ADMIN_TOKEN still works here: migrations have to run before moderators exist.
+      if (!requireAdminToken(env, body.token)) {
+        const auth = await authorize(request, env, "schema.manage");
+        if (auth.error) return text(auth.error, auth.status);
+      }
+      return json(await getMigrationStatus(env));
+    }
+
+    if (url.pathname === "/api/admin/migrations/apply" && request.method === "POST") {
+      const body = (await readJson(request)) || {};
+      // ADMIN_TOKEN still works here: migrations have to run before moderators exist.
+      if (!requireAdminToken(env, body.token)) {
+        const auth = await authorize(request, env, "schema.manage");
+        if (auth.error) return text(auth.error, auth.status);
+      }
+      const out = await applyMigrations(env);
+      return json(out, out.ok ? 200 : 500);
+    }
+
+    if (url.pathname === "/api/admin/export" && request.method === "POST") {
+      const auth = await authorize(request, env, "data.export");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await exportData(env, body);
+      if (!out.ok) return json(out, 400);
+      return text(out.body, 200, {
+        "Content-Type": out.format === "csv" ? "text/csv; charset=utf-8" : "application/json; charset=utf-8",
+        "Content-Disposition": `attachment; filename="${out.filename}"`,
+        "X-Row-Count": String(out.count),
+      });
+    }
+
+    if (url.pathname === "/api/admin/import/teachers" && request.method === "POST") {
+      const auth = await authorize(request, env, "teachers.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      if (typeof body.csv !== "string" || body.csv.length > 512_000) {
+        return json({ ok: false, error: "Send the CSV text as csv (up to 500 KB)" }, 400);
+      }
+      const out = await importTeachers(env, { csv: body.csv, defaultSchool: body.school, commit: body.commit === true });
+      return json(out, out.ok ? 200 : 400);
+    }
+
+    if (url.pathname === "/api/admin/search/rebuild" && request.method === "POST") {
+      const auth = await authorize(request, env, "schema.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      return json(await rebuildTeacherSearch(env));
+    }
+
+    // Dashboard numbers; body: from, to (YYYY-MM-DD, default the last 30 days), school
+    if (url.pathname === "/api/admin/stats" && request.method === "POST") {
+      const auth = await authorize(request, env, "stats.view");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await getAdminDashboard(env, body);
       return json(out, out.ok ? 200 : 400);
     }
 
+    // Same job the cron runs; for after raw SQL edits to reviews
+    if (url.pathname === "/api/admin/stats/rebuild" && request.method === "POST") {
+      const auth = await authorize(request, env, "schema.manage");
+      if (auth.error) return text(auth.error, auth.status);
+      return json(await rebuildTeacherStats(env));
+    }
+
     if (url.pathname === "/api/admin/scrape" && request.method === "POST") {
+      const auth = await authorize(request, env, "scrape.run");
+      if (auth.error) return text(auth.error, auth.status);
       const body = (await readJson(request)) || {};
-      if (!requireAdminToken(env, body.token)) return text("Unauthorized", 401);
+      const opts = { dryRun: body.dry_run === true, trigger: "manual", actor: auth.moderator };
       try {
-        const result = await runScrapeAll(env);
+        if (body.school) {
+          const adapter = getSchoolAdapter(body.school);
+          if (!adapter) return text("Unknown school", 400);
+          const one = await runScrapeSchool(env, adapter, opts);
+          return json({ ok: one.ok, dry_run: opts.dryRun, upserted: one.upserted || 0, found: one.found || 0, schools: [one] });
+        }
+        const result = await runScrapeAll(env, opts);
         return json(result);
       } catch (e) {
         return json({ ok: false, error: e?.message || String(e) }, 500);
       }
     }
 
+    if (url.pathname === "/api/admin/scrape/runs" && request.method === "POST") {
+      const auth = await authorize(request, env, "scrape.run");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const out = await listScrapeRuns(env, {
+        school: cleanStr(body.school ?? "", 120),
+        cursor: body.cursor || null,
+        limit: clampInt(body.limit ?? 20, 1, 100) ?? 20,
+      });
+      return json({ ok: true, ...out });
+    }
+
+    if (url.pathname === "/api/admin/scrape/run" && request.method === "POST") {
+      const auth = await authorize(request, env, "scrape.run");
+      if (auth.error) return text(auth.error, auth.status);
+      const body = (await readJson(request)) || {};
+      const id = clampInt(body.id, 1, 1_000_000_000);
+      const run = id === null ? null : await getScrapeRun(env, id);
+      if (!run) return json({ ok: false, error: "Run not found" }, 404);
+      return json({ ok: true, run });
+    }
+
     return text("Not found", 404);
   },
 
   async scheduled(event, env, ctx) {
+    // The frequent cron only sends due webhook retries; anything else is the daily job
+    if (event.cron === WEBHOOK_CRON) {
+      ctx.waitUntil(
+        (async () => {
+          try {
+            await checkQueueThreshold(env);
+            const sent = await deliverDueWebhooks(env);
+            if (sent.attempted) console.log(`Webhook retries: ${sent.delivered} delivered, ${sent.retrying} still retrying, ${sent.failed} failed`);
+          } catch (e) { console.log("Webhook delivery error:", e?.message || e); }
+        })()
+      );
+      return;
+    }
+
     ctx.waitUntil(
       (async () => {
-        try { await runScrapeAll(env); }
-        catch (e) { console.log("Scheduled scrape error:", e?.message || e); }
+        try {
+          const status = await getMigrationStatus(env);
+          if (status.pending.length) {
+            console.log(`Schema is at v${status.current_version}, pending migrations:`, status.pending.map(m => `${m.version}_${m.name}`).join(", "));
+          }
+        } catch (e) { console.log("Migration check error:", e?.message || e); }
+
+        try {
+          // Each school's run (including failures) is stored in scrape_runs; failures are
+          // sent as scrape.failed right away
+          const result = await runScrapeAll(env, { trigger: "cron" });
+          for (const s of result.schools) {
+            if (s.ok) console.log(`Scheduled scrape ${s.id} (run ${s.run_id}): found ${s.found}, +${s.added}, missing ${s.missing}, unlisted ${s.unlisted}`);
+            else console.log(`Scheduled scrape ${s.id} (run ${s.run_id}) error:`, s.error);
+          }
+        } catch (e) { console.log("Scheduled scrape error:", e?.message || e); }
+
+        try {
+          // Catches any drift in the incremental teacher_stats updates; scraped changes
+          // above are public too, so cached pages are retired either way
+          const stats = await rebuildTeacherStats(env);
+          await bumpCacheGeneration(env);
+          console.log(`Rebuilt teacher_stats for ${stats.teachers} teachers`);
+        } catch (e) { console.log("Teacher stats rebuild error:", e?.message || e); }
       })()
     );
   },
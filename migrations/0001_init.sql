@@ -0,0 +1,28 @@
+-- 0001_init: baseline schema.
+-- IF NOT EXISTS so databases created before migrations existed can adopt this as-is.
+
+CREATE TABLE IF NOT EXISTS teachers (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  name        TEXT NOT NULL,
+  school      TEXT NOT NULL,
+  source_url  TEXT NOT NULL DEFAULT '',
+  created_at  TEXT NOT NULL,
+  updated_at  TEXT NOT NULL,
+  UNIQUE(name, school)
+);
+
+CREATE TABLE IF NOT EXISTS reviews (
+  id                INTEGER PRIMARY KEY AUTOINCREMENT,
+  teacher_id        INTEGER NOT NULL REFERENCES teachers(id),
+  school            TEXT NOT NULL,
+  overall           INTEGER NOT NULL CHECK (overall BETWEEN 1 AND 5),
+  difficulty        INTEGER NOT NULL CHECK (difficulty BETWEEN 1 AND 5),
+  clarity           INTEGER NOT NULL CHECK (clarity BETWEEN 1 AND 5),
+  would_take_again  INTEGER NOT NULL DEFAULT 0,
+  comment           TEXT NOT NULL DEFAULT '',
+  status            TEXT NOT NULL DEFAULT 'pending',
+  created_at        TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_reviews_teacher_status ON reviews (teacher_id, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_reviews_status_created ON reviews (status, created_at);
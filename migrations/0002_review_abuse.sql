@@ -0,0 +1,8 @@
+-- 0002_review_abuse: per-client throttling and moderator flags on reviews.
+-- client_hash is a salted SHA-256 of IP + user agent; raw IPs are never stored.
+-- flags is a JSON array of { type, ... } objects shown to moderators.
+
+ALTER TABLE reviews ADD COLUMN client_hash TEXT NOT NULL DEFAULT '';
+ALTER TABLE reviews ADD COLUMN flags TEXT NOT NULL DEFAULT '[]';
+
+CREATE INDEX IF NOT EXISTS idx_reviews_client_created ON reviews (client_hash, created_at);
@@ -0,0 +1,15 @@
+-- 0003_moderators: named moderator accounts replacing the shared ADMIN_TOKEN.
+-- password_hash is "pbkdf2$<iterations>$<salt b64>$<hash b64>".
+-- Bumping session_version invalidates every token issued to that account.
+
+CREATE TABLE IF NOT EXISTS moderators (
+  id               INTEGER PRIMARY KEY AUTOINCREMENT,
+  username         TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  password_hash    TEXT NOT NULL,
+  role             TEXT NOT NULL CHECK (role IN ('reviewer', 'scraper', 'owner')),
+  disabled         INTEGER NOT NULL DEFAULT 0,
+  session_version  INTEGER NOT NULL DEFAULT 1,
+  created_at       TEXT NOT NULL,
+  updated_at       TEXT NOT NULL,
+  last_login_at    TEXT
+);
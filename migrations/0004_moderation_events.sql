@@ -0,0 +1,18 @@
+-- 0004_moderation_events: audit trail for every moderation decision.
+-- reviews.status gains 'unpublished' (approved, then taken down).
+
+CREATE TABLE IF NOT EXISTS moderation_events (
+  id           INTEGER PRIMARY KEY AUTOINCREMENT,
+  review_id    INTEGER NOT NULL REFERENCES reviews(id),
+  teacher_id   INTEGER NOT NULL,
+  actor_id     INTEGER REFERENCES moderators(id),
+  action       TEXT NOT NULL,
+  from_status  TEXT NOT NULL,
+  to_status    TEXT NOT NULL,
+  reason_code  TEXT,
+  note         TEXT NOT NULL DEFAULT '',
+  created_at   TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_events_review ON moderation_events (review_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_moderation_events_teacher ON moderation_events (teacher_id, created_at);
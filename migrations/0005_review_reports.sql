@@ -0,0 +1,16 @@
+-- 0005_review_reports: reader reports against published reviews.
+-- One report per client per review; resolved_at is set when a moderator rules on the review.
+
+CREATE TABLE IF NOT EXISTS review_reports (
+  id           INTEGER PRIMARY KEY AUTOINCREMENT,
+  review_id    INTEGER NOT NULL REFERENCES reviews(id),
+  reason       TEXT NOT NULL,
+  details      TEXT NOT NULL DEFAULT '',
+  client_hash  TEXT NOT NULL,
+  created_at   TEXT NOT NULL,
+  resolved_at  TEXT,
+  UNIQUE(review_id, client_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_reports_open ON review_reports (resolved_at, review_id);
+CREATE INDEX IF NOT EXISTS idx_review_reports_client ON review_reports (client_hash, created_at);
@@ -0,0 +1,19 @@
+-- 0006_courses: departments/titles on teachers, per-teacher courses, and an optional
+-- course on each review. Existing reviews keep course_id NULL ("not specified").
+-- courses.source is 'directory' (filled by the scraper) or 'admin' (entered by hand).
+
+ALTER TABLE teachers ADD COLUMN department TEXT NOT NULL DEFAULT '';
+ALTER TABLE teachers ADD COLUMN title TEXT NOT NULL DEFAULT '';
+
+CREATE TABLE IF NOT EXISTS courses (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  teacher_id  INTEGER NOT NULL REFERENCES teachers(id),
+  name        TEXT NOT NULL COLLATE NOCASE,
+  source      TEXT NOT NULL DEFAULT 'admin',
+  created_at  TEXT NOT NULL,
+  UNIQUE(teacher_id, name)
+);
+
+ALTER TABLE reviews ADD COLUMN course_id INTEGER REFERENCES courses(id);
+
+CREATE INDEX IF NOT EXISTS idx_reviews_teacher_course ON reviews (teacher_id, course_id, status);
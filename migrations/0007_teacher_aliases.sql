@@ -0,0 +1,25 @@
+-- 0007_teacher_aliases: alternate names that resolve to a teacher, left behind by merges
+-- or added by admins. old_teacher_id is set when the alias came from merging that
+-- teacher away, so old teacher.html?id= links still resolve.
+-- teacher_not_duplicates records pairs an admin ruled distinct (a < b).
+
+CREATE TABLE IF NOT EXISTS teacher_aliases (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  teacher_id      INTEGER NOT NULL REFERENCES teachers(id),
+  name            TEXT NOT NULL,
+  school          TEXT NOT NULL,
+  old_teacher_id  INTEGER,
+  source          TEXT NOT NULL DEFAULT 'admin',
+  created_at      TEXT NOT NULL,
+  UNIQUE(name, school)
+);
+
+CREATE INDEX IF NOT EXISTS idx_teacher_aliases_teacher ON teacher_aliases (teacher_id);
+CREATE INDEX IF NOT EXISTS idx_teacher_aliases_old ON teacher_aliases (old_teacher_id);
+
+CREATE TABLE IF NOT EXISTS teacher_not_duplicates (
+  teacher_a   INTEGER NOT NULL,
+  teacher_b   INTEGER NOT NULL,
+  created_at  TEXT NOT NULL,
+  PRIMARY KEY (teacher_a, teacher_b)
+);
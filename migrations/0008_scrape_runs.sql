@@ -0,0 +1,34 @@
+-- 0008_scrape_runs: one row per school per scrape (manual, cron or dry run) with timing,
+-- fetch result and the diff against the teachers table. diff is JSON:
+--   { added: [name], unchanged: [name], missing: [{id, name, missing_runs}], unlisted: [name], relisted: [name] }
+-- teachers.missing_runs counts consecutive successful runs a directory-sourced teacher was
+-- absent from; at the threshold unlisted_at is set ("no longer listed"). Both reset when
+-- the name shows up again.
+
+ALTER TABLE teachers ADD COLUMN missing_runs INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE teachers ADD COLUMN unlisted_at TEXT;
+
+CREATE TABLE IF NOT EXISTS scrape_runs (
+  id               INTEGER PRIMARY KEY AUTOINCREMENT,
+  adapter_id       TEXT NOT NULL,
+  school           TEXT NOT NULL,
+  trigger          TEXT NOT NULL,            -- 'manual' | 'cron'
+  actor_id         INTEGER,                  -- moderator for manual runs, NULL for cron
+  dry_run          INTEGER NOT NULL DEFAULT 0,
+  ok               INTEGER NOT NULL,
+  error            TEXT,
+  source_url       TEXT NOT NULL DEFAULT '',
+  http_status      INTEGER,
+  pages            INTEGER NOT NULL DEFAULT 0,
+  found            INTEGER NOT NULL DEFAULT 0,
+  added_count      INTEGER NOT NULL DEFAULT 0,
+  unchanged_count  INTEGER NOT NULL DEFAULT 0,
+  missing_count    INTEGER NOT NULL DEFAULT 0,
+  unlisted_count   INTEGER NOT NULL DEFAULT 0,
+  diff             TEXT NOT NULL DEFAULT '{}',
+  started_at       TEXT NOT NULL,
+  finished_at      TEXT NOT NULL,
+  duration_ms      INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_scrape_runs_school ON scrape_runs (school, id);
@@ -0,0 +1,21 @@
+-- 0009_teacher_search: full-text index for teacher search. One row per teacher with
+-- rowid = teachers.id. aliases is every teacher_aliases name; subjects is department,
+-- directory title and course names. Rows are rebuilt by the worker (teacherSearchSync)
+-- whenever a teacher, alias or course changes; this backfills existing teachers.
+
+CREATE VIRTUAL TABLE IF NOT EXISTS teacher_search USING fts5(
+  name,
+  aliases,
+  subjects,
+  school,
+  tokenize = 'unicode61 remove_diacritics 2'
+);
+
+INSERT INTO teacher_search (rowid, name, aliases, subjects, school)
+SELECT
+  t.id,
+  t.name,
+  COALESCE((SELECT group_concat(a.name, ' ') FROM teacher_aliases a WHERE a.teacher_id = t.id), ''),
+  t.department || ' ' || t.title || ' ' || COALESCE((SELECT group_concat(c.name, ' ') FROM courses c WHERE c.teacher_id = t.id), ''),
+  t.school
+FROM teachers t;
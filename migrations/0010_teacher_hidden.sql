@@ -0,0 +1,5 @@
+-- 0010_teacher_hidden: admins can hide a teacher (e.g. a staff title the scraper took for
+-- a name). Hidden teachers drop out of every public page and can't get new reviews, but
+-- their row and reviews stay, and the scraper updating them doesn't unhide them.
+
+ALTER TABLE teachers ADD COLUMN hidden_at TEXT;
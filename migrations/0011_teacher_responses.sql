@@ -0,0 +1,39 @@
+-- 0011_teacher_responses: teachers can answer reviews after verifying who they are.
+-- An admin issues a one-time claim code for a teacher record (only its hash is stored).
+-- Redeeming it sets redeemed_at and token_hash; that bearer token is what the teacher
+-- then posts responses with. Revoking the claim kills the code or the token.
+-- review_responses holds at most one response per review and moves through the same
+-- statuses as reviews. moderation_events rows for a response keep the review_id of the
+-- review it answers and set response_id.
+
+CREATE TABLE IF NOT EXISTS teacher_claims (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+  teacher_id    INTEGER NOT NULL REFERENCES teachers(id),
+  code_hash     TEXT NOT NULL UNIQUE,
+  created_by    INTEGER REFERENCES moderators(id),
+  created_at    TEXT NOT NULL,
+  expires_at    TEXT NOT NULL,
+  redeemed_at   TEXT,
+  token_hash    TEXT UNIQUE,
+  last_used_at  TEXT,
+  revoked_at    TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_teacher_claims_teacher ON teacher_claims (teacher_id, id);
+
+CREATE TABLE IF NOT EXISTS review_responses (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  review_id   INTEGER NOT NULL UNIQUE REFERENCES reviews(id),
+  teacher_id  INTEGER NOT NULL,
+  claim_id    INTEGER REFERENCES teacher_claims(id),
+  body        TEXT NOT NULL,
+  status      TEXT NOT NULL DEFAULT 'pending',
+  flags       TEXT NOT NULL DEFAULT '[]',
+  created_at  TEXT NOT NULL,
+  updated_at  TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_responses_status ON review_responses (status, updated_at);
+CREATE INDEX IF NOT EXISTS idx_review_responses_teacher ON review_responses (teacher_id);
+
+ALTER TABLE moderation_events ADD COLUMN response_id INTEGER REFERENCES review_responses(id);
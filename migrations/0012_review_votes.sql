@@ -0,0 +1,20 @@
+-- 0012_review_votes: "was this helpful?" votes on published reviews, one per client per
+-- review (vote is 1 or -1; changing your mind updates the row). The counts and the
+-- ranking score are kept on reviews so the "most helpful" sort doesn't aggregate votes.
+
+CREATE TABLE IF NOT EXISTS review_votes (
+  review_id    INTEGER NOT NULL REFERENCES reviews(id),
+  client_hash  TEXT NOT NULL,
+  vote         INTEGER NOT NULL,
+  created_at   TEXT NOT NULL,
+  updated_at   TEXT NOT NULL,
+  PRIMARY KEY (review_id, client_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_votes_client ON review_votes (client_hash, updated_at);
+
+ALTER TABLE reviews ADD COLUMN helpful_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE reviews ADD COLUMN unhelpful_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE reviews ADD COLUMN helpful_score REAL NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_reviews_helpful ON reviews (teacher_id, status, helpful_score);
@@ -0,0 +1,34 @@
+-- 0013_review_tags: a fixed vocabulary of tags reviewers can attach to a review (a few
+-- per review, see REVIEW_TAGS_MAX). Admins edit the list; retiring a tag stops it being
+-- offered on new reviews but keeps it on the reviews that already have it.
+
+CREATE TABLE IF NOT EXISTS tags (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  slug        TEXT NOT NULL UNIQUE,
+  label       TEXT NOT NULL,
+  sort_order  INTEGER NOT NULL DEFAULT 0,
+  retired_at  TEXT,
+  created_at  TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS review_tags (
+  review_id  INTEGER NOT NULL REFERENCES reviews(id),
+  tag_id     INTEGER NOT NULL REFERENCES tags(id),
+  PRIMARY KEY (review_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_tags_tag ON review_tags (tag_id);
+
+INSERT OR IGNORE INTO tags (slug, label, sort_order, created_at) VALUES
+  ('great_feedback', 'Great feedback', 10, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  ('clear_explanations', 'Clear explanations', 20, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  ('caring', 'Caring', 30, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  ('engaging', 'Engaging', 40, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  ('fair_grader', 'Fair grader', 50, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  ('tough_grader', 'Tough grader', 60, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  ('lots_of_homework', 'Lots of homework', 70, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  ('test_heavy', 'Test heavy', 80, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  ('lecture_heavy', 'Lecture heavy', 90, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  ('group_projects', 'Group projects', 100, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  ('participation_matters', 'Participation matters', 110, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  ('strict', 'Strict', 120, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
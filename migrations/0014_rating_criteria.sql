@@ -0,0 +1,33 @@
+-- 0014_rating_criteria: the rating questions on a review, defined per school.
+-- school '' holds the defaults every school gets; a row for a specific school adds a
+-- criterion there, or overrides the default with the same slug (label, scale, required,
+-- order, retired). overall, difficulty and clarity are built in: their values stay in
+-- the reviews columns, they are always required on a 1-5 scale, and only their label
+-- and order can change. Every other criterion's answers go in review_ratings by slug.
+
+CREATE TABLE IF NOT EXISTS rating_criteria (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  school      TEXT NOT NULL DEFAULT '',
+  slug        TEXT NOT NULL,
+  label       TEXT NOT NULL,
+  scale_max   INTEGER NOT NULL DEFAULT 5 CHECK (scale_max BETWEEN 2 AND 10),
+  required    INTEGER NOT NULL DEFAULT 0,
+  sort_order  INTEGER NOT NULL DEFAULT 0,
+  retired_at  TEXT,
+  created_at  TEXT NOT NULL,
+  UNIQUE(school, slug)
+);
+
+CREATE TABLE IF NOT EXISTS review_ratings (
+  review_id  INTEGER NOT NULL REFERENCES reviews(id),
+  criterion  TEXT NOT NULL,
+  value      INTEGER NOT NULL,
+  PRIMARY KEY (review_id, criterion)
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_ratings_criterion ON review_ratings (criterion);
+
+INSERT OR IGNORE INTO rating_criteria (school, slug, label, scale_max, required, sort_order, created_at) VALUES
+  ('', 'overall', 'Overall', 5, 1, 10, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  ('', 'difficulty', 'Difficulty', 5, 1, 20, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  ('', 'clarity', 'Clarity', 5, 1, 30, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
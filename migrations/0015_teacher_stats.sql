@@ -0,0 +1,36 @@
+-- 0015_teacher_stats: per-teacher totals over approved reviews, so listings and the
+-- teacher page don't aggregate every review on each request. The worker adds or takes
+-- away a review's ratings when moderation moves it into or out of 'approved'; averages
+-- are sum / review_count at read time. The scheduled job rebuilds every row from the
+-- reviews so any drift (raw SQL edits, seed.sql) is corrected within a day.
+--
+-- cache_state holds one row. Its generation is part of every edge cache key for the
+-- public GET routes; bumping it (on moderation and admin edits) retires them all at once.
+
+CREATE TABLE IF NOT EXISTS teacher_stats (
+  teacher_id            INTEGER PRIMARY KEY REFERENCES teachers(id),
+  review_count          INTEGER NOT NULL DEFAULT 0,
+  sum_overall           INTEGER NOT NULL DEFAULT 0,
+  sum_clarity           INTEGER NOT NULL DEFAULT 0,
+  sum_difficulty        INTEGER NOT NULL DEFAULT 0,
+  sum_would_take_again  INTEGER NOT NULL DEFAULT 0,
+  updated_at            TEXT NOT NULL
+);
+
+INSERT OR REPLACE INTO teacher_stats
+  (teacher_id, review_count, sum_overall, sum_clarity, sum_difficulty, sum_would_take_again, updated_at)
+SELECT
+  teacher_id, COUNT(*), SUM(overall), SUM(clarity), SUM(difficulty), SUM(would_take_again),
+  strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+FROM reviews
+WHERE status = 'approved'
+GROUP BY teacher_id;
+
+CREATE TABLE IF NOT EXISTS cache_state (
+  id          INTEGER PRIMARY KEY CHECK (id = 1),
+  generation  INTEGER NOT NULL,
+  bumped_at   TEXT NOT NULL
+);
+
+INSERT OR IGNORE INTO cache_state (id, generation, bumped_at)
+VALUES (1, 1, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
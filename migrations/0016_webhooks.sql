@@ -0,0 +1,39 @@
+-- 0016_webhooks: outbound notifications to moderators' chat or tooling. Each webhook
+-- subscribes to a list of events (JSON array) and is sent as generic JSON or as a
+-- Discord/Slack message. secret is the HMAC key for the signature header, so it has to
+-- be kept as-is. queue_threshold only matters for queue.over_threshold.
+-- webhook_deliveries is both the retry queue and the delivery log: a row stays 'pending'
+-- while it has attempts left (next_attempt_at says when), then ends 'delivered' or
+-- 'failed'. payload is the event data; the body is built from it at send time.
+
+CREATE TABLE IF NOT EXISTS webhooks (
+  id               INTEGER PRIMARY KEY AUTOINCREMENT,
+  name             TEXT NOT NULL,
+  url              TEXT NOT NULL,
+  format           TEXT NOT NULL DEFAULT 'json',
+  events           TEXT NOT NULL DEFAULT '[]',
+  secret           TEXT NOT NULL,
+  queue_threshold  INTEGER NOT NULL DEFAULT 25,
+  disabled_at      TEXT,
+  created_by       INTEGER REFERENCES moderators(id),
+  created_at       TEXT NOT NULL,
+  updated_at       TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id               INTEGER PRIMARY KEY AUTOINCREMENT,
+  webhook_id       INTEGER NOT NULL REFERENCES webhooks(id),
+  event            TEXT NOT NULL,
+  payload          TEXT NOT NULL,
+  status           TEXT NOT NULL DEFAULT 'pending',
+  attempts         INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at  TEXT,
+  last_attempt_at  TEXT,
+  response_status  INTEGER,
+  last_error       TEXT,
+  created_at       TEXT NOT NULL,
+  delivered_at     TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, id);
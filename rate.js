@@ -25,12 +25,96 @@ async function fetchTeachers(q) {
   if (!res.ok) throw new Error(`Search failed (${res.status}): ${raw.slice(0, 120)}`);
 
   try {
-    return JSON.parse(raw);
+    return JSON.parse(raw).rows;
   } catch {
     throw new Error(`Bad JSON from API: ${raw.slice(0, 120)}`);
   }
 }
 
+// Fills the course picker for the chosen teacher; hidden when they have none on file
+async function loadCourses(teacherId) {
+  const wrap = $("courseWrap");
+  const select = $("course");
+  if (!wrap || !select) return;
+  select.innerHTML = `<option value="">Not specified</option>`;
+  wrap.classList.add("hidden");
+
+  try {
+    const res = await fetch(`/api/teacher?id=${encodeURIComponent(teacherId)}`, { headers: { "Accept": "application/json" } });
+    if (!res.ok) return;
+    const t = await res.json();
+    if (String(selectedTeacherId) !== String(teacherId)) return; // picked someone else meanwhile
+    const courses = Array.isArray(t.courses) ? t.courses : [];
+    if (!courses.length) return;
+    select.innerHTML += courses.map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`).join("");
+    wrap.classList.remove("hidden");
+  } catch {
+    // course is optional; leave it as "Not specified"
+  }
+}
+
+// Rating selects for the picked teacher's school (the defaults until one is picked).
+// Answers to questions that are still asked are kept across a re-render.
+async function loadCriteria(teacherId) {
+  const box = $("criteria");
+  if (!box) return;
+  try {
+    const qs = teacherId ? `?teacher_id=${encodeURIComponent(teacherId)}` : "";
+    const res = await fetch(`/api/criteria${qs}`, { headers: { "Accept": "application/json" } });
+    if (!res.ok) return;
+    const data = await res.json();
+    if (teacherId && String(selectedTeacherId) !== String(teacherId)) return;
+
+    const previous = ratingValues();
+    box.innerHTML = data.criteria.map(c => {
+      const values = Array.from({ length: c.scale_max }, (_, i) => c.scale_max - i);
+      return `
+        <div>
+          <label class="label" for="rating-${c.slug}">${escapeHtml(c.label)} (1–${c.scale_max})${c.required ? "" : " — optional"}</label>
+          <select id="rating-${c.slug}" class="input" data-criterion="${c.slug}">
+            ${c.required ? "" : `<option value="">Skip</option>`}
+            ${values.map(v => `<option value="${v}"${String(previous[c.slug]) === String(v) ? " selected" : ""}>${v}</option>`).join("")}
+          </select>
+        </div>
+      `;
+    }).join("");
+  } catch {
+    // keep whatever selects are already showing
+  }
+}
+
+function ratingValues() {
+  const out = {};
+  document.querySelectorAll("#criteria [data-criterion]").forEach(sel => {
+    if (sel.value !== "") out[sel.dataset.criterion] = Number(sel.value);
+  });
+  return out;
+}
+
+let tagMax = 3;
+
+// The tag vocabulary is admin-managed, so it comes from the API
+async function loadTags() {
+  try {
+    const res = await fetch("/api/tags", { headers: { "Accept": "application/json" } });
+    if (!res.ok) return;
+    const data = await res.json();
+    tagMax = data.max;
+    if (!data.tags.length) return;
+    $("tagMax").textContent = String(tagMax);
+    $("tags").innerHTML = data.tags.map(t => `
+      <label class="tag-option"><input type="checkbox" value="${escapeHtml(t.slug)}" /> ${escapeHtml(t.label)}</label>
+    `).join("");
+    $("tagWrap").classList.remove("hidden");
+  } catch {
+    // tags are optional; the form works without them
+  }
+}
+
+function pickedTags() {
+  return [...document.querySelectorAll("#tags input:checked")].map(c => c.value);
+}
+
 function showPickBox(show) {
   const pick = $("teacherPick");
   if (!pick) return;
@@ -57,6 +141,8 @@ function renderTeacherList(list) {
   pick.querySelectorAll("button[data-id]").forEach(btn => {
     btn.addEventListener("click", () => {
       selectedTeacherId = btn.dataset.id;
+      loadCourses(btn.dataset.id);
+      loadCriteria(btn.dataset.id);
 
       // show selection
       const picked = $("picked");
@@ -78,16 +164,28 @@ function renderTeacherList(list) {
   });
 }
 
+// Throttling/duplicate errors come back as { code, error, retry_after? } JSON;
+// everything else is plain text.
+function submitErrorMessage(status, bodyText) {
+  let data = null;
+  try { data = JSON.parse(bodyText); } catch {}
+
+  if (data && data.code === "rate_limited") {
+    const mins = Math.ceil((data.retry_after || 60) / 60);
+    return `${data.error} (try again in about ${mins} minute${mins === 1 ? "" : "s"})`;
+  }
+  if (data && data.error) return data.error;
+  return `Submit failed (${status}): ${bodyText.slice(0, 200)}`;
+}
+
 async function submitReview() {
   const msg = $("msg");
   if (msg) msg.textContent = "";
 
   const school = $("school")?.value || "";
-  const overall = Number($("overall")?.value || 0);
-  const difficulty = Number($("difficulty")?.value || 0);
-  const clarity = Number($("clarity")?.value || 0);
   const wouldTakeAgain = $("wouldTakeAgain")?.value === "1";
   const comment = $("comment")?.value || "";
+  const courseId = $("course")?.value || "";
 
   if (!selectedTeacherId) {
     if (msg) msg.textContent = "Pick a teacher first (tap a name from the results).";
@@ -97,11 +195,11 @@ async function submitReview() {
   const payload = {
     teacher_id: selectedTeacherId,
     school,
-    overall,
-    difficulty,
-    clarity,
+    ratings: ratingValues(),
     would_take_again: wouldTakeAgain,
     comment,
+    course_id: courseId ? Number(courseId) : null,
+    tags: pickedTags(),
   };
 
   let res;
@@ -119,12 +217,13 @@ async function submitReview() {
 
   const bodyText = await res.text().catch(() => "");
   if (!res.ok) {
-    if (msg) msg.textContent = `Submit failed (${res.status}): ${bodyText.slice(0, 200)}`;
+    if (msg) msg.textContent = submitErrorMessage(res.status, bodyText);
     return;
   }
 
   if (msg) msg.textContent = "Submitted! (Pending moderation)";
   if ($("comment")) $("comment").value = "";
+  document.querySelectorAll("#tags input:checked").forEach(c => { c.checked = false; });
 }
 
 document.addEventListener("DOMContentLoaded", () => {
@@ -152,6 +251,7 @@ document.addEventListener("DOMContentLoaded", () => {
     selectedTeacherId = null;
     const picked = $("picked");
     if (picked) picked.classList.add("hidden");
+    $("courseWrap")?.classList.add("hidden");
 
     if (q.length === 0) {
       if (pick) pick.innerHTML = "";
@@ -178,5 +278,16 @@ document.addEventListener("DOMContentLoaded", () => {
     }, 200);
   });
 
+  // Past the cap, the newest tick is undone
+  $("tags")?.addEventListener("change", (e) => {
+    if (e.target.checked && pickedTags().length > tagMax) {
+      e.target.checked = false;
+      const msg = $("msg");
+      if (msg) msg.textContent = `Pick at most ${tagMax} tags.`;
+    }
+  });
+
   btn?.addEventListener("click", submitReview);
+  loadCriteria(null);
+  loadTags();
 });
\ No newline at end of file
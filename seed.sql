@@ -0,0 +1,46 @@
+-- seed.sql: sample data for local development. Safe to re-run.
+-- Apply after migrations:
+--   npx wrangler d1 execute isd_ratings --local --file=seed.sql
+
+INSERT OR IGNORE INTO teachers (id, name, school, source_url, created_at, updated_at) VALUES
+  (1, 'Alex Rivera',    'Skyline High School',  '', '2025-09-01T00:00:00.000Z', '2025-09-01T00:00:00.000Z'),
+  (2, 'Jordan Lee',     'Skyline High School',  '', '2025-09-01T00:00:00.000Z', '2025-09-01T00:00:00.000Z'),
+  (3, 'Sam Patel',      'Skyline High School',  '', '2025-09-01T00:00:00.000Z', '2025-09-01T00:00:00.000Z'),
+  (4, 'Morgan Chen',    'Eastlake High School', '', '2025-09-01T00:00:00.000Z', '2025-09-01T00:00:00.000Z'),
+  (5, 'Taylor Brooks',  'Eastlake High School', '', '2025-09-01T00:00:00.000Z', '2025-09-01T00:00:00.000Z');
+
+INSERT OR IGNORE INTO reviews (id, teacher_id, school, overall, difficulty, clarity, would_take_again, comment, status, created_at) VALUES
+  (1,  1, 'Skyline High School',  5, 3, 5, 1, 'Explains things clearly and gives useful feedback on labs.', 'approved', '2025-10-02T18:00:00.000Z'),
+  (2,  1, 'Skyline High School',  4, 4, 4, 1, 'Tests are hard but fair. Go to office hours.',             'approved', '2025-11-14T18:00:00.000Z'),
+  (3,  1, 'Skyline High School',  5, 2, 5, 1, '',                                                         'approved', '2026-01-20T18:00:00.000Z'),
+  (4,  2, 'Skyline High School',  3, 4, 2, 0, 'Lectures move fast and slides are not posted.',            'approved', '2025-10-10T18:00:00.000Z'),
+  (5,  2, 'Skyline High School',  4, 3, 3, 1, 'Gets better once you get used to the pace.',               'approved', '2026-02-03T18:00:00.000Z'),
+  (6,  3, 'Skyline High School',  5, 1, 5, 1, 'Easy class, lots of group projects.',                      'approved', '2025-12-01T18:00:00.000Z'),
+  (7,  4, 'Eastlake High School', 4, 3, 4, 1, 'Organized and responds to emails quickly.',                'approved', '2025-11-05T18:00:00.000Z'),
+  (8,  4, 'Eastlake High School', 2, 5, 2, 0, 'Grading felt inconsistent between sections.',              'approved', '2026-01-11T18:00:00.000Z'),
+  (9,  5, 'Eastlake High School', 5, 2, 4, 1, 'Great discussions every class.',                           'approved', '2026-02-20T18:00:00.000Z'),
+  (10, 2, 'Skyline High School',  2, 4, 2, 0, 'Homework load is a lot every night.',                      'pending',  '2026-03-01T18:00:00.000Z'),
+  (11, 5, 'Eastlake High School', 4, 2, 4, 1, 'Fun class and fair tests.',                                'pending',  '2026-03-02T18:00:00.000Z');
+
+-- Raw inserts bypass the worker, so rebuild the search index (same as POST /api/admin/search/rebuild)
+DELETE FROM teacher_search;
+INSERT INTO teacher_search (rowid, name, aliases, subjects, school)
+SELECT
+  t.id,
+  t.name,
+  COALESCE((SELECT group_concat(a.name, ' ') FROM teacher_aliases a WHERE a.teacher_id = t.id), ''),
+  t.department || ' ' || t.title || ' ' || COALESCE((SELECT group_concat(c.name, ' ') FROM courses c WHERE c.teacher_id = t.id), ''),
+  t.school
+FROM teachers t;
+
+-- ...and the teacher_stats totals (same as POST /api/admin/stats/rebuild)
+DELETE FROM teacher_stats;
+INSERT INTO teacher_stats
+  (teacher_id, review_count, sum_overall, sum_clarity, sum_difficulty, sum_would_take_again, updated_at)
+SELECT
+  teacher_id, COUNT(*), SUM(overall), SUM(clarity), SUM(difficulty), SUM(would_take_again),
+  strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+FROM reviews
+WHERE status = 'approved'
+GROUP BY teacher_id;
+UPDATE cache_state SET generation = generation + 1, bumped_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
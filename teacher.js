@@ -8,47 +8,401 @@ function getParam(name){
   return u.searchParams.get(name);
 }
 
+// Set once the visitor has verified as this teacher (see the claim form)
+let verified = null; // { token, responses: Map(review_id -> own response) }
+
+function responseBlock(r){
+  if (!r.response) return "";
+  return `
+    <div class="response">
+      <strong>Response from the teacher</strong> <span class="badge">Verified</span>
+      <span class="dim">${new Date(r.response.created_at).toLocaleDateString()}</span>
+      <p>${escapeHtml(r.response.body)}</p>
+    </div>
+  `;
+}
+
+// The verified teacher's view: what they've sent, or a form while it can still change
+function respondControls(r){
+  if (!verified || r.response) return "";
+  const own = verified.responses.get(r.id);
+  if (own && own.status !== "pending" && own.status !== "rejected") return "";
+  const note = !own ? ""
+    : own.status === "pending" ? `<div class="dim">Your response is waiting for a moderator.</div>`
+    : `<div class="dim">A moderator didn't approve your response. You can edit it and send it again.</div>`;
+  return `
+    ${note}
+    <button type="button" class="link-btn" data-respond="${r.id}">${own ? "Edit your response" : "Respond"}</button>
+    <div class="report-form hidden" id="respond-${r.id}">
+      <textarea class="input" data-respond-body="${r.id}" rows="3" maxlength="800" placeholder="Your public response">${escapeHtml(own?.body || "")}</textarea>
+      <button type="button" class="btn" data-respond-send="${r.id}">Send for review</button>
+      <p class="msg" data-respond-msg="${r.id}"></p>
+    </div>
+  `;
+}
+
+// Clicking your current vote again takes it back
+function voteButtons(r){
+  const btn = (vote, label, n) => `
+    <button type="button" class="link-btn${r.my_vote === vote ? " voted" : ""}" data-vote="${vote}" data-review="${r.id}"
+      aria-pressed="${r.my_vote === vote}">${label} (${n ?? 0})</button>`;
+  return `<span class="dim">Helpful?</span>${btn("helpful", "👍 Yes", r.helpful_count)}${btn("not_helpful", "👎 No", r.unhelpful_count)}`;
+}
+
+async function sendVote(reviewId, vote){
+  const box = document.querySelector(`[data-votes="${reviewId}"]`);
+  const current = box.querySelector(".voted")?.dataset.vote || null;
+  const res = await fetch(`${API}/reviews/vote`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ review_id: Number(reviewId), vote: vote === current ? null : vote }),
+  });
+  let data = null;
+  try { data = await res.json(); } catch {}
+  if (!res.ok) { alert(data?.error || `Vote failed (${res.status})`); return; }
+  box.innerHTML = voteButtons({ id: reviewId, ...data });
+}
+
+// Review pages are cached for everyone, so the reader's own votes are marked afterwards
+async function showMyVotes(rows){
+  if (!rows.length) return;
+  const res = await fetch(`${API}/reviews/votes?ids=${rows.map(r => r.id).join(",")}`);
+  if (!res.ok) return;
+  const { votes } = await res.json();
+  for (const [reviewId, vote] of Object.entries(votes)) {
+    const btn = document.querySelector(`[data-votes="${reviewId}"] [data-vote="${vote}"]`);
+    if (!btn) continue;
+    btn.classList.add("voted");
+    btn.setAttribute("aria-pressed", "true");
+  }
+}
+
 function reviewCard(r){
   const date = new Date(r.created_at).toLocaleDateString();
   const comment = r.comment ? `<p>${escapeHtml(r.comment)}</p>` : "";
   return `
     <div class="item">
       <span class="badge">⭐ ${r.overall}</span>
-      <span class="badge">Clarity ${r.clarity}</span>
-      <span class="badge">Difficulty ${r.difficulty}</span>
+      ${(r.ratings || []).filter(x => x.slug !== "overall").map(x =>
+        `<span class="badge">${escapeHtml(x.label)} ${x.value}${x.scale_max !== 5 ? `/${x.scale_max}` : ""}</span>`
+      ).join("")}
       <span class="badge">${r.would_take_again ? "Would take again" : "Would not take again"}</span>
       <span class="badge">${escapeHtml(r.school)}</span>
+      ${r.course_name ? `<span class="badge">${escapeHtml(r.course_name)}</span>` : ""}
       <span class="badge">${date}</span>
+      ${(r.tags || []).length ? `<div>${r.tags.map(tg => `<span class="badge tag">${escapeHtml(tg)}</span>`).join(" ")}</div>` : ""}
       ${comment}
+      <div class="votes" data-votes="${r.id}">${voteButtons(r)}</div>
+      <button type="button" class="link-btn" data-report="${r.id}">Report</button>
+      <div class="report-form hidden" id="report-${r.id}"></div>
+      ${responseBlock(r)}
+      ${respondControls(r)}
     </div>
   `;
 }
 
+const TOP_TAGS_SHOWN = 5;
+
+function topTags(tags){
+  if (!Array.isArray(tags) || !tags.length) return "";
+  return `<div class="top-tags">${tags.slice(0, TOP_TAGS_SHOWN).map(tg =>
+    `<span class="badge tag" title="Picked on ${tg.count} review${tg.count === 1 ? "" : "s"}">${escapeHtml(tg.label)} × ${tg.count}</span>`
+  ).join(" ")}</div>`;
+}
+
+function courseRow(c){
+  return `
+    <div class="item">
+      <strong>${escapeHtml(c.name)}</strong><br/>
+      <span class="badge">⭐ ${c.avg_overall?.toFixed?.(1) ?? "—"} (${c.review_count ?? 0})</span>
+      <span class="badge">Clarity ${c.avg_clarity?.toFixed?.(1) ?? "—"}</span>
+      <span class="badge">Difficulty ${c.avg_difficulty?.toFixed?.(1) ?? "—"}</span>
+      <span class="badge">${c.would_take_again_pct != null ? `${Math.round(c.would_take_again_pct)}% would take again` : "—"}</span>
+    </div>
+  `;
+}
+
+// -------- Inline SVG charts (no chart library) --------
+const CHART_BAR = "#6366f1";
+const CHART_MUTED = "#9ca3af";
+
+// One metric's 1–5 histogram as horizontal bars
+function histogramSvg(label, counts){
+  const max = Math.max(1, ...counts);
+  const rowH = 18, labelW = 18, barW = 180, w = labelW + barW + 36;
+  const rows = counts.map((n, i) => {
+    const y = (4 - i) * rowH; // 5 on top
+    const len = Math.round((n / max) * barW);
+    return `
+      <text x="0" y="${y + 13}" font-size="12" fill="${CHART_MUTED}">${i + 1}</text>
+      <rect x="${labelW}" y="${y + 3}" width="${len}" height="${rowH - 6}" rx="3" fill="${CHART_BAR}"></rect>
+      <text x="${labelW + len + 6}" y="${y + 13}" font-size="12" fill="${CHART_MUTED}">${n}</text>
+    `;
+  }).join("");
+  return `
+    <figure class="chart">
+      <figcaption>${escapeHtml(label)}</figcaption>
+      <svg viewBox="0 0 ${w} ${rowH * 5}" width="${w}" height="${rowH * 5}" role="img"
+        aria-label="${escapeHtml(label)} ratings: ${counts.map((n, i) => `${n} gave ${i + 1}`).join(", ")}">${rows}</svg>
+    </figure>
+  `;
+}
+
+function takeAgainSvg(yes, no){
+  const total = yes + no;
+  if (!total) return "";
+  const w = 300, pct = yes / total;
+  return `
+    <svg viewBox="0 0 ${w} 20" width="100%" height="20" role="img" aria-label="${yes} would take again, ${no} would not">
+      <rect x="0" y="0" width="${w}" height="20" rx="6" fill="#e5e7eb"></rect>
+      <rect x="0" y="0" width="${Math.round(pct * w)}" height="20" rx="6" fill="${CHART_BAR}"></rect>
+    </svg>
+    <div class="dim" style="font-size:14px;">${yes} would take again · ${no} would not</div>
+  `;
+}
+
+// Average overall per period (dots) with the rolling average as a line
+function trendSvg(points){
+  if (!points.length) return `<div class="dim">Not enough reviews yet.</div>`;
+  const w = 320, h = 140, padL = 22, padR = 8, padT = 8, padB = 22;
+  const step = points.length > 1 ? (w - padL - padR) / (points.length - 1) : 0;
+  const x = (i) => padL + (points.length > 1 ? i * step : (w - padL - padR) / 2);
+  const y = (v) => padT + (5 - v) / 4 * (h - padT - padB);
+
+  const grid = [1, 2, 3, 4, 5].map(v => `
+    <line x1="${padL}" x2="${w - padR}" y1="${y(v)}" y2="${y(v)}" stroke="#f3f4f6"></line>
+    <text x="0" y="${y(v) + 4}" font-size="10" fill="${CHART_MUTED}">${v}</text>
+  `).join("");
+  const line = points.map((p, i) => `${i ? "L" : "M"}${x(i).toFixed(1)},${y(p.rolling_overall).toFixed(1)}`).join(" ");
+  const dots = points.map((p, i) => `
+    <circle cx="${x(i).toFixed(1)}" cy="${y(p.avg_overall).toFixed(1)}" r="3" fill="${CHART_MUTED}">
+      <title>${escapeHtml(p.period)}: ${p.avg_overall.toFixed(1)} (${p.review_count} reviews)</title>
+    </circle>
+  `).join("");
+  const first = points[0].period, last = points[points.length - 1].period;
+
+  return `
+    <svg viewBox="0 0 ${w} ${h}" width="100%" height="${h}" role="img"
+      aria-label="Average overall rating from ${escapeHtml(first)} to ${escapeHtml(last)}">
+      ${grid}
+      <path d="${line}" fill="none" stroke="${CHART_BAR}" stroke-width="2"></path>
+      ${dots}
+      <text x="${padL}" y="${h - 4}" font-size="10" fill="${CHART_MUTED}">${escapeHtml(first)}</text>
+      <text x="${w - padR}" y="${h - 4}" font-size="10" fill="${CHART_MUTED}" text-anchor="end">${escapeHtml(last)}</text>
+    </svg>
+    <div class="dim" style="font-size:14px;">Dots: average per period · Line: rolling average</div>
+  `;
+}
+
+async function loadAnalytics(id){
+  const params = new URLSearchParams({ id, bucket: el("trendBucket").value });
+  if (el("reviewCourse").value) params.set("course_id", el("reviewCourse").value);
+  const res = await fetch(`${API}/teacher/analytics?${params}`);
+  if (!res.ok) return;
+  const a = await res.json();
+
+  const total = a.histograms.overall.reduce((x, n) => x + n, 0);
+  el("analyticsCard").classList.toggle("hidden", !total);
+  el("histograms").innerHTML =
+    histogramSvg("Overall", a.histograms.overall) +
+    histogramSvg("Clarity", a.histograms.clarity) +
+    histogramSvg("Difficulty", a.histograms.difficulty);
+  el("takeAgain").innerHTML = takeAgainSvg(a.would_take_again.yes, a.would_take_again.no);
+  el("trend").innerHTML = trendSvg(a.trend);
+}
+
+const REPORT_REASONS = [
+  ["personal_info", "Personal info (phone, address, student names…)"],
+  ["harassment", "Harassment or bullying"],
+  ["threat", "Threat"],
+  ["hate", "Slurs or hate"],
+  ["allegation", "Allegation of a crime or misconduct"],
+  ["spam", "Spam or fake review"],
+  ["off_topic", "Not about the class"],
+  ["other", "Something else"],
+];
+
+function reportForm(id){
+  return `
+    <select class="input" data-report-reason="${id}">
+      <option value="">Why are you reporting this review?</option>
+      ${REPORT_REASONS.map(([v, label]) => `<option value="${v}">${escapeHtml(label)}</option>`).join("")}
+    </select>
+    <textarea class="input" data-report-details="${id}" rows="2" maxlength="500" placeholder="Details (optional)"></textarea>
+    <button type="button" class="btn" data-report-send="${id}">Send report</button>
+    <p class="msg" data-report-msg="${id}"></p>
+  `;
+}
+
+async function sendReport(id){
+  const msg = document.querySelector(`[data-report-msg="${id}"]`);
+  const reason = document.querySelector(`[data-report-reason="${id}"]`).value;
+  const details = document.querySelector(`[data-report-details="${id}"]`).value;
+  if (!reason) { msg.textContent = "Pick a reason first."; return; }
+
+  const res = await fetch(`${API}/reviews/report`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ review_id: Number(id), reason, details }),
+  });
+  let data = null;
+  try { data = await res.json(); } catch {}
+
+  if (!res.ok) { msg.textContent = data?.error || `Report failed (${res.status})`; return; }
+  msg.textContent = data?.hidden
+    ? "Thanks — this review has been hidden until a moderator checks it."
+    : "Thanks — a moderator will take a look.";
+  document.querySelector(`[data-report-send="${id}"]`).disabled = true;
+}
+
+const tokenKey = (id) => `teacherToken:${id}`;
+
+// Restores a verification saved on this device; a revoked token is dropped
+async function loadVerification(id){
+  const token = localStorage.getItem(tokenKey(id));
+  verified = null;
+  if (token) {
+    const res = await fetch(`${API}/responses/mine`, { headers: { Authorization: `Bearer ${token}` } });
+    if (res.ok) {
+      const data = await res.json();
+      if (String(data.teacher.id) === id) verified = { token, responses: new Map(data.responses.map(p => [p.review_id, p])) };
+    } else if (res.status === 401) {
+      localStorage.removeItem(tokenKey(id));
+    }
+  }
+  el("claimForm").classList.toggle("hidden", !!verified);
+  el("claimedAs").classList.toggle("hidden", !verified);
+}
+
+async function redeemClaim(id){
+  const res = await fetch(`${API}/teacher/claim`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ code: el("claimCode").value }),
+  });
+  let data = null;
+  try { data = await res.json(); } catch {}
+  if (!res.ok) { el("claimMsg").textContent = data?.error || `Verification failed (${res.status})`; return false; }
+  if (String(data.teacher.id) !== id) { el("claimMsg").textContent = `That code is for ${data.teacher.name}'s page.`; return false; }
+  localStorage.setItem(tokenKey(id), data.token);
+  el("claimCode").value = "";
+  el("claimMsg").textContent = "";
+  return true;
+}
+
+async function sendResponse(reviewId){
+  const msg = document.querySelector(`[data-respond-msg="${reviewId}"]`);
+  const body = document.querySelector(`[data-respond-body="${reviewId}"]`).value;
+  const res = await fetch(`${API}/responses`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${verified.token}` },
+    body: JSON.stringify({ review_id: Number(reviewId), body }),
+  });
+  let data = null;
+  try { data = await res.json(); } catch {}
+  if (!res.ok) { msg.textContent = data?.error || `Sending failed (${res.status})`; return; }
+  verified.responses.set(Number(reviewId), { review_id: Number(reviewId), body, status: "pending" });
+  msg.textContent = "Thanks — your response will appear here once a moderator approves it.";
+  document.querySelector(`[data-respond-send="${reviewId}"]`).disabled = true;
+}
+
+document.addEventListener("click", (e) => {
+  const respond = e.target.closest("[data-respond]");
+  if (respond) {
+    el(`respond-${respond.dataset.respond}`).classList.toggle("hidden");
+    return;
+  }
+  const vote = e.target.closest("[data-vote]");
+  if (vote) { sendVote(vote.dataset.review, vote.dataset.vote); return; }
+
+  const sendReply = e.target.closest("[data-respond-send]");
+  if (sendReply) { sendResponse(sendReply.dataset.respondSend); return; }
+
+  const open = e.target.closest("[data-report]");
+  if (open) {
+    const box = el(`report-${open.dataset.report}`);
+    if (!box.innerHTML) box.innerHTML = reportForm(open.dataset.report);
+    box.classList.toggle("hidden");
+    return;
+  }
+  const send = e.target.closest("[data-report-send]");
+  if (send) sendReport(send.dataset.reportSend);
+});
+
 (async function init(){
-  const id = getParam("id");
-  if (!id) {
+  const requestedId = getParam("id");
+  if (!requestedId) {
     el("name").textContent = "Teacher not found";
     return;
   }
 
-  const tRes = await fetch(`${API}/teacher?id=${encodeURIComponent(id)}`);
+  const tRes = await fetch(`${API}/teacher?id=${encodeURIComponent(requestedId)}`);
   if (!tRes.ok) {
     el("name").textContent = "Teacher not found";
     return;
   }
   const t = await tRes.json();
+  // A merged teacher's old link resolves to the surviving record
+  const id = String(t.id);
+  if (id !== requestedId) history.replaceState(null, "", `?id=${encodeURIComponent(id)}`);
   el("name").textContent = t.name;
   el("rateLink").href = `/rate.html`;
 
   el("summary").innerHTML = `
     <span class="badge">${escapeHtml(t.school)}</span>
+    ${t.department ? `<span class="badge">${escapeHtml(t.department)}</span>` : ""}
+    ${t.unlisted_at ? `<span class="badge" title="Not in the school's staff directory since ${escapeHtml(t.unlisted_at.slice(0, 10))}">No longer listed</span>` : ""}
     <span class="badge">⭐ ${t.avg_overall?.toFixed?.(1) ?? "—"} (${t.review_count ?? 0})</span>
-    <span class="badge">Clarity ${t.avg_clarity?.toFixed?.(1) ?? "—"}</span>
-    <span class="badge">Difficulty ${t.avg_difficulty?.toFixed?.(1) ?? "—"}</span>
+    ${(t.criteria || []).filter(c => c.slug !== "overall").map(c =>
+      `<span class="badge" title="${c.count} rating${c.count === 1 ? "" : "s"}">${escapeHtml(c.label)} ${c.avg?.toFixed?.(1) ?? "—"}${c.scale_max !== 5 ? `/${c.scale_max}` : ""}</span>`
+    ).join("")}
     <span class="badge">${t.would_take_again_pct != null ? `${Math.round(t.would_take_again_pct)}% would take again` : "—"}</span>
+    ${topTags(t.tags)}
   `;
 
-  const rRes = await fetch(`${API}/reviews?teacher_id=${encodeURIComponent(id)}`);
-  const reviews = rRes.ok ? await rRes.json() : [];
-  el("reviews").innerHTML = reviews.map(reviewCard).join("") || `<div class="item">No reviews yet.</div>`;
+  const courses = Array.isArray(t.courses) ? t.courses : [];
+  if (courses.length) {
+    el("coursesCard").classList.remove("hidden");
+    el("courses").innerHTML = courses.map(courseRow).join("");
+    el("reviewCourse").classList.remove("hidden");
+    el("reviewCourse").innerHTML += courses.map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`).join("");
+  }
+
+  let cursor = null;
+
+  async function loadReviews(append = false){
+    const params = new URLSearchParams({ teacher_id: id, sort: el("reviewSort").value });
+    if (el("reviewCourse").value) params.set("course_id", el("reviewCourse").value);
+    if (append && cursor) params.set("cursor", cursor);
+    const rRes = await fetch(`${API}/reviews?${params}`);
+    const page = rRes.ok ? await rRes.json() : { rows: [], next_cursor: null };
+    cursor = page.next_cursor;
+
+    const html = page.rows.map(reviewCard).join("");
+    if (append) el("reviews").insertAdjacentHTML("beforeend", html);
+    else el("reviews").innerHTML = html || `<div class="item">No reviews yet.</div>`;
+    el("moreReviews").classList.toggle("hidden", !cursor);
+    await showMyVotes(page.rows);
+  }
+
+  el("reviewSort").addEventListener("change", () => loadReviews());
+  el("reviewCourse").addEventListener("change", () => { loadReviews(); loadAnalytics(id); });
+  el("trendBucket").addEventListener("change", () => loadAnalytics(id));
+
+  loadAnalytics(id);
+  el("moreReviews").addEventListener("click", () => loadReviews(true));
+
+  el("claimSend").addEventListener("click", async () => {
+    if (!await redeemClaim(id)) return;
+    await loadVerification(id);
+    await loadReviews();
+  });
+  el("claimSignOut").addEventListener("click", async () => {
+    localStorage.removeItem(tokenKey(id));
+    await loadVerification(id);
+    await loadReviews();
+  });
+
+  await loadVerification(id);
+  await loadReviews();
 })();
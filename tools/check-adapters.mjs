@@ -0,0 +1,74 @@
+// tools/check-adapters.mjs — runs every school adapter against its saved page, offline
+//
+//   npm install --no-save miniflare && node tools/check-adapters.mjs
+//
+// The parsers use HTMLRewriter, so this runs them inside workerd (through miniflare). For
+// each adapter in SCHOOL_ADAPTERS, tools/fixtures/<id>.html is fed to
+// scrapeSchoolDirectory(adapter, () => fixture) and the names and departments it finds are
+// compared with tools/fixtures/<id>.json. Exits 1 on any mismatch or missing fixture.
+import { Miniflare } from "miniflare";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const FIXTURES = path.join(ROOT, "tools", "fixtures");
+
+// Every page request gets the same fixture, so paging stops after page 2 adds nothing
+const WORKER = `
+import { SCHOOL_ADAPTERS, scrapeSchoolDirectory } from "../index.js";
+
+export default {
+  async fetch(request) {
+    const pages = await request.json();
+    const out = {};
+    for (const adapter of SCHOOL_ADAPTERS) {
+      const html = pages[adapter.id];
+      if (html == null) { out[adapter.id] = null; continue; }
+      const result = await scrapeSchoolDirectory(adapter, async () => ({ res: new Response(html), html }));
+      out[adapter.id] = result.people.map(p => ({ name: p.name, department: p.department }));
+    }
+    return Response.json(out);
+  },
+};
+`;
+
+const pages = {};
+for (const file of fs.readdirSync(FIXTURES)) {
+  if (file.endsWith(".html")) pages[file.slice(0, -5)] = fs.readFileSync(path.join(FIXTURES, file), "utf8");
+}
+
+const mf = new Miniflare({
+  modules: true,
+  script: WORKER,
+  scriptPath: path.join(ROOT, "tools", "check-adapters.worker.mjs"),
+  modulesRoot: ROOT,
+  modulesRules: [{ type: "ESModule", include: ["**/*.js"] }, { type: "Text", include: ["**/*.sql"] }],
+  compatibilityDate: "2026-01-29",
+});
+
+let failed = 0;
+try {
+  const res = await mf.dispatchFetch("http://localhost/", { method: "POST", body: JSON.stringify(pages) });
+  const parsed = await res.json();
+  for (const [id, people] of Object.entries(parsed)) {
+    if (people === null) {
+      console.log(`FAIL ${id}: no fixture (tools/fixtures/${id}.html)`);
+      failed++;
+      continue;
+    }
+    const expectedFile = path.join(FIXTURES, `${id}.json`);
+    const expected = fs.existsSync(expectedFile) ? JSON.parse(fs.readFileSync(expectedFile, "utf8")) : null;
+    if (JSON.stringify(people) === JSON.stringify(expected)) {
+      console.log(`ok   ${id}: ${people.length} people`);
+      continue;
+    }
+    failed++;
+    console.log(`FAIL ${id}: parsed`);
+    console.log(JSON.stringify(people, null, 2));
+    console.log(expected ? `expected (${id}.json)\n${JSON.stringify(expected, null, 2)}` : `no ${id}.json to compare with`);
+  }
+} finally {
+  await mf.dispose();
+}
+process.exit(failed ? 1 : 0);
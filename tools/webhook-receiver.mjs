@@ -0,0 +1,44 @@
+// tools/webhook-receiver.mjs — local stand-in for a webhook endpoint (Node 18+, no dependencies)
+//
+//   WEBHOOK_SECRET=<secret from admin.html> node tools/webhook-receiver.mjs
+//
+// Then add a webhook for http://localhost:8788/hook in admin.html. Every request is
+// printed with whether its signature checks out. FAIL=3 answers the first 3 requests
+// with a 500 so you can watch the retries in the delivery log.
+import http from "node:http";
+import crypto from "node:crypto";
+
+const PORT = Number(process.env.PORT || 8788);
+const SECRET = process.env.WEBHOOK_SECRET || "";
+let failuresLeft = Number(process.env.FAIL || 0);
+
+// Rejects signatures older than this, like a real receiver should
+const MAX_AGE_SEC = 5 * 60;
+
+function checkSignature(headers, body) {
+  if (!SECRET) return "not checked (no WEBHOOK_SECRET)";
+  const timestamp = headers["x-webhook-timestamp"] || "";
+  const given = String(headers["x-webhook-signature"] || "").replace(/^sha256=/, "");
+  const expected = crypto.createHmac("sha256", SECRET).update(`${timestamp}.${body}`).digest("hex");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected))) return "BAD";
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_AGE_SEC) return "ok, but too old";
+  return "ok";
+}
+
+http.createServer((req, res) => {
+  let body = "";
+  req.on("data", chunk => { body += chunk; });
+  req.on("end", () => {
+    const event = req.headers["x-webhook-event"] || "(no event header)";
+    const delivery = req.headers["x-webhook-delivery"] || "?";
+    console.log(`${new Date().toISOString()} ${req.method} ${req.url} ${event} #${delivery} signature: ${checkSignature(req.headers, body)}`);
+    console.log(`  ${body}`);
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      res.writeHead(500, { "Content-Type": "text/plain" }).end("simulated failure");
+      return;
+    }
+    res.writeHead(204).end();
+  });
+}).listen(PORT, () => console.log(`Listening on http://localhost:${PORT}`));